@@ -3,7 +3,30 @@
  */
 
 // Debug mode - set via environment variable or query parameter
-export const DEBUG = new URLSearchParams(window?.location?.search).get('debug') === 'true' || false
+// (`globalThis.window` keeps this module importable from the relay)
+export const DEBUG = new URLSearchParams(globalThis.window?.location?.search).get('debug') === 'true' || false
+
+// Wire format versions understood by the Yjs provider.
+// Binary messages start with the version byte; legacy messages are JSON objects.
+// Encrypted rooms wrap every binary message in an ENCRYPTED envelope that keeps its header readable.
+export const WIRE_VERSIONS = {
+  LEGACY_JSON: 0,
+  BINARY: 1,
+  ENCRYPTED: 2
+}
+
+// Wire format this peer publishes with - `?wire=0` emulates a peer from before the binary format
+export const WIRE_VERSION = Number(new URLSearchParams(globalThis.window?.location?.search).get('wire') ?? WIRE_VERSIONS.BINARY)
+
+// Top-level message types, matching the y-protocols message layout
+export const MESSAGE_SYNC = 0
+export const MESSAGE_AWARENESS = 1
+
+// Signed access control list of a restricted room, never encrypted so relays can enforce it
+export const MESSAGE_ACL = 2
+
+// Part of a message too large to publish at once, outside the y-protocols range
+export const MESSAGE_CHUNK = 100
 
 // Network timeouts (milliseconds)
 export const TIMEOUTS = {
@@ -13,7 +36,8 @@ export const TIMEOUTS = {
   UPGRADE_INBOUND: 10000,
   UPGRADE_OUTBOUND: 10000,
   EDITOR_READY: 10000,
-  PEER_DISCOVERY: 15000
+  PEER_DISCOVERY: 15000,
+  SYNC_STREAM: 10000
 }
 
 // Pubsub intervals (milliseconds)
@@ -21,9 +45,20 @@ export const INTERVALS = {
   PUBSUB_PEER_DISCOVERY: 10000,
   GOSSIPSUB_HEARTBEAT: 1000,
   INITIAL_SYNC_REQUEST: 1000,
+  PUBSUB_SYNC_FALLBACK: 5000,
   PEER_CHECK: 2000
 }
 
+// Point-to-point Yjs sync over libp2p streams
+export const SYNC_PROTOCOL = {
+  ID: '/yjs/sync/1.0.0',
+  MAX_PEERS: 2, // Peers to exchange state with when joining
+  MAX_MESSAGE_SIZE: 64 * 1024 * 1024 // 64 MB
+}
+
+// Protocol of circuit relay servers, which subscribe to room topics only to forward them
+export const RELAY_HOP_PROTOCOL = '/libp2p/circuit/relay/0.2.0/hop'
+
 // Relay server configuration
 export const RELAY_CONFIG = {
   HOP_TIMEOUT: 30000,
@@ -37,7 +72,40 @@ export const RELAY_CONFIG = {
   DIAL_TIMEOUT: 30000
 }
 
+// Splitting of large provider messages into chunks
+export const CHUNKING = {
+  MAX_MESSAGE_SIZE: 256 * 1024, // Larger messages are split into chunks of this size
+  MAX_CHUNKS: 1024, // Chunks accepted for a single message
+  MAX_TRANSFER_SIZE: 64 * 1024 * 1024, // 64 MB, largest message accepted from a peer
+  MAX_PENDING_BYTES: 128 * 1024 * 1024, // 128 MB, memory cap for all transfers in progress
+  REASSEMBLY_TIMEOUT: 30000
+}
+
+// Restricted rooms, whose topic names their owner
+export const ACCESS = {
+  OWNER_SEPARATOR: '/owner/', // Restricted topics look like `<name>/owner/<PeerId>`
+  ANNOUNCE_DELAY: 2000 // Longest random delay before a non-owner re-announces the ACL
+}
+
+// Local persistence of documents in IndexedDB (one database per topic)
+export const PERSISTENCE = {
+  DB_PREFIX: 'yjs-libp2p-',
+  PRIVATE_KEY: 'yjs-libp2p-private-key' // sessionStorage key keeping a tab's PeerId across reloads
+}
+
 // Default values
 export const DEFAULTS = {
   TOPIC: 'yjs-doc-1'
 }
+
+// Colours used to show collaborators' selections
+export const PEER_COLORS = [
+  '#e53935',
+  '#8e24aa',
+  '#3949ab',
+  '#00897b',
+  '#7cb342',
+  '#fb8c00',
+  '#6d4c41',
+  '#d81b60'
+]
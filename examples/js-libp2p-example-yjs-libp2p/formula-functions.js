@@ -0,0 +1,416 @@
+/**
+ * Built-in spreadsheet functions
+ *
+ * Functions are called with their evaluated arguments: scalars, ranges as
+ * arrays of rows, and FormulaError values for arguments that failed, so a
+ * function decides itself whether an error propagates (most do) or is
+ * handled (IFERROR). Calling a function with the wrong number of arguments
+ * gives #N/A.
+ */
+
+import {
+  ERRORS,
+  FormulaError,
+  checkNumber,
+  compareValues,
+  dateToSerial,
+  parseDate,
+  serialToDate,
+  timeToSerial,
+  toNumber,
+  toText
+} from './formula-values.js'
+
+/**
+ * Get a single value from an argument
+ *
+ * @param arg - Evaluated argument
+ * @returns Scalar value, the only cell of a single cell range
+ * @throws {FormulaError} If the argument is an error or a larger range
+ */
+function value (arg) {
+  if (arg instanceof FormulaError) {
+    throw arg
+  }
+  if (Array.isArray(arg)) {
+    if (arg.length === 1 && arg[0].length === 1) {
+      return value(arg[0][0])
+    }
+    throw new FormulaError(ERRORS.VALUE, 'Expected a single value, got a range')
+  }
+  return arg
+}
+
+/**
+ * Get a range from an argument
+ *
+ * @param arg - Evaluated argument
+ * @returns Array of rows
+ * @throws {FormulaError} If the argument is an error or not a range
+ */
+function range (arg) {
+  if (arg instanceof FormulaError) {
+    throw arg
+  }
+  if (!Array.isArray(arg)) {
+    throw new FormulaError(ERRORS.VALUE, 'Expected a range')
+  }
+  return arg
+}
+
+/**
+ * Collect the values of all arguments, with ranges flattened
+ *
+ * @param args - Evaluated arguments
+ * @returns Array of `{ value, inRange }`
+ * @throws {FormulaError} If an argument or a cell in a range is an error
+ */
+function values (args) {
+  const result = []
+  for (const arg of args) {
+    if (!Array.isArray(arg)) {
+      result.push({ value: value(arg), inRange: false })
+      continue
+    }
+    for (const cell of arg.flat()) {
+      if (cell instanceof FormulaError) { throw cell }
+      result.push({ value: cell, inRange: true })
+    }
+  }
+  return result
+}
+
+/**
+ * Collect the numbers of all arguments. Text, booleans and empty cells in
+ * ranges are ignored, other arguments are converted to numbers.
+ *
+ * @param args - Evaluated arguments
+ * @returns Array of numbers
+ */
+function numbers (args) {
+  const result = []
+  for (const { value, inRange } of values(args)) {
+    if (!inRange) {
+      result.push(toNumber(value))
+    } else if (typeof value === 'number') {
+      result.push(value)
+    }
+  }
+  return result
+}
+
+/**
+ * Convert a value to a boolean
+ *
+ * @param value - Scalar value
+ * @returns Boolean
+ * @throws {FormulaError} ERRORS.VALUE for text other than TRUE and FALSE
+ */
+function toBoolean (value) {
+  if (value == null) { return false }
+  if (typeof value === 'boolean') { return value }
+  if (typeof value === 'number') { return value !== 0 }
+
+  const text = value.trim().toUpperCase()
+  if (text === 'TRUE' || text === 'FALSE') {
+    return text === 'TRUE'
+  }
+  throw new FormulaError(ERRORS.VALUE, `"${value}" is not a boolean`)
+}
+
+/**
+ * Collect the booleans of all arguments for AND and OR. Text and empty
+ * cells in ranges are ignored.
+ *
+ * @param args - Evaluated arguments
+ * @returns Array of booleans
+ * @throws {FormulaError} ERRORS.VALUE if there are no values
+ */
+function booleans (args) {
+  const result = values(args)
+    .filter(({ value, inRange }) => !inRange || typeof value === 'number' || typeof value === 'boolean')
+    .map(({ value }) => toBoolean(value))
+
+  if (result.length === 0) {
+    throw new FormulaError(ERRORS.VALUE, 'No logical values')
+  }
+  return result
+}
+
+/**
+ * Round half away from zero, like Excel does
+ *
+ * @param number - Number to round
+ * @param digits - Decimal places, negative to round to tens, hundreds, ...
+ * @returns Rounded number
+ */
+function round (number, digits) {
+  const factor = 10 ** Math.abs(digits)
+  const scaled = digits >= 0 ? Math.abs(number) * factor : Math.abs(number) / factor
+  // Drop floating point noise, so 1.005 rounds to 1.01
+  const rounded = Math.round(Number(scaled.toPrecision(15)))
+  return checkNumber(Math.sign(number) * (digits >= 0 ? rounded / factor : rounded * factor))
+}
+
+/**
+ * Turn text with * and ? wildcards into a case-insensitive regular expression
+ *
+ * @param pattern - Text pattern
+ * @returns Regular expression matching the whole text
+ */
+function wildcardPattern (pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${source}$`, 'is')
+}
+
+/**
+ * Parse a SUMIF/COUNTIF criterion such as 5, ">10", "<>0" or "app*"
+ *
+ * @param criterion - Criterion value
+ * @returns Function testing a cell value
+ */
+function parseCriterion (criterion) {
+  if (typeof criterion !== 'string') {
+    return (cell) => cell != null && compareValues(cell, criterion) === 0
+  }
+
+  const [, op = '=', text] = criterion.match(/^(<=|>=|<>|<|>|=)?(.*)$/s)
+
+  if (text === '') {
+    return op === '<>' ? (cell) => cell != null && cell !== '' : (cell) => cell == null || cell === ''
+  }
+
+  let operand = text
+  if (text.trim() !== '' && !isNaN(Number(text))) {
+    operand = Number(text)
+  } else if (/^(TRUE|FALSE)$/i.test(text)) {
+    operand = text.toUpperCase() === 'TRUE'
+  }
+
+  if (typeof operand === 'string' && (op === '=' || op === '<>')) {
+    const pattern = wildcardPattern(operand)
+    const matches = (cell) => typeof cell === 'string' && pattern.test(cell)
+    return op === '=' ? matches : (cell) => !matches(cell)
+  }
+
+  const test = {
+    '=': (order) => order === 0,
+    '<>': (order) => order !== 0,
+    '<': (order) => order < 0,
+    '>': (order) => order > 0,
+    '<=': (order) => order <= 0,
+    '>=': (order) => order >= 0
+  }[op]
+
+  return (cell) => {
+    // Only values of the same type are compared, "<>" matches everything else
+    if (cell == null || cell instanceof FormulaError || typeof cell !== typeof operand) {
+      return op === '<>'
+    }
+    return test(compareValues(cell, operand))
+  }
+}
+
+/**
+ * Find the row of a value in the first column of a table
+ *
+ * @param lookup - Value to find
+ * @param table - Array of rows
+ * @param approximate - Whether the first column is sorted and the largest
+ * value not greater than the lookup value is accepted
+ * @returns The row
+ * @throws {FormulaError} ERRORS.NA if no row matches
+ */
+function lookupRow (lookup, table, approximate) {
+  let match = null
+
+  for (const row of table) {
+    const key = row[0]
+    if (key == null || key instanceof FormulaError || typeof key !== typeof lookup) {
+      continue
+    }
+
+    const order = compareValues(key, lookup)
+    if (order === 0) {
+      return row
+    }
+    if (approximate && order < 0) {
+      match = row
+    } else if (approximate) {
+      break
+    }
+  }
+
+  if (match == null) {
+    throw new FormulaError(ERRORS.NA, `${toText(lookup)} not found`)
+  }
+  return match
+}
+
+/**
+ * Get the date and time of a serial number argument
+ *
+ * @param arg - Evaluated argument, a serial number or date text
+ * @returns Parts of the date, see serialToDate
+ * @throws {FormulaError} ERRORS.NUM for dates before 1899-12-30
+ */
+function date (arg) {
+  const serial = toNumber(value(arg))
+  if (serial < 0) {
+    throw new FormulaError(ERRORS.NUM, 'Dates can not be negative')
+  }
+  return serialToDate(serial)
+}
+
+/**
+ * Wrap a function implementation with an argument count check
+ *
+ * @param min - Minimum number of arguments
+ * @param max - Maximum number of arguments
+ * @param impl - Implementation, called with the arguments spread
+ * @returns Function called with the array of arguments
+ */
+function define (min, max, impl) {
+  return (args) => {
+    if (args.length < min || args.length > max) {
+      throw new FormulaError(ERRORS.NA, `Expected ${min === max ? min : `${min} to ${max}`} arguments, got ${args.length}`)
+    }
+    return impl(...args)
+  }
+}
+
+// Built-in functions, called with evaluated arguments (ranges as arrays of rows)
+export const FUNCTIONS = {
+  // Math
+  SUM: define(1, Infinity, (...args) => checkNumber(numbers(args).reduce((sum, n) => sum + n, 0))),
+  AVERAGE: define(1, Infinity, (...args) => {
+    const list = numbers(args)
+    if (list.length === 0) {
+      throw new FormulaError(ERRORS.DIV0)
+    }
+    return checkNumber(list.reduce((sum, n) => sum + n, 0) / list.length)
+  }),
+  MIN: define(1, Infinity, (...args) => {
+    const list = numbers(args)
+    return list.length === 0 ? 0 : list.reduce((result, n) => Math.min(result, n))
+  }),
+  MAX: define(1, Infinity, (...args) => {
+    const list = numbers(args)
+    return list.length === 0 ? 0 : list.reduce((result, n) => Math.max(result, n))
+  }),
+  ROUND: define(2, 2, (number, digits) => round(toNumber(value(number)), Math.trunc(toNumber(value(digits))))),
+  ABS: define(1, 1, (number) => Math.abs(toNumber(value(number)))),
+
+  // Counting
+  COUNT: define(1, Infinity, (...args) => {
+    // Errors are not numbers, so they are skipped instead of propagated
+    return args
+      .flatMap((arg) => Array.isArray(arg) ? arg.flat() : [arg])
+      .filter((value) => typeof value === 'number')
+      .length
+  }),
+  COUNTA: define(1, Infinity, (...args) => {
+    return args
+      .flatMap((arg) => Array.isArray(arg) ? arg.flat() : [arg])
+      .filter((value) => value != null && value !== '')
+      .length
+  }),
+  COUNTIF: define(2, 2, (cells, criterion) => {
+    const matches = parseCriterion(value(criterion))
+    return range(cells).flat().filter(matches).length
+  }),
+  SUMIF: define(2, 3, (cells, criterion, sumCells = cells) => {
+    const matches = parseCriterion(value(criterion))
+    const sumRange = range(sumCells)
+    let sum = 0
+
+    range(cells).forEach((row, r) => {
+      row.forEach((cell, c) => {
+        if (!matches(cell)) { return }
+        const addend = sumRange[r]?.[c]
+        if (addend instanceof FormulaError) { throw addend }
+        if (typeof addend === 'number') { sum += addend }
+      })
+    })
+
+    return checkNumber(sum)
+  }),
+
+  // Logic
+  IF: define(2, 3, (condition, then, otherwise = false) => {
+    return value(toBoolean(value(condition)) ? then : otherwise)
+  }),
+  IFERROR: define(2, 2, (result, fallback) => {
+    return result instanceof FormulaError ? value(fallback) : value(result)
+  }),
+  AND: define(1, Infinity, (...args) => booleans(args).every(Boolean)),
+  OR: define(1, Infinity, (...args) => booleans(args).some(Boolean)),
+  NOT: define(1, 1, (arg) => !toBoolean(value(arg))),
+
+  // Text
+  CONCAT: define(1, Infinity, (...args) => values(args).map(({ value }) => toText(value)).join('')),
+  LEN: define(1, 1, (text) => toText(value(text)).length),
+  UPPER: define(1, 1, (text) => toText(value(text)).toUpperCase()),
+  LOWER: define(1, 1, (text) => toText(value(text)).toLowerCase()),
+
+  // Lookup
+  VLOOKUP: define(3, 4, (lookup, table, column, approximate = true) => {
+    const key = value(lookup)
+    const rows = range(table)
+    const index = Math.trunc(toNumber(value(column)))
+
+    if (index < 1) {
+      throw new FormulaError(ERRORS.VALUE, 'Column index must be at least 1')
+    }
+    if (index > rows[0].length) {
+      throw new FormulaError(ERRORS.REF, 'Column index is outside the range')
+    }
+
+    return value(lookupRow(key, rows, toBoolean(value(approximate)))[index - 1])
+  }),
+
+  // Dates, as serial numbers
+  DATE: define(3, 3, (year, month, day) => {
+    let y = Math.trunc(toNumber(value(year)))
+    // Like Excel, years below 1900 are counted from 1900
+    if (y < 1900) { y += 1900 }
+    const serial = dateToSerial(y, Math.trunc(toNumber(value(month))), Math.trunc(toNumber(value(day))))
+    if (y > 9999 || serial < 0) {
+      throw new FormulaError(ERRORS.NUM, 'Date out of range')
+    }
+    return serial
+  }),
+  DATEVALUE: define(1, 1, (text) => {
+    const serial = parseDate(toText(value(text)))
+    if (serial == null) {
+      throw new FormulaError(ERRORS.VALUE, `"${toText(value(text))}" is not a date`)
+    }
+    return Math.floor(serial)
+  }),
+  TIME: define(3, 3, (hours, minutes, seconds) => {
+    const serial = timeToSerial(...[hours, minutes, seconds].map((arg) => Math.trunc(toNumber(value(arg)))))
+    if (serial < 0) {
+      throw new FormulaError(ERRORS.NUM, 'Time can not be negative')
+    }
+    // Times wrap around midnight
+    return serial % 1
+  }),
+  YEAR: define(1, 1, (serial) => date(serial).year),
+  MONTH: define(1, 1, (serial) => date(serial).month),
+  DAY: define(1, 1, (serial) => date(serial).day),
+  WEEKDAY: define(1, 2, (serial, type = 1) => {
+    const { weekday } = date(serial)
+    switch (Math.trunc(toNumber(value(type)))) {
+      case 1: return weekday + 1 // Sunday is 1
+      case 2: return ((weekday + 6) % 7) + 1 // Monday is 1
+      case 3: return (weekday + 6) % 7 // Monday is 0
+      default: throw new FormulaError(ERRORS.NUM, 'Weekday type must be 1, 2 or 3')
+    }
+  }),
+  HOUR: define(1, 1, (serial) => date(serial).hours),
+  MINUTE: define(1, 1, (serial) => date(serial).minutes),
+  SECOND: define(1, 1, (serial) => date(serial).seconds)
+}
@@ -0,0 +1,841 @@
+/**
+ * Formula parser and evaluator
+ *
+ * Formulas are tokenized, parsed into an AST and evaluated by walking the
+ * tree, so nothing a peer types into a cell is ever run as JavaScript.
+ *
+ * Operators, from lowest to highest precedence:
+ * - Comparison: = <> < > <= >=
+ * - Concatenation: &
+ * - Addition and subtraction: + -
+ * - Multiplication and division: * /
+ * - Exponentiation: ^
+ * - Unary minus and plus (so -2^2 is 4, like in Excel)
+ *
+ * Cell references can anchor their column, row or both with `$` ($A$1,
+ * A$1, $A1). Anchors only matter when a formula is copied; every form
+ * refers to the same cell.
+ *
+ * References can point to another sheet of the workbook: `Sheet2!A1`,
+ * `Budget!B2:B20`, or `'Q1 Plan'!A1` for names that need quoting.
+ *
+ * Other names stand for what the workbook defines them as: `=SUM(Revenue)`
+ * evaluates the definition of Revenue, e.g. `=Sheet1!$B$2:$B$50`, in its
+ * place.
+ *
+ * Errors are values: a failing expression evaluates to a FormulaError whose
+ * code is shown in the cell, and errors in referenced cells propagate.
+ */
+
+import { FUNCTIONS } from './formula-functions.js'
+import {
+  ERRORS,
+  FormulaError,
+  checkNumber,
+  compareValues,
+  toNumber,
+  toText
+} from './formula-values.js'
+
+// A cell reference token, not followed by more of a name or a call
+const REFERENCE = /^\$?[A-Za-z]+\$?\d+(?![\w.(])/
+const CELL_REF = /^(\$?)([A-Z]+)(\$?)(\d+)$/
+// A sheet name that can be written without quotes
+const SHEET_NAME = /^[A-Za-z_][\w.]*/
+const OPERATORS = ['<=', '>=', '<>', '+', '-', '*', '/', '^', '&', '=', '<', '>', '(', ')', ',', ':']
+
+/**
+ * Read a string literal: "text", with "" for a quote
+ *
+ * @param text - Formula text
+ * @param start - Index of the opening quote
+ * @returns `{ value, end }` with the index after the closing quote
+ */
+function readString (text, start) {
+  let value = ''
+  let i = start + 1
+
+  while (i < text.length) {
+    if (text[i] !== '"') {
+      value += text[i++]
+    } else if (text[i + 1] === '"') {
+      value += '"'
+      i += 2
+    } else {
+      return { value, end: i + 1 }
+    }
+  }
+
+  throw new FormulaError(ERRORS.ERROR, 'Unterminated string')
+}
+
+/**
+ * Read the sheet name before a `!`: Sheet2! or 'My Sheet'!
+ *
+ * @param text - Formula text
+ * @param start - Index where the name may start
+ * @returns `{ name, end }` with the index after the `!`, or null
+ */
+function readSheetPrefix (text, start) {
+  if (text[start] !== "'") {
+    const name = text.slice(start).match(SHEET_NAME)?.[0]
+    if (name == null || text[start + name.length] !== '!') {
+      return null
+    }
+    return { name, end: start + name.length + 1 }
+  }
+
+  let name = ''
+  let i = start + 1
+  while (i < text.length) {
+    if (text[i] !== "'") {
+      name += text[i++]
+    } else if (text[i + 1] === "'") {
+      name += "'"
+      i += 2
+    } else if (text[i + 1] === '!' && name !== '') {
+      return { name, end: i + 2 }
+    } else {
+      break
+    }
+  }
+
+  throw new FormulaError(ERRORS.ERROR, `Invalid sheet name at ${start}`)
+}
+
+/**
+ * Split a formula (without the leading `=`) into tokens.
+ * Reference tokens also carry their sheet (or null) and their position.
+ *
+ * @param text - Formula text
+ * @returns Array of `{ type, value }` tokens
+ */
+export function tokenize (text) {
+  const tokens = []
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (/\s/.test(char)) {
+      i++
+      continue
+    }
+
+    // Numbers: 1, 1.5, .5, 1e3
+    const number = text.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i)
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]) })
+      i += number[0].length
+      continue
+    }
+
+    if (char === '"') {
+      const { value, end } = readString(text, i)
+      tokens.push({ type: 'string', value })
+      i = end
+      continue
+    }
+
+    const rest = text.slice(i)
+
+    // Error literals such as #REF!
+    if (char === '#') {
+      const code = Object.values(ERRORS).find((code) => rest.startsWith(code))
+      if (!code) {
+        throw new FormulaError(ERRORS.ERROR, `Unknown error literal at ${i}`)
+      }
+      tokens.push({ type: 'error', value: code })
+      i += code.length
+      continue
+    }
+
+    const sheet = readSheetPrefix(text, i)
+    const reference = text.slice(sheet?.end ?? i).match(REFERENCE)
+    if (sheet && !reference) {
+      throw new FormulaError(ERRORS.ERROR, `Expected a cell reference after "${sheet.name}!"`)
+    }
+    if (reference) {
+      const end = (sheet?.end ?? i) + reference[0].length
+      tokens.push({ type: 'reference', value: reference[0].toUpperCase(), sheet: sheet?.name ?? null, start: i, end })
+      i = end
+      continue
+    }
+
+    // Function names and other names
+    const identifier = rest.match(/^[A-Za-z_][A-Za-z0-9_.]*/)
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0].toUpperCase() })
+      i += identifier[0].length
+      continue
+    }
+
+    const operator = OPERATORS.find((op) => rest.startsWith(op))
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator })
+      i += operator.length
+      continue
+    }
+
+    throw new FormulaError(ERRORS.ERROR, `Unexpected character "${char}" at ${i}`)
+  }
+
+  return tokens
+}
+
+/**
+ * Recursive descent parser producing an AST from tokens
+ */
+class Parser {
+  constructor (tokens) {
+    this.tokens = tokens
+    this.position = 0
+  }
+
+  peek () {
+    return this.tokens[this.position]
+  }
+
+  next () {
+    return this.tokens[this.position++]
+  }
+
+  /**
+   * Consume the next token if it is one of the given operators
+   *
+   * @param operators - Accepted operators
+   * @returns The operator, or null
+   */
+  accept (...operators) {
+    const token = this.peek()
+    if (token?.type === 'operator' && operators.includes(token.value)) {
+      this.position++
+      return token.value
+    }
+    return null
+  }
+
+  expect (operator) {
+    if (!this.accept(operator)) {
+      throw new FormulaError(ERRORS.ERROR, `Expected "${operator}"`)
+    }
+  }
+
+  parse () {
+    const ast = this.comparison()
+    if (this.position < this.tokens.length) {
+      throw new FormulaError(ERRORS.ERROR, `Unexpected "${this.peek().value}"`)
+    }
+    return ast
+  }
+
+  /**
+   * Parse a left-associative chain of binary operators
+   *
+   * @param operators - Operators at this precedence level
+   * @param operand - Parser for the next higher level
+   */
+  binary (operators, operand) {
+    let left = operand()
+    let op
+    while ((op = this.accept(...operators)) != null) {
+      left = { type: 'binary', op, left, right: operand() }
+    }
+    return left
+  }
+
+  comparison () {
+    return this.binary(['=', '<>', '<=', '>=', '<', '>'], () => this.concat())
+  }
+
+  concat () {
+    return this.binary(['&'], () => this.additive())
+  }
+
+  additive () {
+    return this.binary(['+', '-'], () => this.multiplicative())
+  }
+
+  multiplicative () {
+    return this.binary(['*', '/'], () => this.power())
+  }
+
+  power () {
+    return this.binary(['^'], () => this.unary())
+  }
+
+  unary () {
+    const op = this.accept('-', '+')
+    if (op) {
+      return { type: 'unary', op, operand: this.unary() }
+    }
+    return this.primary()
+  }
+
+  primary () {
+    const token = this.next()
+    if (!token) {
+      throw new FormulaError(ERRORS.ERROR, 'Unexpected end of formula')
+    }
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: token.type, value: token.value }
+      case 'error':
+        return { type: 'error', code: token.value }
+      case 'identifier':
+        return this.identifier(token.value)
+      case 'reference':
+        return this.reference(token)
+      case 'operator':
+        if (token.value === '(') {
+          const expression = this.comparison()
+          this.expect(')')
+          return expression
+        }
+        break
+      default:
+        break
+    }
+
+    throw new FormulaError(ERRORS.ERROR, `Unexpected "${token.value}"`)
+  }
+
+  identifier (name) {
+    // Function call
+    if (this.accept('(')) {
+      const args = []
+      if (!this.accept(')')) {
+        do {
+          args.push(this.comparison())
+        } while (this.accept(','))
+        this.expect(')')
+      }
+      return { type: 'call', name, args }
+    }
+
+    if (name === 'TRUE' || name === 'FALSE') {
+      return { type: 'boolean', value: name === 'TRUE' }
+    }
+
+    return { type: 'name', name }
+  }
+
+  reference (token) {
+    const start = this.cell(token.value, token.sheet)
+    if (this.accept(':')) {
+      const end = this.next()
+      if (end?.type !== 'reference') {
+        throw new FormulaError(ERRORS.ERROR, 'Expected a cell reference after ":"')
+      }
+      // Both corners are on the sheet named before the first one
+      if (end.sheet != null && !sameSheetName(end.sheet, token.sheet)) {
+        throw new FormulaError(ERRORS.ERROR, 'A range must be on a single sheet')
+      }
+      return { type: 'range', sheet: token.sheet, start, end: this.cell(end.value, token.sheet) }
+    }
+    return start
+  }
+
+  cell (text, sheet) {
+    const reference = parseReference(text)
+    // Row 0 doesn't exist
+    if (/[A-Z]0+$/.test(reference.ref)) {
+      return { type: 'error', code: ERRORS.REF }
+    }
+    return { type: 'cell', sheet, ...reference }
+  }
+}
+
+/**
+ * Split a cell reference into the cell and its anchors
+ *
+ * @param text - Reference like A1, $A$1, A$1 or $A1
+ * @returns `{ ref, absoluteColumn, absoluteRow }` with ref without anchors,
+ * or null if the text is not a cell reference
+ */
+export function parseReference (text) {
+  const match = text.toUpperCase().match(CELL_REF)
+  if (!match) {
+    return null
+  }
+  const [, column, letters, row, digits] = match
+  return {
+    ref: letters + digits,
+    absoluteColumn: column === '$',
+    absoluteRow: row === '$'
+  }
+}
+
+/**
+ * Check whether text can be defined as a name: formulas must read it as a
+ * name, not as a cell reference, a boolean or several tokens
+ *
+ * @param text - Proposed name
+ */
+export function isValidName (text) {
+  let tokens
+  try {
+    tokens = tokenize(text)
+  } catch {
+    return false
+  }
+  return tokens.length === 1 &&
+    tokens[0].type === 'identifier' &&
+    tokens[0].value.length === text.length &&
+    !['TRUE', 'FALSE'].includes(tokens[0].value)
+}
+
+/**
+ * Compare sheet names, which are case-insensitive
+ *
+ * @param a - Sheet name or null
+ * @param b - Sheet name or null
+ * @returns True if both name the same sheet
+ */
+export function sameSheetName (a, b) {
+  return a?.toUpperCase() === b?.toUpperCase()
+}
+
+/**
+ * Write a sheet name so it can be used in a formula, quoted if needed
+ *
+ * @param name - Sheet name
+ * @returns `Sheet2` or `'My Sheet'`
+ */
+export function formatSheetName (name) {
+  if (SHEET_NAME.exec(name)?.[0] === name) {
+    return name
+  }
+  return `'${name.replace(/'/g, "''")}'`
+}
+
+/**
+ * Write a reference as it appears in a formula
+ *
+ * @param reference - `{ ref, absoluteColumn, absoluteRow }`, with `sheet` to
+ * qualify it with a sheet name and `end` (another reference) for a range
+ * @returns Reference text like `A1`, `$B$2`, `Sheet2!A$1` or `A1:B$5`
+ */
+export function formatReference (reference) {
+  const { sheet, ref, absoluteColumn, absoluteRow, end } = reference
+  const [, letters, digits] = ref.match(/^([A-Z]+)(\d+)$/)
+  const prefix = sheet != null ? `${formatSheetName(sheet)}!` : ''
+  const cell = `${prefix}${absoluteColumn ? '$' : ''}${letters}${absoluteRow ? '$' : ''}${digits}`
+  return end != null ? `${cell}:${formatReference({ ...end, sheet: null, end: null })}` : cell
+}
+
+/**
+ * Rewrite the cell references of a formula, keeping everything else as typed
+ *
+ * @param formula - Formula text starting with `=`
+ * @param rewrite - Called with `{ ref, absoluteColumn, absoluteRow, sheet,
+ * qualified, end }` for every cell or range, where `sheet` is the sheet the
+ * reference is on (null for the formula's own sheet), `qualified` tells
+ * whether the sheet name was written before it and `end` is the other corner
+ * of a range. Returns the new text of the whole reference, or null to keep it.
+ * @returns The rewritten formula; formulas that can't be tokenized are
+ * returned unchanged
+ */
+export function rewriteReferences (formula, rewrite) {
+  let tokens
+  try {
+    tokens = tokenize(formula.slice(1))
+  } catch {
+    return formula
+  }
+
+  const text = formula.slice(1)
+  let output = '='
+  let position = 0
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index]
+    if (token.type !== 'reference') { continue }
+
+    // A range is rewritten as a whole, its end is on the sheet of its start
+    const separator = tokens[index + 1]
+    const end = separator?.type === 'operator' && separator.value === ':' && tokens[index + 2]?.type === 'reference'
+      ? tokens[index + 2]
+      : null
+
+    const replacement = rewrite({
+      ...parseReference(token.value),
+      sheet: token.sheet,
+      qualified: token.sheet != null,
+      end: end != null ? parseReference(end.value) : null
+    })
+
+    if (end != null) {
+      index += 2
+    }
+    if (replacement == null) { continue }
+
+    output += text.slice(position, token.start) + replacement
+    position = (end ?? token).end
+  }
+
+  return output + text.slice(position)
+}
+
+/**
+ * Column index of column letters (A -> 0, AA -> 26)
+ *
+ * @param letters - Column letters
+ */
+export function columnIndex (letters) {
+  let col = 0
+  for (const letter of letters) {
+    col = col * 26 + letter.charCodeAt(0) - 64
+  }
+  return col - 1
+}
+
+/**
+ * Column letters of a column index (0 -> A, 26 -> AA)
+ *
+ * @param col - Column index
+ */
+export function columnLetters (col) {
+  let letters = ''
+  for (let rest = col; rest >= 0; rest = Math.floor(rest / 26) - 1) {
+    letters = String.fromCharCode(65 + (rest % 26)) + letters
+  }
+  return letters
+}
+
+/**
+ * Cell reference of a row and column index (0, 0 -> A1)
+ *
+ * @param row - Row index
+ * @param col - Column index
+ */
+export function coordToA1 (row, col) {
+  return columnLetters(col) + (row + 1)
+}
+
+/**
+ * Row and column index of a cell reference. Anchors ($A$1, A$1, $A1) are
+ * ignored, they refer to the same cell.
+ *
+ * @param a1 - Cell reference like B12
+ * @returns `{ row, col }`, or null for other text
+ */
+export function a1ToCoord (a1) {
+  const match = a1?.match(/^\$?([A-Z]+)\$?(\d+)$/)
+  return match ? { row: Number(match[2]) - 1, col: columnIndex(match[1]) } : null
+}
+
+/**
+ * Move the relative references of a formula, as copying it to another cell
+ * does. Anchored columns and rows stay where they are and references moved
+ * off the grid become #REF!.
+ *
+ * @param formula - Formula text starting with `=`
+ * @param rows - Rows to move down, negative to move up
+ * @param cols - Columns to move right, negative to move left
+ * @returns The moved formula
+ */
+export function offsetFormula (formula, rows, cols) {
+  const move = ({ ref, absoluteColumn, absoluteRow }) => {
+    const position = a1ToCoord(ref)
+    const col = position.col + (absoluteColumn ? 0 : cols)
+    const row = position.row + (absoluteRow ? 0 : rows)
+    return col < 0 || row < 0 ? null : coordToA1(row, col)
+  }
+
+  return rewriteReferences(formula, (reference) => {
+    const start = move(reference)
+    const end = reference.end != null ? move(reference.end) : null
+    if (start == null || (reference.end != null && end == null)) {
+      return ERRORS.REF
+    }
+    return formatReference({
+      ...reference,
+      sheet: reference.qualified ? reference.sheet : null,
+      ref: start,
+      end: end != null ? { ...reference.end, ref: end } : null
+    })
+  })
+}
+
+/**
+ * Parse a formula into an AST
+ *
+ * @param formula - Formula text, with or without the leading `=`
+ * @returns AST root node
+ * @throws {FormulaError} With code ERRORS.ERROR if the formula is invalid
+ */
+export function parseFormula (formula) {
+  const text = formula.startsWith('=') ? formula.slice(1) : formula
+  return new Parser(tokenize(text)).parse()
+}
+
+/**
+ * Collect the cells and ranges an AST refers to
+ *
+ * @param ast - Parsed formula
+ * @returns `{ cells, ranges, names }` with `{ sheet, ref }` cells,
+ * `{ sheet, start, end }` ranges, where sheet is null for the formula's own
+ * sheet, and the upper case names it uses
+ */
+export function collectReferences (ast) {
+  const cells = new Map()
+  const ranges = []
+  const names = new Set()
+
+  const visit = (node) => {
+    switch (node.type) {
+      case 'cell':
+        cells.set(`${node.sheet?.toUpperCase() ?? ''}!${node.ref}`, { sheet: node.sheet, ref: node.ref })
+        break
+      case 'range':
+        if (node.start.type === 'cell' && node.end.type === 'cell') {
+          ranges.push({ sheet: node.sheet, start: node.start.ref, end: node.end.ref })
+        }
+        break
+      case 'name':
+        names.add(node.name)
+        break
+      case 'unary':
+        visit(node.operand)
+        break
+      case 'binary':
+        visit(node.left)
+        visit(node.right)
+        break
+      case 'call':
+        node.args.forEach(visit)
+        break
+      default:
+        break
+    }
+  }
+
+  visit(ast)
+  return { cells: [...cells.values()], ranges, names: [...names] }
+}
+
+/**
+ * Check whether a formula can be evaluated here: it parses, only calls
+ * built-in functions and only uses names that are defined. Formulas from
+ * other spreadsheet applications may not.
+ *
+ * @param formula - Formula text, with or without the leading `=`
+ * @param names - Upper case names defined for the formula, e.g. in the
+ * workbook it was read from
+ * @returns False for invalid formulas, unknown functions and unknown names
+ */
+export function isSupportedFormula (formula, names = new Set()) {
+  let ast
+  try {
+    ast = parseFormula(formula)
+  } catch {
+    return false
+  }
+
+  const supported = (node) => {
+    switch (node.type) {
+      case 'name':
+        return names.has(node.name.toUpperCase())
+      case 'call':
+        return Object.hasOwn(FUNCTIONS, node.name) && node.args.every(supported)
+      case 'unary':
+        return supported(node.operand)
+      case 'binary':
+        return supported(node.left) && supported(node.right)
+      default:
+        return true
+    }
+  }
+
+  return supported(ast)
+}
+
+/**
+ * Evaluate an AST node
+ *
+ * @param node - AST node
+ * @param context - `{ getCell(ref, sheet), getRange(start, end, sheet),
+ * getName(name) }` returning values and the parsed definitions of names,
+ * where sheet is a sheet name or null for the own sheet
+ * @returns Scalar value, or an array of rows for ranges
+ * @throws {FormulaError} If the expression has an error value
+ */
+function evaluateNode (node, context) {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+      return node.value
+    case 'error':
+      throw new FormulaError(node.code)
+    case 'name':
+      return evaluateName(node, context)
+    case 'cell': {
+      const value = context.getCell(node.ref, node.sheet)
+      if (value instanceof FormulaError) {
+        throw value
+      }
+      return value
+    }
+    case 'range':
+      if (node.start.type !== 'cell' || node.end.type !== 'cell') {
+        throw new FormulaError(ERRORS.REF)
+      }
+      return context.getRange(node.start.ref, node.end.ref, node.sheet)
+    case 'unary': {
+      const value = toNumber(scalar(node.operand, context))
+      return node.op === '-' ? -value : value
+    }
+    case 'binary':
+      return evaluateBinary(node, context)
+    case 'call': {
+      const fn = Object.hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null
+      if (!fn) {
+        throw new FormulaError(ERRORS.NAME, `Unknown function ${node.name}`)
+      }
+      return fn(node.args.map((arg) => evaluateArgument(arg, context)))
+    }
+    default:
+      break
+  }
+
+  throw new FormulaError(ERRORS.ERROR, `Unknown node ${node.type}`)
+}
+
+/**
+ * Evaluate the definition of a name where it is used
+ *
+ * @param node - Name AST node
+ * @param context - Evaluation context, with the names being evaluated in
+ * `names`
+ * @returns Value, or an array of rows for names of ranges
+ */
+function evaluateName (node, context) {
+  const definition = context.getName?.(node.name)
+  if (definition == null) {
+    throw new FormulaError(ERRORS.NAME, `Unknown name ${node.name}`)
+  }
+
+  const names = context.names ?? new Set()
+  if (names.has(node.name)) {
+    throw new FormulaError(ERRORS.CIRCULAR, `${node.name} is defined with itself`)
+  }
+  return evaluateNode(definition, { ...context, names: new Set([...names, node.name]) })
+}
+
+/**
+ * Evaluate a function argument, returning errors as values so functions
+ * like IFERROR can handle them. A reference to a single cell is passed as a
+ * one-cell range, so functions like SUM and MIN skip its text and emptiness
+ * the way they do in larger ranges.
+ *
+ * @param node - AST node
+ * @param context - Evaluation context
+ * @returns Value, array of rows or FormulaError
+ */
+function evaluateArgument (node, context) {
+  try {
+    const value = evaluateNode(node, context)
+    const reference = node.type === 'cell' || (node.type === 'name' && context.getName?.(node.name)?.type === 'cell')
+    return reference ? [[value]] : value
+  } catch (err) {
+    if (err instanceof FormulaError) {
+      return err
+    }
+    throw err
+  }
+}
+
+/**
+ * Evaluate a node that must produce a single value
+ *
+ * @param node - AST node
+ * @param context - Evaluation context
+ * @returns Scalar value
+ */
+function scalar (node, context) {
+  const value = evaluateNode(node, context)
+  if (Array.isArray(value)) {
+    throw new FormulaError(ERRORS.VALUE, 'A range can only be used as a function argument')
+  }
+  return value
+}
+
+/**
+ * Evaluate a binary operator
+ *
+ * @param node - Binary AST node
+ * @param context - Evaluation context
+ * @returns Result value
+ */
+function evaluateBinary (node, context) {
+  const left = scalar(node.left, context)
+  const right = scalar(node.right, context)
+
+  switch (node.op) {
+    case '+':
+      return checkNumber(toNumber(left) + toNumber(right))
+    case '-':
+      return checkNumber(toNumber(left) - toNumber(right))
+    case '*':
+      return checkNumber(toNumber(left) * toNumber(right))
+    case '/': {
+      const divisor = toNumber(right)
+      if (divisor === 0) {
+        throw new FormulaError(ERRORS.DIV0)
+      }
+      return checkNumber(toNumber(left) / divisor)
+    }
+    case '^':
+      return checkNumber(toNumber(left) ** toNumber(right))
+    case '&':
+      return toText(left) + toText(right)
+    case '=':
+      return compareValues(left, right) === 0
+    case '<>':
+      return compareValues(left, right) !== 0
+    case '<':
+      return compareValues(left, right) < 0
+    case '>':
+      return compareValues(left, right) > 0
+    case '<=':
+      return compareValues(left, right) <= 0
+    case '>=':
+      return compareValues(left, right) >= 0
+    default:
+      break
+  }
+
+  throw new FormulaError(ERRORS.ERROR, `Unknown operator ${node.op}`)
+}
+
+/**
+ * Evaluate a formula
+ *
+ * @param formula - Formula text or a parsed AST
+ * @param context - `{ getCell(ref, sheet), getRange(start, end, sheet),
+ * getName(name) }`; sheet is a sheet name or null for the formula's own sheet,
+ * cell values are numbers, text, booleans, null for empty cells or
+ * FormulaError instances, and getName returns the parsed definition of an
+ * upper case name, or null if it isn't defined
+ * @returns Number, text or boolean result, or a FormulaError
+ */
+export function evaluateFormula (formula, context) {
+  try {
+    const ast = typeof formula === 'string' ? parseFormula(formula) : formula
+    const value = scalar(ast, context)
+    if (typeof value === 'number') {
+      return checkNumber(value)
+    }
+    // A formula referring to an empty cell shows 0
+    return value ?? 0
+  } catch (err) {
+    if (err instanceof FormulaError) {
+      return err
+    }
+    return new FormulaError(ERRORS.ERROR, err.message)
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Values of formulas
+ *
+ * Formulas work with numbers, text, booleans, null for empty cells and
+ * FormulaError for error values. Ranges are arrays of rows of such values.
+ * This module holds the error codes and the conversions between value types
+ * shared by the evaluator (formula-parser.js) and the function library
+ * (formula-functions.js).
+ *
+ * Dates and times are serial numbers, like in Excel: the number of days since
+ * 1899-12-30 with the time of day as the fraction, so 45306.5 is noon on
+ * 2024-01-15. Excel counts a 29 February 1900 that didn't exist, so its
+ * serials for dates before March 1900 are one higher.
+ */
+
+// Error codes shown in cells
+export const ERRORS = {
+  DIV0: '#DIV/0!', // Division by zero
+  NAME: '#NAME?', // Unknown function or name
+  VALUE: '#VALUE!', // Wrong type of operand, e.g. text in arithmetic
+  REF: '#REF!', // Invalid cell reference
+  NUM: '#NUM!', // Result is not a finite number
+  NA: '#N/A', // Value not found, or wrong number of function arguments
+  CIRCULAR: '#CIRCULAR!', // Formula depends on itself
+  ERROR: '#ERROR!' // Formula can't be parsed
+}
+
+const ERROR_CODES = new Set(Object.values(ERRORS))
+
+const DAY = 24 * 60 * 60 * 1000
+const EPOCH = Date.UTC(1899, 11, 30)
+
+// ISO dates with an optional time, and times on their own
+const DATE_TEXT = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?$/
+const TIME_TEXT = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/
+
+/**
+ * Error value of a formula, thrown while evaluating and returned as the result
+ */
+export class FormulaError extends Error {
+  /**
+   * @param code - One of ERRORS
+   * @param message - Details for debugging
+   */
+  constructor (code, message = code) {
+    super(message)
+    this.name = 'FormulaError'
+    this.code = code
+  }
+}
+
+/**
+ * Check whether a stored cell value is an error code
+ *
+ * @param value - Cell value
+ * @returns True for error codes like '#DIV/0!'
+ */
+export function isErrorCode (value) {
+  return typeof value === 'string' && ERROR_CODES.has(value)
+}
+
+/**
+ * Convert a value to a number, like Excel does for arithmetic
+ *
+ * @param value - Scalar value
+ * @returns Number
+ * @throws {FormulaError} ERRORS.VALUE for text that is not a number
+ */
+export function toNumber (value) {
+  if (value == null || value === '') { return 0 }
+  if (typeof value === 'number') { return value }
+  if (typeof value === 'boolean') { return value ? 1 : 0 }
+
+  const number = Number(value.trim())
+  if (value.trim() !== '' && !isNaN(number)) {
+    return number
+  }
+
+  // Dates and times in text count as their serial number
+  const serial = parseDate(value)
+  if (serial == null) {
+    throw new FormulaError(ERRORS.VALUE, `"${value}" is not a number`)
+  }
+  return serial
+}
+
+/**
+ * Convert a value to text, like Excel does for concatenation
+ *
+ * @param value - Scalar value
+ * @returns Text
+ */
+export function toText (value) {
+  if (value == null) { return '' }
+  if (typeof value === 'boolean') { return value ? 'TRUE' : 'FALSE' }
+  return String(value)
+}
+
+/**
+ * Empty value of the same type as another value
+ *
+ * @param value - Value an empty cell is compared with
+ * @returns '', FALSE or 0
+ */
+function emptyLike (value) {
+  if (typeof value === 'string') { return '' }
+  if (typeof value === 'boolean') { return false }
+  return 0
+}
+
+/**
+ * Sort order of value types: numbers, text, booleans
+ *
+ * @param value - Non-empty value
+ * @returns Rank of the type
+ */
+function rank (value) {
+  if (typeof value === 'number') { return 0 }
+  if (typeof value === 'string') { return 1 }
+  return 2
+}
+
+/**
+ * Compare two values: numbers sort before text, text before booleans, text
+ * is compared case-insensitively and empty cells match 0, "" and FALSE
+ *
+ * @param a - Left value
+ * @param b - Right value
+ * @returns Negative, zero or positive
+ */
+export function compareValues (a, b) {
+  if (a == null) { a = emptyLike(b) }
+  if (b == null) { b = emptyLike(a) }
+
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b)
+  }
+
+  if (typeof a === 'string') {
+    a = a.toLowerCase()
+    b = b.toLowerCase()
+  }
+  if (a === b) { return 0 }
+  return a < b ? -1 : 1
+}
+
+/**
+ * Check a numeric result
+ *
+ * @param value - Result of an arithmetic operation
+ * @returns The value
+ * @throws {FormulaError} ERRORS.NUM for infinite or NaN results
+ */
+export function checkNumber (value) {
+  if (!isFinite(value)) {
+    throw new FormulaError(ERRORS.NUM)
+  }
+  return value
+}
+
+/**
+ * Get the serial number of a date
+ *
+ * @param year - Full year
+ * @param month - Month, 1 to 12, others roll over into the next or previous years
+ * @param day - Day of the month, others roll over into the next or previous months
+ * @returns Serial number
+ */
+export function dateToSerial (year, month, day) {
+  // Unlike Date.UTC, this doesn't take years below 100 as 19xx
+  const date = new Date(0)
+  date.setUTCFullYear(year, month - 1, day)
+  return (date.getTime() - EPOCH) / DAY
+}
+
+/**
+ * Get the serial number of a time of day
+ *
+ * @param hours - Hours
+ * @param minutes - Minutes
+ * @param seconds - Seconds
+ * @returns Fraction of a day, more than 1 for over 24 hours
+ */
+export function timeToSerial (hours, minutes, seconds) {
+  return (hours * 3600 + minutes * 60 + seconds) / 86400
+}
+
+/**
+ * Get the date and time of a serial number
+ *
+ * @param serial - Serial number
+ * @returns `{ year, month, day, weekday, hours, minutes, seconds, milliseconds }`
+ * with months from 1 and weekdays from 0 for Sunday
+ */
+export function serialToDate (serial) {
+  // Rounded to milliseconds, so 0.5 is exactly noon
+  const date = new Date(EPOCH + Math.round(serial * DAY))
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    hours: date.getUTCHours(),
+    minutes: date.getUTCMinutes(),
+    seconds: date.getUTCSeconds(),
+    milliseconds: date.getUTCMilliseconds()
+  }
+}
+
+/**
+ * Parse an ISO date such as `2024-01-15` or `2024-01-15 13:30`, or a time
+ * such as `13:30:15`
+ *
+ * @param text - Text to parse
+ * @returns Serial number, or null if the text is not a valid date or time
+ */
+export function parseDate (text) {
+  const trimmed = text.trim()
+  const date = trimmed.match(DATE_TEXT)
+  const time = date == null ? trimmed.match(TIME_TEXT) : null
+  if (date == null && time == null) { return null }
+
+  const [year, month, day, hours = 0, minutes = 0, seconds = 0] = date != null
+    ? date.slice(1).map((part) => part != null ? Number(part) : undefined)
+    : [null, null, null, ...time.slice(1).map((part) => part != null ? Number(part) : undefined)]
+
+  if (hours > 23 || minutes > 59 || seconds >= 60) { return null }
+  if (date == null) { return timeToSerial(hours, minutes, seconds) }
+
+  // Reject days the month doesn't have, such as 2023-02-29
+  const serial = dateToSerial(year, month, day)
+  const check = serialToDate(serial)
+  if (check.month !== month || check.day !== day) { return null }
+
+  return serial + timeToSerial(hours, minutes, seconds)
+}
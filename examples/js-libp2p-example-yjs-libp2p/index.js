@@ -5,6 +5,7 @@ import { yamux } from '@chainsafe/libp2p-yamux'
 import { autoNAT } from '@libp2p/autonat'
 import { bootstrap } from '@libp2p/bootstrap'
 import { circuitRelayTransport } from '@libp2p/circuit-relay-v2'
+import { generateKeyPair, privateKeyFromProtobuf, privateKeyToProtobuf } from '@libp2p/crypto/keys'
 import { dcutr } from '@libp2p/dcutr'
 import { gossipsub } from '@libp2p/gossipsub'
 import { identify, identifyPush } from '@libp2p/identify'
@@ -13,24 +14,31 @@ import { pubsubPeerDiscovery } from '@libp2p/pubsub-peer-discovery'
 import { webRTC, webRTCDirect } from '@libp2p/webrtc'
 import { webSockets } from '@libp2p/websockets'
 import { createLibp2p } from 'libp2p'
+import { fromString, toString } from 'uint8arrays'
+import { IndexeddbPersistence } from 'y-indexeddb'
+import { Awareness } from 'y-protocols/awareness'
 import * as Y from 'yjs'
-import { DEBUG, TIMEOUTS, INTERVALS } from './constants.js'
+import { DEBUG, TIMEOUTS, INTERVALS, PERSISTENCE, WIRE_VERSION } from './constants.js'
 import {
+  getPeerColor,
   getTransportType,
   updatePeerDisplay,
   updateMultiaddrDisplay
 } from './peer-display.js'
-import {
-  SpreadsheetEngine,
-  SpreadsheetUI
-} from './spreadsheet-engine.js'
+import { getTopicOwner, restrictedTopic } from './room-acl.js'
+import { deriveRoomKey, getRoomSecret } from './room-crypto.js'
+import { SpreadsheetEngine } from './spreadsheet-engine.js'
+import { SpreadsheetUI } from './spreadsheet-ui.js'
 import { Libp2pProvider } from './yjs-libp2p-provider.js'
 
 // UI elements (network and logging related)
 const topicInput = document.getElementById('topic')
+const userNameInput = document.getElementById('user-name')
+const restrictedRoomInput = document.getElementById('restricted-room')
 const connectWebRTCBtn = document.getElementById('connect-webrtc')
 const connectWebSocketBtn = document.getElementById('connect-websocket')
 const connectionModeEl = document.getElementById('connection-mode')
+const roomSecurityEl = document.getElementById('room-security')
 const logEl = document.getElementById('log')
 const peersEl = document.getElementById('peers')
 const peerCountEl = document.getElementById('peer-count')
@@ -39,9 +47,16 @@ const multiaddrsEl = document.getElementById('multiaddrs')
 const multiaddrSelectEl = document.getElementById('multiaddr-select')
 const peerIdDisplayEl = document.getElementById('peer-id-display')
 const peerIdValueEl = document.getElementById('peer-id-value')
+const accessPanelEl = document.getElementById('access-panel')
+const accessRoleEl = document.getElementById('access-role')
+const accessEditorEl = document.getElementById('access-editor')
+const aclWritersEl = document.getElementById('acl-writers')
+const aclReadersEl = document.getElementById('acl-readers')
+const aclSaveBtn = document.getElementById('acl-save')
 
 let libp2pNode
 let yjsDoc
+let persistence
 let provider
 let spreadsheetEngine
 let spreadsheetUI
@@ -72,6 +87,63 @@ const log = (message, isError = false) => {
   }
 }
 
+/**
+ * Loads this tab's libp2p key, so the PeerId (and ownership of restricted
+ * rooms) survives reloads.
+ *
+ * @returns {Promise<import('@libp2p/interface').PrivateKey>} Private key
+ */
+async function loadPrivateKey () {
+  const stored = sessionStorage.getItem(PERSISTENCE.PRIVATE_KEY)
+  if (stored) {
+    try {
+      return privateKeyFromProtobuf(fromString(stored, 'base64'))
+    } catch (err) {
+      log(`⚠️ Ignoring stored key: ${err.message}`, true)
+    }
+  }
+
+  const privateKey = await generateKeyPair('Ed25519')
+  sessionStorage.setItem(PERSISTENCE.PRIVATE_KEY, toString(privateKeyToProtobuf(privateKey), 'base64'))
+  return privateKey
+}
+
+/**
+ * Shows our role in a restricted room and makes the sheet read-only for viewers.
+ */
+function updateAccessDisplay () {
+  if (!provider?.access.restricted) {
+    return
+  }
+
+  const { role, access } = provider
+  const labels = {
+    owner: '👑 You own this room',
+    writer: '✏️ You can edit this room',
+    reader: '👁️ View only - ask the owner for write access',
+    none: '⛔ You are not invited to this room'
+  }
+
+  accessPanelEl.style.display = 'block'
+  accessRoleEl.textContent = `${labels[role]} (owner ${access.owner.slice(0, 8)}...${access.owner.slice(-4)})`
+  accessEditorEl.style.display = role === 'owner' ? 'block' : 'none'
+
+  if (role === 'owner') {
+    aclWritersEl.value = access.acl.writers.filter((peerId) => peerId !== access.owner).join('\n')
+    aclReadersEl.value = access.acl.readers.join('\n')
+  }
+
+  spreadsheetUI?.setReadOnly(!provider.canWrite())
+}
+
+/**
+ * Splits a textarea into the PeerIds it lists.
+ *
+ * @param {HTMLTextAreaElement} textarea - One PeerId per line
+ * @returns {string[]} PeerIds
+ */
+const readPeerIds = (textarea) => textarea.value.split(/\s+/).filter(Boolean)
+
 // Connect function with bootstrap address selection
 async function connectWithTransports (mode = 'webrtc') {
   if (libp2pNode) {
@@ -79,7 +151,7 @@ async function connectWithTransports (mode = 'webrtc') {
     return
   }
 
-  const topic = topicInput.value.trim()
+  let topic = topicInput.value.trim()
   if (!topic) {
     log('Please enter a topic', true)
     return
@@ -150,7 +222,10 @@ async function connectWithTransports (mode = 'webrtc') {
     ]
 
     // Create libp2p node with ALL transports always enabled
+    const privateKey = await loadPrivateKey()
+
     libp2pNode = await createLibp2p({
+      privateKey,
       addresses: {
         listen: ['/p2p-circuit', '/webrtc']
       },
@@ -200,22 +275,81 @@ async function connectWithTransports (mode = 'webrtc') {
     // Expose for testing
     window.libp2pNode = libp2pNode
 
+    // A restricted room is named after its owner, share the full topic with collaborators
+    if (restrictedRoomInput.checked && getTopicOwner(topic) == null) {
+      topic = restrictedTopic(topic, peerIdStr)
+      topicInput.value = topic
+      log(`Created restricted room ${topic}`)
+    }
+
     // Update connection mode display
     connectionModeEl.textContent = mode === 'webrtc'
       ? '✅ Bootstrap: WebRTC-Direct (all transports active)'
       : '✅ Bootstrap: WebSocket (all transports active)'
     connectionModeEl.style.color = '#4caf50'
 
-    // Create Yjs document and spreadsheet engine
+    // Create Yjs document and load the copy stored in this browser before
+    // syncing, so offline edits are merged into the network state
     yjsDoc = new Y.Doc()
+    persistence = new IndexeddbPersistence(PERSISTENCE.DB_PREFIX + topic, yjsDoc)
+    await persistence.whenSynced
+    log(`Loaded local copy of "${topic}" (${yjsDoc.getMap('cells').size} cells)`)
+
     spreadsheetEngine = new SpreadsheetEngine(yjsDoc)
 
+    // Presence: who we are and which cell we have selected
+    const awareness = new Awareness(yjsDoc)
+    awareness.setLocalStateField('user', {
+      name: userNameInput.value.trim() || `Peer ${peerIdStr.slice(-4)}`,
+      color: getPeerColor(peerIdStr)
+    })
+
+    // A room secret in the URL fragment (#secret=...) enables end-to-end encryption
+    const roomSecret = getRoomSecret(window.location.hash)
+    const roomKey = roomSecret != null ? await deriveRoomKey(roomSecret, topic) : undefined
+    roomSecurityEl.textContent = roomKey != null
+      ? '🔒 End-to-end encrypted room'
+      : '🔓 Unencrypted room (add #secret=... to the URL to encrypt)'
+
     // Set up Yjs provider with libp2p
-    provider = new Libp2pProvider(topic, yjsDoc, libp2pNode)
+    provider = new Libp2pProvider(topic, yjsDoc, libp2pNode, {
+      awareness,
+      wireVersion: WIRE_VERSION,
+      roomKey,
+      privateKey,
+      onAccessChange: ({ acl }) => {
+        log(`Room access updated: ${acl.writers.length} writer(s), ${acl.readers.length || 'any'} reader(s)`)
+        updateAccessDisplay()
+      },
+      onIncompleteTransfer: ({ from, received, total, reason }) => {
+        log(`⚠️ Incomplete transfer from ${from.slice(0, 8)}...${from.slice(-4)}: ${received}/${total} chunks (${reason})`, true)
+      },
+      onDecryptError: ({ from, reason }) => {
+        log(`⚠️ Unable to decrypt messages from ${from.slice(0, 8)}...${from.slice(-4)} (${reason})`, true)
+        updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl, provider.undecryptablePeers)
+      }
+    })
+
+    // Expose for testing
+    window.provider = provider
+
+    // Documents saved by earlier versions store formula results, which every
+    // peer now computes itself
+    if (provider.canWrite()) {
+      const migrated = spreadsheetEngine.migrateStoredValues()
+      if (migrated > 0) {
+        log(`Removed stored results from ${migrated} formula cells`)
+      }
+    }
 
     // Create and initialize spreadsheet UI
-    spreadsheetUI = new SpreadsheetUI(spreadsheetEngine)
+    spreadsheetUI = new SpreadsheetUI(spreadsheetEngine, {
+      awareness,
+      readOnly: !provider.canWrite(),
+      onError: (err) => log(`⚠️ ${err.message}`, true)
+    })
     spreadsheetUI.initialize()
+    updateAccessDisplay()
 
     // Expose for testing
     window.spreadsheetUI = spreadsheetUI
@@ -223,7 +357,7 @@ async function connectWithTransports (mode = 'webrtc') {
     log('Ready! Open this page in another tab to collaborate.')
 
     // Initial display updates
-    updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl)
+    updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl, provider?.undecryptablePeers)
     updateMultiaddrDisplay(libp2pNode, multiaddrsEl, multiaddrSelectEl)
 
     // Auto-dial discovered peers
@@ -276,7 +410,7 @@ async function connectWithTransports (mode = 'webrtc') {
       }
       peerTransports.get(peerId).add(transport)
 
-      updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl)
+      updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl, provider?.undecryptablePeers)
     })
 
     // Listen for individual connection closures
@@ -298,7 +432,7 @@ async function connectWithTransports (mode = 'webrtc') {
       }
       log(`Connection closed: ${peerIdShort} ${transport} ${directionArrow}`)
 
-      updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl)
+      updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl, provider?.undecryptablePeers)
     })
 
     libp2pNode.addEventListener('peer:disconnect', (evt) => {
@@ -309,7 +443,7 @@ async function connectWithTransports (mode = 'webrtc') {
       peerTransports.delete(peerId)
 
       log(`Fully disconnected from peer: ${peerIdShort}`)
-      updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl)
+      updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl, provider?.undecryptablePeers)
     })
 
     // Update multiaddrs when they change (e.g., relay reservation obtained)
@@ -321,7 +455,7 @@ async function connectWithTransports (mode = 'webrtc') {
     // (to catch any state changes that didn't trigger events)
     const updateInterval = setInterval(() => {
       updateMultiaddrDisplay(libp2pNode, multiaddrsEl, multiaddrSelectEl)
-      updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl)
+      updatePeerDisplay(libp2pNode, peerCountEl, peersEl, peerListEl, provider?.undecryptablePeers)
     }, 2000) // Check every 2 seconds
 
     // Store interval ID for cleanup
@@ -351,6 +485,17 @@ async function connectWithTransports (mode = 'webrtc') {
 connectWebRTCBtn.onclick = () => connectWithTransports('webrtc')
 connectWebSocketBtn.onclick = () => connectWithTransports('websocket')
 
+aclSaveBtn.onclick = async () => {
+  try {
+    await provider.setAccess({
+      writers: readPeerIds(aclWritersEl),
+      readers: readPeerIds(aclReadersEl)
+    })
+  } catch (err) {
+    log(`⚠️ Failed to update room access: ${err.message}`, true)
+  }
+}
+
 /**
  * Cleanup resources on page unload.
  */
@@ -359,6 +504,9 @@ window.addEventListener('beforeunload', async () => {
     if (provider) {
       await provider.destroy()
     }
+    if (persistence) {
+      await persistence.destroy()
+    }
     if (libp2pNode) {
       await libp2pNode.stop()
     }
@@ -1,3 +1,5 @@
+import { PEER_COLORS } from './constants.js'
+
 /**
  * Determines transport type from a remote address.
  *
@@ -25,6 +27,20 @@ export function getTransportType (remoteAddr) {
   return 'unknown'
 }
 
+/**
+ * Picks a stable colour for a peer from its ID.
+ *
+ * @param {string} peerId - The peer ID string
+ * @returns {string} CSS colour
+ */
+export function getPeerColor (peerId) {
+  let hash = 0
+  for (let i = 0; i < peerId.length; i++) {
+    hash = (hash * 31 + peerId.charCodeAt(i)) >>> 0
+  }
+  return PEER_COLORS[hash % PEER_COLORS.length]
+}
+
 /**
  * Creates transport badges for a peer's connections.
  *
@@ -84,8 +100,9 @@ export function createTransportBadges (transports) {
  * @param {HTMLElement} peerCountEl - Element to display peer count
  * @param {HTMLElement} peersEl - Element to show/hide peers section
  * @param {HTMLElement} peerListEl - Element to display peer list
+ * @param {Set<string>} [undecryptablePeers] - Peers whose messages can't be decrypted with the room key
  */
-export function updatePeerDisplay (libp2pNode, peerCountEl, peersEl, peerListEl) {
+export function updatePeerDisplay (libp2pNode, peerCountEl, peersEl, peerListEl, undecryptablePeers = new Set()) {
   if (!libp2pNode) {
     return
   }
@@ -142,6 +159,13 @@ export function updatePeerDisplay (libp2pNode, peerCountEl, peersEl, peerListEl)
     peerDiv.appendChild(peerIdSpan)
 
     const transportDiv = createTransportBadges(transports)
+    if (undecryptablePeers.has(peerId)) {
+      const badge = document.createElement('span')
+      badge.className = 'transport undecryptable'
+      badge.textContent = 'unable to decrypt'
+      badge.title = 'This peer is not using the same room secret'
+      transportDiv.appendChild(badge)
+    }
     peerDiv.appendChild(transportDiv)
 
     peerListEl.appendChild(peerDiv)
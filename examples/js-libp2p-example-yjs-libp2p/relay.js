@@ -28,6 +28,7 @@ import {
   DISCOVERY_CONFIG,
   MONITORING
 } from './relay-constants.js'
+import { getTopicOwner, RoomAccess } from './room-acl.js'
 
 // Load or generate persistent PeerId
 const PEER_ID_FILE = './relay-peer-id.json'
@@ -132,6 +133,17 @@ server.services.pubsub.addEventListener('subscription-change', (evt) => {
   for (const sub of evt.detail.subscriptions) {
     if (sub.subscribe && !subscribedTopics.has(sub.topic)) {
       console.log(`Auto-subscribing to topic: ${sub.topic}`)
+
+      // Don't forward changes from non-writers of restricted rooms
+      if (getTopicOwner(sub.topic) != null) {
+        const access = new RoomAccess(sub.topic, {
+          onChange: ({ acl }) => {
+            console.log(`ACL for ${sub.topic}: ${acl.writers.length} writer(s)`)
+          }
+        })
+        server.services.pubsub.topicValidators.set(sub.topic, access.validator())
+      }
+
       try {
         server.services.pubsub.subscribe(sub.topic)
         subscribedTopics.add(sub.topic)
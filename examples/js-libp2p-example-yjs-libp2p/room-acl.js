@@ -0,0 +1,328 @@
+import { TopicValidatorResult } from '@libp2p/gossipsub'
+import { peerIdFromString } from '@libp2p/peer-id'
+import * as decoding from 'lib0/decoding'
+import * as encoding from 'lib0/encoding'
+import { fromString, toString } from 'uint8arrays'
+import * as syncProtocol from 'y-protocols/sync'
+import {
+  ACCESS,
+  MESSAGE_ACL,
+  MESSAGE_AWARENESS,
+  MESSAGE_SYNC,
+  WIRE_VERSIONS
+} from './constants.js'
+
+/**
+ * Write permissions for spreadsheet rooms.
+ *
+ * A restricted room's topic ends in `/owner/<PeerId>`, so every peer and the
+ * relay know who may define its access control list (ACL) without trusting
+ * whoever speaks first. The owner signs the ACL with their libp2p key and
+ * publishes it on the topic as `[BINARY][MESSAGE_ACL][document][signature]`.
+ *
+ * The ACL names writers and readers. Writers may publish anything; readers
+ * (everyone, when no reader is listed) may only publish presence and sync
+ * requests. Encrypted messages leave their type unencrypted in a header, so
+ * these can be told apart without the room key. `RoomAccess` turns this
+ * into a gossipsub topic validator, so messages from other peers are
+ * rejected and never forwarded.
+ */
+
+// First byte of a legacy JSON message (`{`)
+const LEGACY_JSON_PREFIX = 0x7b
+
+/**
+ * Builds the topic of a restricted room.
+ *
+ * @param {string} name - Room name
+ * @param {string} owner - PeerId of the room owner
+ * @returns {string} Restricted topic
+ */
+export function restrictedTopic (name, owner) {
+  return `${name}${ACCESS.OWNER_SEPARATOR}${owner}`
+}
+
+/**
+ * Reads the owner of a restricted room from its topic.
+ *
+ * @param {string} topic - Room topic
+ * @returns {string | null} Owner PeerId, or null for an open room
+ */
+export function getTopicOwner (topic) {
+  const index = topic.lastIndexOf(ACCESS.OWNER_SEPARATOR)
+  if (index === -1) {
+    return null
+  }
+
+  const owner = topic.slice(index + ACCESS.OWNER_SEPARATOR.length)
+  try {
+    // Only keys embedded in the PeerId can verify signatures
+    return peerIdFromString(owner).publicKey != null ? owner : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Checks whether a message carries an ACL.
+ *
+ * @param {Uint8Array} data - Received bytes
+ * @returns {boolean} True for ACL messages
+ */
+export function isAclMessage (data) {
+  // MESSAGE_ACL fits in a single varint byte
+  return data.byteLength > 2 && data[0] === WIRE_VERSIONS.BINARY && data[1] === MESSAGE_ACL
+}
+
+/**
+ * Signs an ACL and encodes it as a message.
+ *
+ * @param {import('@libp2p/interface').PrivateKey} privateKey - The owner's libp2p key
+ * @param {string} topic - Restricted room topic
+ * @param {object} acl - Access to grant
+ * @param {string[]} acl.writers - PeerIds allowed to edit (the owner is always included)
+ * @param {string[]} [acl.readers] - PeerIds allowed to view, everyone when empty
+ * @returns {Promise<Uint8Array>} Encoded ACL message
+ */
+export async function createAclMessage (privateKey, topic, { writers, readers = [] }) {
+  const owner = getTopicOwner(topic)
+  if (owner == null) {
+    throw new Error(`${topic} is not a restricted room`)
+  }
+
+  const document = fromString(JSON.stringify({
+    topic,
+    owner,
+    writers: [...new Set([owner, ...writers])],
+    readers: [...new Set(readers)],
+    issuedAt: Date.now()
+  }), 'utf8')
+
+  const encoder = encoding.createEncoder()
+  encoding.writeUint8(encoder, WIRE_VERSIONS.BINARY)
+  encoding.writeVarUint(encoder, MESSAGE_ACL)
+  encoding.writeVarUint8Array(encoder, document)
+  encoding.writeVarUint8Array(encoder, await privateKey.sign(document))
+  return encoding.toUint8Array(encoder)
+}
+
+/**
+ * Decodes an ACL message and verifies the owner's signature.
+ *
+ * @param {string} topic - Restricted room topic
+ * @param {Uint8Array} data - Encoded ACL message
+ * @returns {Promise<{ topic: string, owner: string, writers: string[], readers: string[], issuedAt: number }>} The ACL
+ * @throws {Error} If the ACL is not for this room or not signed by its owner
+ */
+export async function readAclMessage (topic, data) {
+  const owner = getTopicOwner(topic)
+  if (owner == null) {
+    throw new Error(`${topic} is not a restricted room`)
+  }
+
+  const decoder = decoding.createDecoder(data)
+  decoding.readUint8(decoder)
+  decoding.readVarUint(decoder)
+  const document = decoding.readVarUint8Array(decoder)
+  const signature = decoding.readVarUint8Array(decoder)
+
+  if (!await peerIdFromString(owner).publicKey.verify(document, signature)) {
+    throw new Error('ACL is not signed by the room owner')
+  }
+
+  const acl = JSON.parse(toString(document, 'utf8'))
+  if (acl.topic !== topic || acl.owner !== owner || !Array.isArray(acl.writers) || !Array.isArray(acl.readers)) {
+    throw new Error('ACL does not belong to this room')
+  }
+
+  return acl
+}
+
+/**
+ * Checks whether a message only asks for state or shares presence, which
+ * every reader may publish.
+ *
+ * @param {Uint8Array} data - Received bytes
+ * @returns {boolean} True for awareness and sync step 1 messages
+ */
+function isReadOnlyMessage (data) {
+  try {
+    if (data[0] === LEGACY_JSON_PREFIX) {
+      return JSON.parse(toString(data, 'utf8')).type === 'sync-request'
+    }
+
+    const decoder = decoding.createDecoder(data)
+    const version = decoding.readUint8(decoder)
+
+    if (version === WIRE_VERSIONS.ENCRYPTED) {
+      // The header of an encrypted message is readable and authenticated with the ciphertext
+      return isReadOnlyMessage(decoding.readVarUint8Array(decoder))
+    }
+
+    if (version !== WIRE_VERSIONS.BINARY) {
+      return false
+    }
+
+    const messageType = decoding.readVarUint(decoder)
+
+    return messageType === MESSAGE_AWARENESS ||
+      (messageType === MESSAGE_SYNC && decoding.readVarUint(decoder) === syncProtocol.messageYjsSyncStep1)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Access control state of one room.
+ * Open rooms allow everything; restricted rooms start with the owner as the
+ * only writer until a newer signed ACL is received.
+ */
+export class RoomAccess {
+  /**
+   * Creates the access control state for a room.
+   *
+   * @param {string} topic - Room topic
+   * @param {object} [options] - Options
+   * @param {string} [options.localPeer] - PeerId of the local peer, the owner knows the ACL without receiving it
+   * @param {(access: RoomAccess) => void} [options.onChange] - Called when a newer ACL was accepted
+   */
+  constructor (topic, options = {}) {
+    this.topic = topic
+    this.owner = getTopicOwner(topic)
+    this.localPeer = options.localPeer
+    this.onChange = options.onChange
+    this.acl = this.owner != null
+      ? { topic, owner: this.owner, writers: [this.owner], readers: [], issuedAt: 0 }
+      : null
+
+    // Latest signed ACL message, re-announced to peers joining the room
+    this.aclMessage = null
+  }
+
+  /**
+   * Whether the room has an owner and enforces an ACL.
+   *
+   * @returns {boolean} True for restricted rooms
+   */
+  get restricted () {
+    return this.owner != null
+  }
+
+  /**
+   * Whether the room's ACL is known: a signed ACL was received, or the local
+   * peer is the owner and hasn't signed one yet.
+   *
+   * @returns {boolean} True when permissions are final rather than assumed
+   */
+  get known () {
+    return this.aclMessage != null || (this.owner != null && this.owner === this.localPeer)
+  }
+
+  /**
+   * Role of a peer in the room.
+   *
+   * @param {string} peerId - Peer to look up
+   * @returns {'owner' | 'writer' | 'reader' | 'none'} The peer's role
+   */
+  roleOf (peerId) {
+    if (!this.restricted) {
+      return 'writer'
+    }
+    if (peerId === this.owner) {
+      return 'owner'
+    }
+    if (this.acl.writers.includes(peerId)) {
+      return 'writer'
+    }
+    if (this.acl.readers.length === 0 || this.acl.readers.includes(peerId)) {
+      return 'reader'
+    }
+    return 'none'
+  }
+
+  /**
+   * Whether a peer may change the document.
+   *
+   * @param {string} peerId - Peer to check
+   * @returns {boolean} True for the owner and writers
+   */
+  canWrite (peerId) {
+    const role = this.roleOf(peerId)
+    return role === 'owner' || role === 'writer'
+  }
+
+  /**
+   * Whether a peer may receive the document.
+   *
+   * @param {string} peerId - Peer to check
+   * @returns {boolean} True for everyone but peers left out of the reader list
+   */
+  canRead (peerId) {
+    return this.roleOf(peerId) !== 'none'
+  }
+
+  /**
+   * Verify an ACL message and adopt it if it is newer than the current ACL.
+   *
+   * @param {Uint8Array} data - Encoded ACL message
+   * @returns {Promise<boolean>} True if the ACL was adopted, false if it is not newer
+   * @throws {Error} If the ACL is not signed by the owner of this room
+   */
+  async applyAclMessage (data) {
+    const acl = await readAclMessage(this.topic, data)
+    if (acl.issuedAt <= this.acl.issuedAt) {
+      return acl.issuedAt === this.acl.issuedAt
+    }
+
+    this.acl = acl
+    this.aclMessage = data
+    this.onChange?.(this)
+    return true
+  }
+
+  /**
+   * Decide whether a pubsub message may be delivered and forwarded.
+   *
+   * @param {string} from - PeerId of the message author
+   * @param {Uint8Array} data - Message bytes
+   * @returns {Promise<TopicValidatorResult>} Validation result
+   */
+  async validate (from, data) {
+    if (!this.restricted) {
+      return TopicValidatorResult.Accept
+    }
+
+    if (isAclMessage(data)) {
+      try {
+        // Re-announcements of the current ACL are passed on to new peers
+        return await this.applyAclMessage(data) ? TopicValidatorResult.Accept : TopicValidatorResult.Ignore
+      } catch {
+        return TopicValidatorResult.Reject
+      }
+    }
+
+    if (this.canWrite(from) || (this.canRead(from) && isReadOnlyMessage(data))) {
+      return TopicValidatorResult.Accept
+    }
+
+    // Before the ACL arrives a writer can't be told apart from a stranger, so
+    // drop the message without penalizing its sender
+    return this.known ? TopicValidatorResult.Reject : TopicValidatorResult.Ignore
+  }
+
+  /**
+   * Create a gossipsub topic validator for this room.
+   *
+   * @returns {(peer: import('@libp2p/interface').PeerId, message: import('@libp2p/gossipsub').Message) => Promise<TopicValidatorResult>} Validator
+   */
+  validator () {
+    return async (peer, message) => {
+      // Unsigned messages have no verifiable author
+      if (message.type !== 'signed') {
+        return TopicValidatorResult.Reject
+      }
+
+      return this.validate(message.from.toString(), message.data)
+    }
+  }
+}
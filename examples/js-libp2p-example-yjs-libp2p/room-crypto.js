@@ -0,0 +1,124 @@
+import * as decoding from 'lib0/decoding'
+import { concat, fromString } from 'uint8arrays'
+import { MESSAGE_SYNC } from './constants.js'
+
+/**
+ * End-to-end encryption for spreadsheet rooms.
+ *
+ * A room secret (taken from the URL fragment, so it never reaches a server)
+ * is stretched with PBKDF2 into an AES-GCM key. Every payload is encrypted
+ * with a random IV and the topic as additional data, so a message can only
+ * be opened in the room it was written for and any tampering is detected.
+ *
+ * The header of a message (see `messageHeader`) is left readable and
+ * authenticated along with the topic, so relays enforcing a room ACL can
+ * still tell presence and sync requests from changes.
+ */
+
+const PBKDF2_ITERATIONS = 210000
+const IV_LENGTH = 12
+
+/**
+ * Reads the room secret from a URL fragment like `#secret=...`.
+ *
+ * @param {string} hash - The location hash, including the leading `#`
+ * @returns {string | null} The room secret, if present
+ */
+export function getRoomSecret (hash) {
+  const secret = new URLSearchParams(hash.replace(/^#/, '')).get('secret')
+  return secret || null
+}
+
+/**
+ * Reads the header of a binary message: its version, message type and, for
+ * sync messages, the sync step.
+ *
+ * @param {Uint8Array} data - Binary message
+ * @returns {Uint8Array} The leading bytes of the message that make up its header
+ */
+export function messageHeader (data) {
+  const decoder = decoding.createDecoder(data)
+  decoding.readUint8(decoder)
+  if (decoding.readVarUint(decoder) === MESSAGE_SYNC) {
+    decoding.readVarUint(decoder)
+  }
+  return data.subarray(0, decoder.pos)
+}
+
+/**
+ * Derives the symmetric room key from a secret.
+ * The topic is part of the salt so the same secret yields a different key per room.
+ *
+ * @param {string} secret - Room password or key
+ * @param {string} topic - Room topic
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+export async function deriveRoomKey (secret, topic) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    fromString(secret, 'utf8'),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  )
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: fromString(`yjs-libp2p-room:${topic}`, 'utf8'),
+      iterations: PBKDF2_ITERATIONS,
+      hash: 'SHA-256'
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+}
+
+/**
+ * Encrypts a payload for a room.
+ *
+ * @param {CryptoKey} key - Room key
+ * @param {string} topic - Room topic, authenticated as additional data
+ * @param {Uint8Array} data - Plaintext payload
+ * @param {Uint8Array} [header] - Plaintext sent next to the payload, authenticated as additional data
+ * @returns {Promise<Uint8Array>} `[iv][ciphertext + tag]`
+ */
+export async function encryptPayload (key, topic, data, header = new Uint8Array(0)) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: concat([fromString(topic, 'utf8'), header]) },
+    key,
+    data
+  )
+
+  const sealed = new Uint8Array(IV_LENGTH + ciphertext.byteLength)
+  sealed.set(iv)
+  sealed.set(new Uint8Array(ciphertext), IV_LENGTH)
+  return sealed
+}
+
+/**
+ * Decrypts and authenticates a room payload.
+ *
+ * @param {CryptoKey} key - Room key
+ * @param {string} topic - Room topic, authenticated as additional data
+ * @param {Uint8Array} sealed - `[iv][ciphertext + tag]`
+ * @param {Uint8Array} [header] - Plaintext received next to the payload, authenticated as additional data
+ * @returns {Promise<Uint8Array>} Plaintext payload
+ * @throws {Error} If the payload was encrypted with another key, or it or its header were modified
+ */
+export async function decryptPayload (key, topic, sealed, header = new Uint8Array(0)) {
+  if (sealed.byteLength <= IV_LENGTH) {
+    throw new Error('Encrypted payload is too short')
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: sealed.subarray(0, IV_LENGTH), additionalData: concat([fromString(topic, 'utf8'), header]) },
+    key,
+    sealed.subarray(IV_LENGTH)
+  )
+
+  return new Uint8Array(plaintext)
+}
@@ -0,0 +1,270 @@
+import { FormulaError, compareValues } from './formula-values.js'
+
+/**
+ * Conditional formatting, like Excel's: rules that style the cells of a
+ * range depending on their values
+ *
+ * Rules are plain objects with a `type`:
+ * - `value` styles cells comparing to `value` with `operator` (>, >=, <,
+ * <=, =, <>, or between `value` and `value2`)
+ * - `top` styles the `count` largest numbers of the range, or the smallest
+ * with `bottom`, or that percentage of them with `percent`
+ * - `scale` gives cells a background between the `colors` for the smallest
+ * and largest numbers of the range, through a middle colour for the median
+ * if there are three
+ * - `formula` styles cells for which `formula` is TRUE, the formula being
+ * written for the top left cell of the range with relative references
+ * moving along, as when it is copied to the other cells
+ *
+ * All but colour scales have a `style` with any of `bold`, `italic`, `color`
+ * and `background`. Empty cells and errors are never styled by value, top
+ * or scale rules.
+ */
+
+export const OPERATORS = ['>', '>=', '<', '<=', '=', '<>', 'between']
+
+const STYLE_FIELDS = ['bold', 'italic', 'color', 'background']
+const COLOR = /^#[0-9a-f]{6}$/i
+
+/**
+ * Convert text typed as a rule's value like a cell's: numbers become numbers
+ *
+ * @param value - Value of a rule
+ */
+function ruleValue (value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value)
+  }
+  return value
+}
+
+/**
+ * Check a rule's style
+ *
+ * @param style - Style object of a rule
+ * @returns The style with its fields that are set
+ */
+function validateStyle (style) {
+  if (style == null || typeof style !== 'object') {
+    throw new Error('A conditional format needs a style')
+  }
+
+  const valid = {}
+  for (const [field, value] of Object.entries(style)) {
+    if (!STYLE_FIELDS.includes(field)) {
+      throw new Error(`Unknown style ${field}`)
+    }
+    if (value == null || value === false) { continue }
+    if (['bold', 'italic'].includes(field) ? value !== true : !COLOR.test(value)) {
+      throw new Error(`Invalid ${field} ${value}`)
+    }
+    valid[field] = value
+  }
+  if (Object.keys(valid).length === 0) {
+    throw new Error('A conditional format needs a style')
+  }
+  return valid
+}
+
+/**
+ * Check a cell value rule
+ *
+ * @param rule - Rule of type `value`
+ * @returns The rule to store
+ */
+function validateValueRule (rule) {
+  if (!OPERATORS.includes(rule.operator)) {
+    throw new Error(`Unknown operator ${rule.operator}`)
+  }
+  const values = rule.operator === 'between' ? [rule.value, rule.value2] : [rule.value]
+  if (values.some((value) => value == null || String(value).trim() === '')) {
+    throw new Error('A value rule needs a value to compare with')
+  }
+  return {
+    type: 'value',
+    operator: rule.operator,
+    value: String(rule.value),
+    ...(rule.operator === 'between' ? { value2: String(rule.value2) } : {}),
+    style: validateStyle(rule.style)
+  }
+}
+
+/**
+ * Check a rule, keeping only the fields of its type
+ *
+ * @param rule - Rule without its range
+ * @returns The rule to store
+ * @throws {Error} If the rule is incomplete or has invalid values
+ */
+export function validateRule (rule) {
+  switch (rule?.type) {
+    case 'value':
+      return validateValueRule(rule)
+    case 'top': {
+      const count = Number(rule.count)
+      if (!Number.isInteger(count) || count < 1 || (rule.percent && count > 100)) {
+        throw new Error(`Invalid count ${rule.count}`)
+      }
+      return {
+        type: 'top',
+        count,
+        percent: rule.percent === true,
+        bottom: rule.bottom === true,
+        style: validateStyle(rule.style)
+      }
+    }
+    case 'scale': {
+      const colors = rule.colors
+      if (!Array.isArray(colors) || colors.length < 2 || colors.length > 3 || !colors.every((color) => COLOR.test(color))) {
+        throw new Error('A colour scale needs two or three #rrggbb colours')
+      }
+      return { type: 'scale', colors: [...colors] }
+    }
+    case 'formula': {
+      const formula = String(rule.formula ?? '').trim()
+      if (formula === '') {
+        throw new Error('A formula rule needs a formula')
+      }
+      return {
+        type: 'formula',
+        formula: formula.startsWith('=') ? formula : `=${formula}`,
+        style: validateStyle(rule.style)
+      }
+    }
+    default:
+      throw new Error(`Unknown conditional format ${rule?.type}`)
+  }
+}
+
+/**
+ * Check whether a rule styles cells depending on the other values of its
+ * range, or on other cells, so a change to one cell restyles all of them
+ *
+ * @param rule - Stored rule
+ */
+export function dependsOnRange (rule) {
+  return rule.type !== 'value'
+}
+
+/**
+ * Summarize the values of a range for top and scale rules
+ *
+ * @param rule - Stored rule
+ * @param values - Values of the cells of the range, as formulas see them
+ * @returns `{ threshold }` for top rules and `{ min, mid, max }` for colour
+ * scales, null if the range has no numbers
+ */
+export function summarizeRange (rule, values) {
+  const numbers = values.filter((value) => typeof value === 'number').sort((a, b) => a - b)
+  if (numbers.length === 0) { return null }
+
+  if (rule.type === 'top') {
+    const count = rule.percent
+      ? Math.max(1, Math.floor(numbers.length * rule.count / 100))
+      : Math.min(rule.count, numbers.length)
+    return { threshold: rule.bottom ? numbers[count - 1] : numbers[numbers.length - count] }
+  }
+
+  const middle = (numbers.length - 1) / 2
+  return {
+    min: numbers[0],
+    mid: (numbers[Math.floor(middle)] + numbers[Math.ceil(middle)]) / 2,
+    max: numbers[numbers.length - 1]
+  }
+}
+
+/**
+ * Mix two #rrggbb colours
+ *
+ * @param from - Colour at 0
+ * @param to - Colour at 1
+ * @param amount - Between 0 and 1
+ */
+function mixColors (from, to, amount) {
+  const channels = [1, 3, 5].map((start) => {
+    const a = parseInt(from.slice(start, start + 2), 16)
+    const b = parseInt(to.slice(start, start + 2), 16)
+    return Math.round(a + (b - a) * amount).toString(16).padStart(2, '0')
+  })
+  return `#${channels.join('')}`
+}
+
+/**
+ * Get the colour of a colour scale for a number
+ *
+ * @param colors - Two or three colours
+ * @param number - Number of the cell
+ * @param summary - Result of summarizeRange
+ */
+function scaleColor (colors, number, summary) {
+  const { min, mid, max } = summary
+  const position = (value, low, high) => high > low ? (value - low) / (high - low) : 0
+
+  if (colors.length === 2) {
+    return mixColors(colors[0], colors[1], position(number, min, max))
+  }
+  return number <= mid
+    ? mixColors(colors[0], colors[1], position(number, min, mid))
+    : mixColors(colors[1], colors[2], position(number, mid, max))
+}
+
+/**
+ * Get the style a rule gives a cell
+ *
+ * @param rule - Stored rule
+ * @param value - Value of the cell as formulas see it, or the result of the
+ * formula for formula rules
+ * @param summary - Result of summarizeRange for top and scale rules
+ * @returns Style fields, or null if the rule doesn't apply
+ */
+export function matchRule (rule, value, summary) {
+  if (rule.type === 'formula') {
+    const matches = value === true || (typeof value === 'number' && value !== 0)
+    return matches ? rule.style : null
+  }
+
+  if (value == null || value === '' || value instanceof FormulaError) { return null }
+
+  if (rule.type === 'value') {
+    const compared = compareValues(value, ruleValue(rule.value))
+    const matches = {
+      '>': compared > 0,
+      '>=': compared >= 0,
+      '<': compared < 0,
+      '<=': compared <= 0,
+      '=': compared === 0,
+      '<>': compared !== 0,
+      between: rule.value2 != null && compared >= 0 && compareValues(value, ruleValue(rule.value2)) <= 0
+    }[rule.operator]
+    return matches ? rule.style : null
+  }
+
+  if (typeof value !== 'number' || summary == null) { return null }
+
+  if (rule.type === 'top') {
+    const matches = rule.bottom ? value <= summary.threshold : value >= summary.threshold
+    return matches ? rule.style : null
+  }
+
+  return { background: scaleColor(rule.colors, value, summary) }
+}
+
+/**
+ * Describe a rule in a few words, for the list of rules
+ *
+ * @param rule - Stored rule
+ */
+export function describeRule (rule) {
+  switch (rule.type) {
+    case 'value':
+      return rule.operator === 'between'
+        ? `Value between ${rule.value} and ${rule.value2}`
+        : `Value ${rule.operator} ${rule.value}`
+    case 'top':
+      return `${rule.bottom ? 'Bottom' : 'Top'} ${rule.count}${rule.percent ? '%' : ''}`
+    case 'scale':
+      return `Colour scale ${rule.colors.join(' → ')}`
+    default:
+      return `Formula ${rule.formula}`
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * CSV and TSV conversion
+ *
+ * Follows RFC 4180: fields containing the delimiter, quotes or line breaks
+ * are quoted, quotes inside them are doubled, and rows end with CRLF. The
+ * parser accepts LF and CRLF line endings and a leading byte order mark.
+ * TSV uses the same rules with a tab as the delimiter.
+ */
+
+export const DELIMITERS = {
+  csv: ',',
+  tsv: '\t'
+}
+
+/**
+ * Parse delimited text into rows of fields
+ *
+ * @param text - CSV or TSV text
+ * @param delimiter - Field delimiter
+ * @returns Array of rows, each an array of field strings
+ * @throws {Error} If a quoted field is not closed
+ */
+export function parseDelimited (text, delimiter = DELIMITERS.csv) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char
+        i++
+      } else if (text[i + 1] === '"') {
+        field += '"'
+        i += 2
+      } else {
+        quoted = false
+        i++
+      }
+      continue
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true
+      i++
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+      i++
+    } else if (char === '\r' || char === '\n') {
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+      i += char === '\r' && text[i + 1] === '\n' ? 2 : 1
+    } else {
+      field += char
+      i++
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field')
+  }
+
+  // The last row may not end with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Write rows of fields as delimited text
+ *
+ * @param rows - Array of rows, each an array of field strings
+ * @param delimiter - Field delimiter
+ * @returns CSV or TSV text
+ */
+export function formatDelimited (rows, delimiter = DELIMITERS.csv) {
+  const quote = (field) => {
+    const text = String(field ?? '')
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`
+    }
+    return text
+  }
+
+  return rows.map((row) => row.map(quote).join(delimiter)).join('\r\n')
+}
@@ -1,896 +1,2559 @@
 import * as Y from 'yjs'
+import {
+  a1ToCoord,
+  collectReferences,
+  coordToA1,
+  evaluateFormula,
+  formatReference,
+  isValidName,
+  offsetFormula,
+  parseFormula,
+  rewriteReferences,
+  sameSheetName
+} from './formula-parser.js'
+import { ERRORS, FormulaError, isErrorCode } from './formula-values.js'
+import { dependsOnRange, matchRule, summarizeRange, validateRule } from './spreadsheet-conditional.js'
+import { DELIMITERS, formatDelimited, parseDelimited } from './spreadsheet-csv.js'
+import { extendSeries } from './spreadsheet-series.js'
+import { ValidationError, checkValue, parseValidation } from './spreadsheet-validation.js'
+import { readXlsx, writeXlsx } from './spreadsheet-xlsx.js'
 
 /**
  * SpreadsheetEngine - Manages a collaborative spreadsheet using Yjs
  *
  * Features:
  * - 2D grid with A1-style cell addressing
- * - Basic formulas with cell references
+ * - Formulas with cell references, parsed and evaluated by formula-parser.js
  * - Automatic recalculation on dependency changes
  * - Circular reference detection
+ * - Multiple named sheets with cross-sheet references (Sheet2!A1)
+ * - Undo and redo of this peer's own edits
+ * - CSV and TSV import and export
+ * - XLSX import and export with formulas, sheets and number formats
+ * - Copying, pasting and moving ranges of cells
+ * - Filling ranges with copies of formulas or continued series
+ * - Number, currency, percentage and date formats kept with the cells
+ * - Cell styles, column widths and row heights
+ * - Conditional formats, restyling cells as values are recalculated
+ * - Data validation, rejecting or warning about values outside of a rule
+ * - Defined names for ranges and constants, usable in every formula
  */
 
+// The first sheet keeps its cells in the top-level 'cells' map, so documents
+// created before sheets existed open as a workbook with one sheet
+export const DEFAULT_SHEET_ID = 'default'
+const DEFAULT_SHEET_NAME = 'Sheet1'
+
+// Origin of the transaction removing formula results stored by earlier
+// versions, which changes no result
+const MIGRATION_ORIGIN = 'migration'
+
+// Sheet part of the dependency graph keys of defined names, see nameKey
+const NAMES_KEY = '#names'
+
+// Style fields of a cell's Y.Map, each set on its own so peers styling the
+// same cell at once keep both changes
+const STYLE_FIELDS = ['bold', 'italic', 'color', 'background', 'align', 'borders']
+
+// Fields that change how a cell looks but not its value
+const DISPLAY_FIELDS = new Set(['format', ...STYLE_FIELDS])
+
+// Style values accepted when styling cells, and shown when set by any peer
+export const ALIGNMENTS = ['left', 'center', 'right']
+export const BORDER_SIDES = ['top', 'right', 'bottom', 'left']
+export const COLOR = /^#[0-9a-f]{6}$/i
+
 /**
- * Converts column number to letter(s) (0 -> A, 25 -> Z, 26 -> AA)
+ * Parse range references like A1:A10
+ * Returns array of all cells in range
  *
- * @param col
+ * @param range
  */
-function colToLetter (col) {
-  let letter = ''
-  while (col >= 0) {
-    letter = String.fromCharCode(65 + (col % 26)) + letter
-    col = Math.floor(col / 26) - 1
+function parseRange (range) {
+  const match = range.match(/^(\$?[A-Z]+\$?\d+):(\$?[A-Z]+\$?\d+)$/)
+  if (!match) { return [range] }
+
+  const start = a1ToCoord(match[1])
+  const end = a1ToCoord(match[2])
+  if (!start || !end) { return [range] }
+
+  // B2:A1 covers the same cells as A1:B2
+  const cells = []
+  for (let row = Math.min(start.row, end.row); row <= Math.max(start.row, end.row); row++) {
+    for (let col = Math.min(start.col, end.col); col <= Math.max(start.col, end.col); col++) {
+      cells.push(coordToA1(row, col))
+    }
   }
-  return letter
+  return cells
 }
 
 /**
- * Converts letter(s) to column number (A -> 0, Z -> 25, AA -> 26)
+ * Get the bounds of a range given by two opposite corners
  *
- * @param letter
+ * @param start - Corner cell, e.g. 'B3'
+ * @param end - Opposite corner cell, e.g. 'A1'
+ * @returns `{ top, left, bottom, right }` row and column indices
+ * @throws {Error} If a corner is not a cell reference
  */
-function letterToCol (letter) {
-  let col = 0
-  for (let i = 0; i < letter.length; i++) {
-    col = col * 26 + letter.charCodeAt(i) - 64
+export function rangeBounds (start, end) {
+  const from = a1ToCoord(start)
+  const to = a1ToCoord(end)
+  if (!from || !to) {
+    throw new Error(`Invalid range ${start}:${end}`)
+  }
+  return {
+    top: Math.min(from.row, to.row),
+    left: Math.min(from.col, to.col),
+    bottom: Math.max(from.row, to.row),
+    right: Math.max(from.col, to.col)
   }
-  return col - 1
 }
 
 /**
- * Converts row/col indices to A1 notation
+ * Key of a cell in the dependency graph, unique across sheets
  *
- * @param row
- * @param col
+ * @param sheetId
+ * @param coord
  */
-export function coordToA1 (row, col) {
-  return colToLetter(col) + (row + 1)
+function cellKey (sheetId, coord) {
+  return `${sheetId}!${coord}`
 }
 
 /**
- * Converts A1 notation to {row, col} indices
+ * Split a cell key into its sheet id and coordinate
  *
- * @param a1
+ * @param key
  */
-export function a1ToCoord (a1) {
-  const match = a1.match(/^([A-Z]+)(\d+)$/)
-  if (!match) { return null }
-  return {
-    col: letterToCol(match[1]),
-    row: parseInt(match[2]) - 1
+function splitCellKey (key) {
+  const index = key.lastIndexOf('!')
+  return { sheetId: key.slice(0, index), coord: key.slice(index + 1) }
+}
+
+/**
+ * Key of a defined name in the dependency graph. Formulas using the name
+ * depend on it, and it depends on the cells of its definition, so they are
+ * recalculated when either changes.
+ *
+ * @param name - Name in any case
+ */
+function nameKey (name) {
+  return cellKey(NAMES_KEY, name.toUpperCase())
+}
+
+/**
+ * Move a row or column index past inserted or deleted lines
+ *
+ * @param line - Row or column index
+ * @param index - First inserted or deleted line
+ * @param delta - Number of inserted lines, negative for deleted lines
+ * @param corner - 'min' or 'max' for the corners of a range, which move to
+ * the edge of deleted lines instead of being deleted
+ * @returns The new index, or null if the line was deleted
+ */
+function shiftLine (line, index, delta, corner) {
+  if (line < index) { return line }
+  if (delta > 0 || line >= index - delta) { return line + delta }
+  if (corner === 'min') { return index }
+  if (corner === 'max') { return index - 1 }
+  return null
+}
+
+/**
+ * Move a reference past inserted or deleted rows or columns
+ * Ranges shrink or grow with the lines inside them, references to deleted
+ * cells (and ranges that were deleted entirely) become #REF!
+ *
+ * @param reference - Reference given by rewriteReferences
+ * @param axis - 'row' or 'col'
+ * @param index - First inserted or deleted line
+ * @param delta - Number of inserted lines, negative for deleted lines
+ * @returns New reference text, or null if it didn't change
+ */
+function shiftReference (reference, axis, index, delta) {
+  const start = a1ToCoord(reference.ref)
+  const end = reference.end != null ? a1ToCoord(reference.end.ref) : null
+  const sheet = reference.qualified ? reference.sheet : null
+
+  if (end == null) {
+    const line = shiftLine(start[axis], index, delta)
+    if (line == null) { return ERRORS.REF }
+    if (line === start[axis]) { return null }
+    return formatReference({ ...reference, sheet, ref: coordToA1AtLine(start, axis, line) })
+  }
+
+  const startIsMin = start[axis] <= end[axis]
+  const startLine = shiftLine(start[axis], index, delta, startIsMin ? 'min' : 'max')
+  const endLine = shiftLine(end[axis], index, delta, startIsMin ? 'max' : 'min')
+  if (startIsMin ? startLine > endLine : endLine > startLine) {
+    return ERRORS.REF
   }
+  if (startLine === start[axis] && endLine === end[axis]) { return null }
+
+  return formatReference({
+    ...reference,
+    sheet,
+    ref: coordToA1AtLine(start, axis, startLine),
+    end: { ...reference.end, ref: coordToA1AtLine(end, axis, endLine) }
+  })
 }
 
 /**
- * Parse cell references from a formula
- * Returns array of cell coordinates (e.g., ['A1', 'B2'])
+ * A1 notation of a cell moved to another row or column
  *
- * @param formula
+ * @param coord - `{ row, col }`
+ * @param axis - 'row' or 'col'
+ * @param line - New row or column index
  */
-function parseCellRefs (formula) {
-  const refs = []
-  const regex = /\b([A-Z]+\d+)\b/g
-  let match
-  while ((match = regex.exec(formula)) !== null) {
-    refs.push(match[1])
-  }
-  return refs
+function coordToA1AtLine (coord, axis, line) {
+  return axis === 'row' ? coordToA1(line, coord.col) : coordToA1(coord.row, line)
 }
 
 /**
- * Parse range references like A1:A10
- * Returns array of all cells in range
+ * Copy the data of a cell into a new Yjs map
  *
- * @param range
+ * @param cellData - Y.Map of the cell
  */
-function parseRange (range) {
-  const match = range.match(/^([A-Z]+\d+):([A-Z]+\d+)$/)
-  if (!match) { return [range] }
+function copyCellData (cellData) {
+  const copy = new Y.Map()
+  for (const [field, value] of cellData.entries()) {
+    copy.set(field, value instanceof Y.AbstractType ? value.clone() : value)
+  }
+  return copy
+}
 
-  const start = a1ToCoord(match[1])
-  const end = a1ToCoord(match[2])
-  if (!start || !end) { return [range] }
+/**
+ * Get the style fields of a cell
+ *
+ * @param cellData - Y.Map of the cell
+ * @returns `{ bold, italic, color, background, align, borders }` with the
+ * fields that are set
+ */
+function getStyle (cellData) {
+  const style = {}
+  for (const field of STYLE_FIELDS) {
+    if (cellData.has(field)) {
+      style[field] = cellData.get(field)
+    }
+  }
+  return style
+}
 
-  const cells = []
-  for (let row = start.row; row <= end.row; row++) {
-    for (let col = start.col; col <= end.col; col++) {
-      cells.push(coordToA1(row, col))
+/**
+ * Key of a column width or row height, unique across sheets
+ *
+ * @param sheetId
+ * @param index - Row or column index
+ */
+function lineKey (sheetId, index) {
+  return `${sheetId}!${index}`
+}
+
+/**
+ * Get the rules of a sheet stored in a map of rules, in the order they were
+ * added
+ *
+ * @param rules - conditionalFormats or validations
+ * @param sheetId
+ * @returns Array of rules with their `id`
+ */
+function getSheetRules (rules, sheetId) {
+  const sheetRules = []
+  for (const [id, rule] of rules.entries()) {
+    if (rule.sheet === sheetId) {
+      sheetRules.push({ ...rule, id })
     }
   }
-  return cells
+  return sheetRules.sort((a, b) => a.order - b.order || (a.id < b.id ? -1 : 1))
+}
+
+/**
+ * Get the sheets of the rules changed by an event of a map of rules
+ *
+ * @param event - Yjs event of conditionalFormats or validations
+ * @param rules - The map of rules
+ * @returns Set of sheet ids
+ */
+function changedRuleSheets (event, rules) {
+  const sheetIds = new Set()
+  event.changes.keys.forEach((change, id) => {
+    for (const rule of [change.oldValue, rules.get(id)]) {
+      if (rule != null) {
+        sheetIds.add(rule.sheet)
+      }
+    }
+  })
+  return sheetIds
+}
+
+/**
+ * Check whether the range of a rule covers a cell
+ *
+ * @param rule - Rule with its range, e.g. 'A1:B10'
+ * @param position - `{ row, col }` of the cell
+ */
+function ruleCovers (rule, position) {
+  const { top, left, bottom, right } = rangeBounds(...rule.range.split(':'))
+  return position.row >= top && position.row <= bottom && position.col >= left && position.col <= right
+}
+
+/**
+ * Set and remove fields of a cell, creating it if needed and removing it if
+ * it is left empty
+ *
+ * @param cells - Y.Map of the sheet's cells
+ * @param coord - Cell coordinate
+ * @param fields - Fields to set, null removing a field
+ */
+function updateFields (cells, coord, fields) {
+  let cellData = cells.get(coord)
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (value == null) {
+      cellData?.delete(field)
+    } else if (cellData?.get(field) !== value) {
+      if (!cellData) {
+        cellData = new Y.Map()
+        cells.set(coord, cellData)
+      }
+      cellData.set(field, value)
+    }
+  }
+
+  // Cells that only had a format or style are empty again
+  if (cellData != null && cellData.size === 0) {
+    cells.delete(coord)
+  }
+}
+
+/**
+ * Order cells so each comes after the cells it depends on, grouping cells
+ * that depend on each other (Tarjan's strongly connected components, without
+ * recursion so long chains of formulas don't overflow the stack)
+ *
+ * @param keys - Cells to order, with all cells depending on them
+ * @param dependentsOf - Gives the cells depending on a cell
+ * @returns Groups of cell keys in dependency order; a group of more than one
+ * cell is a cycle
+ */
+function dependencyOrder (keys, dependentsOf) {
+  const index = new Map()
+  const lowLink = new Map()
+  const stack = []
+  const onStack = new Set()
+  const groups = []
+
+  const visit = (key) => {
+    index.set(key, index.size)
+    lowLink.set(key, index.get(key))
+    stack.push(key)
+    onStack.add(key)
+    return [key, dependentsOf(key)[Symbol.iterator]()]
+  }
+
+  for (const root of keys) {
+    if (index.has(root)) { continue }
+    const frames = [visit(root)]
+
+    while (frames.length > 0) {
+      const [key, dependents] = frames[frames.length - 1]
+      const next = dependents.next()
+
+      if (!next.done) {
+        if (!index.has(next.value)) {
+          frames.push(visit(next.value))
+        } else if (onStack.has(next.value)) {
+          lowLink.set(key, Math.min(lowLink.get(key), index.get(next.value)))
+        }
+        continue
+      }
+
+      frames.pop()
+      if (frames.length > 0) {
+        const [parent] = frames[frames.length - 1]
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(key)))
+      }
+
+      if (lowLink.get(key) === index.get(key)) {
+        const group = []
+        let member
+        do {
+          member = stack.pop()
+          onStack.delete(member)
+          group.push(member)
+        } while (member !== key)
+        groups.push(group)
+      }
+    }
+  }
+
+  // Groups are found after the groups depending on them
+  return groups.reverse()
+}
+
+/**
+ * Format a cell value for display (booleans as TRUE/FALSE)
+ *
+ * @param value
+ */
+export function formatValue (value) {
+  if (typeof value === 'boolean') { return value ? 'TRUE' : 'FALSE' }
+  return value == null ? '' : String(value)
 }
 
 export class SpreadsheetEngine {
   constructor (yjsDoc) {
-    this.cells = yjsDoc.getMap('cells')
-    this.dependencyGraph = new Map() // cellId -> Set of dependent cellIds
+    this.doc = yjsDoc
+    this.cells = yjsDoc.getMap('cells') // Cells of the default sheet
+    this.sheets = yjsDoc.getMap('sheets') // sheetId -> Y.Map { name, order, deleted, cells }
+    // Top-level maps, so peers resizing the first column of a sheet at once
+    // don't each create a map and lose one of them
+    this.colWidths = yjsDoc.getMap('colWidths') // 'sheetId!col' -> width in pixels
+    this.rowHeights = yjsDoc.getMap('rowHeights') // 'sheetId!row' -> height in pixels
+    this.conditionalFormats = yjsDoc.getMap('conditionalFormats') // Rule id -> { sheet, range, order, type, ... }
+    this.validations = yjsDoc.getMap('validations') // Rule id -> { sheet, range, order, type, mode, ... }
+    this.names = yjsDoc.getMap('names') // Upper case name -> { name, definition }
+    this.dependencyGraph = new Map() // cellKey -> Set of dependent cellKeys
+    this.references = new Map() // Formula cellKey -> Set of cellKeys it refers to
+    this.localWrites = new Set() // Cells written by setCell or clearCell since the last recalculation, in order
+    this.results = new Map() // Formula cellKey -> { value, error }, computed by each peer and never stored in the document
+    this.rangeSummaries = new Map() // Rule id -> summary of its range, until values change
     this.observers = new Set()
-    this.isProcessing = false // Guard against recursive processing
+    this.sheetObservers = new Set()
+    this.layoutObservers = new Set()
+    this.conditionalObservers = new Set()
+    this.validationObservers = new Set()
+    this.nameObservers = new Set()
+
+    // Undo and redo this peer's edits only: edits are made in transactions
+    // with the engine as origin, while remote updates have other origins.
+    // Every transaction is its own step, so an operation on many cells is
+    // undone at once.
+    this.undoManager = new Y.UndoManager([this.cells, this.sheets, this.colWidths, this.rowHeights, this.conditionalFormats, this.validations, this.names], {
+      trackedOrigins: new Set([this]),
+      captureTimeout: 0
+    })
 
     // Watch for changes to recalculate
     this.cells.observeDeep((events) => {
-      this.handleDeepCellChanges(events)
+      this.handleDeepCellChanges(events, [DEFAULT_SHEET_ID, 'cells'])
+    })
+    this.sheets.observeDeep((events) => {
+      this.handleDeepCellChanges(events, [])
     })
+    for (const sizes of [this.colWidths, this.rowHeights]) {
+      sizes.observe((event) => this.handleLayoutChanges(event))
+    }
+    this.conditionalFormats.observe((event) => this.handleConditionalFormatChanges(event))
+    this.validations.observe((event) => this.handleValidationChanges(event))
+    this.names.observe((event) => this.handleNameChanges(event))
 
-    // Rebuild dependency graph for all existing formulas
-    // (important when loading existing document or joining session)
+    // Rebuild dependency graph for all existing formulas and compute their
+    // results (important when loading existing document or joining session)
     this.rebuildAllDependencies()
+    this.recalculate(new Set(this.getFormulaCellKeys()), new Set())
   }
 
   /**
-   * Set a cell value or formula
+   * Get the sheets of the workbook in tab order
+   * Documents without sheet metadata have a single default sheet
    *
-   * @param coord
-   * @param value
+   * @returns Array of `{ id, name }`
+   */
+  getSheets () {
+    const sheets = []
+    const defaultMeta = this.sheets.get(DEFAULT_SHEET_ID)
+
+    for (const [id, meta] of this.sheets.entries()) {
+      if (!meta.get('deleted')) {
+        sheets.push({ id, name: meta.get('name'), order: meta.get('order') ?? 0 })
+      }
+    }
+    // The default sheet exists until it is deleted, and comes back if peers
+    // deleted every other sheet at the same time
+    if (defaultMeta == null || sheets.length === 0) {
+      sheets.push({ id: DEFAULT_SHEET_ID, name: defaultMeta?.get('name') ?? DEFAULT_SHEET_NAME, order: 0 })
+    }
+
+    return sheets
+      .sort((a, b) => a.order - b.order || (a.id < b.id ? -1 : 1))
+      .map(({ id, name }) => ({ id, name }))
+  }
+
+  /**
+   * Get the id of the first sheet, used when no sheet is given
+   */
+  getFirstSheetId () {
+    return this.getSheets()[0].id
+  }
+
+  /**
+   * Find a sheet by name (case-insensitive)
+   *
+   * @param name - Sheet name
+   * @returns Sheet id, or null if there is no such sheet
+   */
+  findSheet (name) {
+    return this.getSheets().find((sheet) => sameSheetName(sheet.name, name))?.id ?? null
+  }
+
+  /**
+   * Get the Yjs map holding the cells of a sheet
+   *
+   * @param sheetId
+   */
+  getSheetCells (sheetId) {
+    if (sheetId === DEFAULT_SHEET_ID) {
+      return this.cells
+    }
+    return this.sheets.get(sheetId)?.get('cells') ?? null
+  }
+
+  /**
+   * Get the metadata map of a sheet, creating it for the default sheet
+   *
+   * @param sheetId
+   */
+  getSheetMeta (sheetId) {
+    if (sheetId === DEFAULT_SHEET_ID && !this.sheets.has(DEFAULT_SHEET_ID)) {
+      const meta = new Y.Map()
+      meta.set('name', DEFAULT_SHEET_NAME)
+      meta.set('order', 0)
+      this.sheets.set(DEFAULT_SHEET_ID, meta)
+    }
+    return this.sheets.get(sheetId)
+  }
+
+  /**
+   * Check a new sheet name
+   *
+   * @param name - Proposed name
+   * @param sheetId - Sheet being renamed, if any
+   * @returns The trimmed name
+   * @throws {Error} If the name is empty, has invalid characters or is taken
+   */
+  validateSheetName (name, sheetId = null) {
+    const trimmed = String(name ?? '').trim()
+    if (trimmed === '') {
+      throw new Error('Sheet name cannot be empty')
+    }
+    if (/[!'[\]:*?/\\]/.test(trimmed)) {
+      throw new Error('Sheet name cannot contain ! \' [ ] : * ? / or \\')
+    }
+    if (this.getSheets().some((sheet) => sheet.id !== sheetId && sameSheetName(sheet.name, trimmed))) {
+      throw new Error(`A sheet named "${trimmed}" already exists`)
+    }
+    return trimmed
+  }
+
+  /**
+   * Add a sheet after the last one
+   *
+   * @param name - Sheet name, defaults to the next free "SheetN"
+   * @returns The id of the new sheet
    */
-  setCell (coord, value) {
-    // Get or create a Yjs Map for this cell
-    let cellData = this.cells.get(coord)
-    if (!cellData) {
-      cellData = new Y.Map()
-      this.cells.set(coord, cellData)
+  addSheet (name) {
+    const sheets = this.getSheets()
+    if (name == null) {
+      let n = sheets.length + 1
+      while (this.findSheet(`Sheet${n}`) != null) { n++ }
+      name = `Sheet${n}`
     }
+    name = this.validateSheetName(name)
+
+    const id = `sheet-${Math.random().toString(36).slice(2, 10)}`
+    const order = Math.max(...sheets.map((sheet) => this.sheets.get(sheet.id)?.get('order') ?? 0)) + 1
+
+    this.doc.transact(() => {
+      const meta = new Y.Map()
+      meta.set('name', name)
+      meta.set('order', order)
+      meta.set('cells', new Y.Map())
+      this.sheets.set(id, meta)
+    }, this)
+    return id
+  }
 
-    if (typeof value === 'string' && value.startsWith('=')) {
-      // It's a formula
-      const formula = value
-      const refs = this.extractReferences(formula)
+  /**
+   * Rename a sheet and update the formulas that refer to it
+   *
+   * @param sheetId
+   * @param name - New name
+   */
+  renameSheet (sheetId, name) {
+    const oldName = this.getSheets().find((sheet) => sheet.id === sheetId)?.name
+    if (oldName == null) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    name = this.validateSheetName(name, sheetId)
 
-      // Clear old dependencies (this cell's dependencies, not cells depending on this cell)
-      this.removeDependencies(coord)
+    this.doc.transact(() => {
+      this.getSheetMeta(sheetId).set('name', name)
 
-      // Build dependency graph
-      for (const ref of refs) {
-        if (!this.dependencyGraph.has(ref)) {
-          this.dependencyGraph.set(ref, new Set())
+      for (const { id } of this.getSheets()) {
+        for (const [coord, cellData] of this.getSheetCells(id).entries()) {
+          const formula = cellData.get('formula')
+          if (!formula) { continue }
+
+          const rewritten = rewriteReferences(formula, (reference) => {
+            return reference.qualified && sameSheetName(reference.sheet, oldName)
+              ? formatReference({ ...reference, sheet: name })
+              : null
+          })
+          if (rewritten !== formula) {
+            this.getSheetCells(id).get(coord).set('formula', rewritten)
+          }
         }
-        this.dependencyGraph.get(ref).add(coord)
       }
 
-      // Check for circular references
-      if (this.hasCircularReference(coord)) {
-        cellData.set('value', '#CIRCULAR!')
-        cellData.set('formula', formula)
-        cellData.set('error', true)
+      this.rewriteNames((definition) => rewriteReferences(definition, (reference) => {
+        return sameSheetName(reference.sheet, oldName) ? formatReference({ ...reference, sheet: name }) : null
+      }))
+    }, this)
+  }
+
+  /**
+   * Move a sheet to another position in the tab order
+   *
+   * @param sheetId
+   * @param index - New position
+   */
+  moveSheet (sheetId, index) {
+    const others = this.getSheets().filter((sheet) => sheet.id !== sheetId)
+    index = Math.max(0, Math.min(index, others.length))
+
+    this.doc.transact(() => {
+      // Orders are fractional, so only the moved sheet changes
+      const orderOf = (sheet) => this.getSheetMeta(sheet.id).get('order') ?? 0
+      const before = index > 0 ? orderOf(others[index - 1]) : null
+      const after = index < others.length ? orderOf(others[index]) : null
+
+      let order
+      if (before == null && after == null) {
+        order = 0
+      } else if (before == null) {
+        order = after - 1
+      } else if (after == null) {
+        order = before + 1
+      } else {
+        order = (before + after) / 2
+      }
+      this.getSheetMeta(sheetId).set('order', order)
+    }, this)
+  }
+
+  /**
+   * Delete a sheet and its cells
+   * Formulas referring to it show #REF!
+   *
+   * @param sheetId
+   */
+  deleteSheet (sheetId) {
+    const sheets = this.getSheets()
+    if (!sheets.some((sheet) => sheet.id === sheetId)) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    if (sheets.length === 1) {
+      throw new Error('A workbook needs at least one sheet')
+    }
+
+    this.doc.transact(() => {
+      if (sheetId === DEFAULT_SHEET_ID) {
+        // The default sheet's cells are a top-level map that can't be removed
+        this.getSheetMeta(sheetId).set('deleted', true)
+        Array.from(this.cells.keys()).forEach((coord) => this.cells.delete(coord))
       } else {
-        // Evaluate the formula
-        const result = this.evaluate(formula, coord)
-        cellData.set('value', result)
+        this.sheets.delete(sheetId)
+      }
+      for (const sizes of [this.colWidths, this.rowHeights]) {
+        this.shiftLineSizes(sizes, sheetId, () => null)
+      }
+      for (const rules of [this.conditionalFormats, this.validations]) {
+        getSheetRules(rules, sheetId).forEach(({ id }) => rules.delete(id))
+      }
+    }, this)
+  }
+
+  /**
+   * Set a cell value or formula
+   *
+   * @param coord
+   * @param value
+   * @param sheetId - Sheet of the cell, defaults to the first sheet
+   * @throws {ValidationError} If a validation rule in reject mode refuses the
+   * value, or the result of the formula
+   */
+  setCell (coord, value, sheetId = this.getFirstSheetId()) {
+    this.assertValid(coord, value, sheetId)
+    this.writeCell(coord, value, sheetId)
+  }
+
+  /**
+   * Set a cell value or formula without validating it, for cells copied
+   * as they are, like Excel's paste does
+   *
+   * @param coord
+   * @param value
+   * @param sheetId - Sheet of the cell
+   */
+  writeCell (coord, value, sheetId) {
+    const cells = this.getSheetCells(sheetId)
+    if (!cells) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    const key = cellKey(sheetId, coord)
+
+    // One transaction, so peers and observers never see a half-written cell
+    this.doc.transact(() => {
+      // Get or create a Yjs Map for this cell
+      let cellData = cells.get(coord)
+      if (!cellData) {
+        cellData = new Y.Map()
+        cells.set(coord, cellData)
+      }
+
+      if (typeof value === 'string' && value.startsWith('=')) {
+        // It's a formula
+        const formula = value
+        this.setDependencies(key, this.extractReferences(formula, sheetId))
+
+        // Only the formula is shared, every peer computes the result
         cellData.set('formula', formula)
+        cellData.delete('value')
+        cellData.delete('error')
+
+        const result = this.hasCircularReference(key) ? ERRORS.CIRCULAR : this.evaluate(formula, sheetId)
+        this.results.set(key, { value: result, error: isErrorCode(result) })
+      } else {
+        // Raw value - only clear dependencies if this cell previously had a formula
+        const hadFormula = cellData.get('formula') != null
+        if (hadFormula) {
+          this.removeDependencies(key)
+          this.results.delete(key)
+        }
+
+        cellData.set('value', value)
+        cellData.set('formula', null)
         cellData.set('error', false)
       }
-    } else {
-      // Raw value - only clear dependencies if this cell previously had a formula
-      const hadFormula = cellData.get('formula') != null
-      if (hadFormula) {
-        this.removeDependencies(coord)
+      this.recordWrite(key)
+    }, this)
+  }
+
+  /**
+   * Remember that a cell was written, after the cells written before it
+   *
+   * @param key - Cell key
+   */
+  recordWrite (key) {
+    this.localWrites.delete(key)
+    this.localWrites.add(key)
+  }
+
+  /**
+   * Set many cells in one transaction, so peers receive them as one update
+   * and they are undone in one step
+   *
+   * @param values - Iterable of `[coord, value]` pairs, empty values clear the cell
+   * @param sheetId - Defaults to the first sheet
+   * @throws {ValidationError} If a validation rule in reject mode refuses a
+   * value, before any cell is set
+   */
+  setCells (values, sheetId = this.getFirstSheetId()) {
+    const pairs = Array.from(values)
+    for (const [coord, value] of pairs) {
+      this.assertValid(coord, value, sheetId)
+    }
+
+    this.doc.transact(() => {
+      for (const [coord, value] of pairs) {
+        if (value == null || value === '') {
+          this.clearCell(coord, sheetId)
+        } else {
+          this.writeCell(coord, value, sheetId)
+        }
       }
+    }, this)
+  }
+
+  /**
+   * Check a value about to be set against the validation rule of its cell
+   *
+   * @param coord - Cell coordinate
+   * @param value - Value or formula
+   * @param sheetId
+   * @throws {ValidationError} If the rule is in reject mode and refuses the
+   * value, or the result of the formula
+   */
+  assertValid (coord, value, sheetId) {
+    const rule = this.getValidation(coord, sheetId)
+    if (rule?.mode !== 'reject') { return }
+
+    const checked = typeof value === 'string' && value.startsWith('=') ? this.evaluate(value, sheetId) : value
+    if (!isErrorCode(checked) && !checkValue(rule, checked)) {
+      throw new ValidationError(coord, rule)
+    }
+  }
+
+  /**
+   * Get cell data
+   *
+   * @param coord
+   * @param sheetId - Sheet of the cell, defaults to the first sheet
+   */
+  getCell (coord, sheetId = this.getFirstSheetId()) {
+    const cellData = this.getSheetCells(sheetId)?.get(coord)
+    if (!cellData) { return { value: '', formula: null, error: false, format: null, style: {} } }
+
+    return {
+      ...this.getResult(cellKey(sheetId, coord), cellData),
+      formula: cellData.get('formula') || null,
+      format: cellData.get('format') ?? null,
+      style: getStyle(cellData)
+    }
+  }
+
+  /**
+   * Get the value and error flag of a cell: computed by this peer for
+   * formulas, stored in the document for other cells
+   *
+   * @param key - Cell key
+   * @param cellData - Y.Map of the cell
+   * @returns `{ value, error }`
+   */
+  getResult (key, cellData) {
+    if (cellData.get('formula')) {
+      return this.results.get(key) ?? { value: '', error: false }
+    }
+    return { value: cellData.get('value') ?? '', error: cellData.get('error') || false }
+  }
+
+  /**
+   * Get the value of a cell as seen by formulas: numeric text as a number,
+   * empty cells as null and error results as FormulaError
+   *
+   * @param coord
+   * @param sheetId
+   */
+  getCellValue (coord, sheetId) {
+    const cellData = this.getSheetCells(sheetId)?.get(coord)
+    if (!cellData) { return null }
 
-      cellData.set('value', value)
-      cellData.set('formula', null)
-      cellData.set('error', false)
+    const { value, error } = this.getResult(cellKey(sheetId, coord), cellData)
+    if (error && isErrorCode(value)) {
+      return new FormulaError(value)
     }
+    if (value == null || value === '') {
+      return null
+    }
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+      return Number(value)
+    }
+    return value
+  }
+
+  /**
+   * Get the values of a range as rows of cell values
+   *
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B10'
+   * @param sheetId
+   */
+  getRangeValues (start, end, sheetId) {
+    const from = a1ToCoord(start)
+    const to = a1ToCoord(end)
+    const rows = []
+
+    for (let row = Math.min(from.row, to.row); row <= Math.max(from.row, to.row); row++) {
+      const values = []
+      for (let col = Math.min(from.col, to.col); col <= Math.max(from.col, to.col); col++) {
+        values.push(this.getCellValue(coordToA1(row, col), sheetId))
+      }
+      rows.push(values)
+    }
+    return rows
+  }
+
+  /**
+   * Extract all cell references from formula (including ranges), and the
+   * names it uses, defined or not, so defining them recalculates it
+   * References to sheets that don't exist are left out
+   *
+   * @param formula
+   * @param sheetId - Sheet of the formula
+   * @returns Cell keys (see cellKey) and name keys (see nameKey)
+   */
+  extractReferences (formula, sheetId) {
+    let ast
+    try {
+      ast = parseFormula(formula)
+    } catch {
+      // Invalid formulas depend on nothing
+      return []
+    }
+
+    const resolve = (sheet) => sheet == null ? sheetId : this.findSheet(sheet)
+    const { cells, ranges, names } = collectReferences(ast)
+    const refs = new Set(names.map(nameKey))
+    for (const { sheet, ref } of cells) {
+      const id = resolve(sheet)
+      if (id != null) { refs.add(cellKey(id, ref)) }
+    }
+    for (const { sheet, start, end } of ranges) {
+      const id = resolve(sheet)
+      if (id != null) {
+        parseRange(`${start}:${end}`).forEach((cell) => refs.add(cellKey(id, cell)))
+      }
+    }
+
+    return Array.from(refs)
+  }
+
+  /**
+   * Evaluate a formula
+   * Returns the result, or the error code (e.g. '#DIV/0!') if it fails
+   *
+   * @param formula
+   * @param sheetId - Sheet of the formula, which unqualified references point to
+   */
+  evaluate (formula, sheetId = this.getFirstSheetId()) {
+    const resolve = (sheet) => {
+      const id = sheet == null ? sheetId : this.findSheet(sheet)
+      if (id == null) {
+        throw new FormulaError(ERRORS.REF, `Unknown sheet ${sheet}`)
+      }
+      return id
+    }
+
+    const result = evaluateFormula(formula, {
+      getCell: (coord, sheet) => this.getCellValue(coord, resolve(sheet)),
+      getRange: (start, end, sheet) => this.getRangeValues(start, end, resolve(sheet)),
+      getName: (name) => {
+        const definition = this.names.get(name)?.definition
+        return definition != null ? parseFormula(definition) : null
+      }
+    })
+
+    return result instanceof FormulaError ? result.code : result
+  }
+
+  /**
+   * Check whether a cell depends on itself, directly or through other cells
+   *
+   * @param key - Cell key
+   */
+  hasCircularReference (key) {
+    const visited = new Set()
+    const stack = [...this.dependencyGraph.get(key) ?? []]
+
+    while (stack.length > 0) {
+      const dependent = stack.pop()
+      if (dependent === key) { return true }
+      if (visited.has(dependent)) { continue }
+
+      visited.add(dependent)
+      this.dependencyGraph.get(dependent)?.forEach((next) => stack.push(next))
+    }
+    return false
+  }
+
+  /**
+   * Record the cells a formula refers to, replacing its old references
+   *
+   * @param key - Cell key of the formula
+   * @param refs - Cell keys it refers to
+   */
+  setDependencies (key, refs) {
+    this.removeDependencies(key)
+    this.references.set(key, new Set(refs))
+
+    for (const ref of refs) {
+      if (!this.dependencyGraph.has(ref)) {
+        this.dependencyGraph.set(ref, new Set())
+      }
+      this.dependencyGraph.get(ref).add(key)
+    }
+  }
+
+  /**
+   * Remove a cell's formula from the dependency graph, the cells depending
+   * on this cell keep their entries
+   *
+   * @param key - Cell key
+   */
+  removeDependencies (key) {
+    for (const ref of this.references.get(key) ?? []) {
+      const dependents = this.dependencyGraph.get(ref)
+      dependents?.delete(key)
+      if (dependents?.size === 0) {
+        this.dependencyGraph.delete(ref)
+      }
+    }
+    this.references.delete(key)
+  }
+
+  /**
+   * Handle deep Yjs changes to cells (including nested Y.Map changes) and sheets
+   *
+   * @param events
+   * @param basePath - Path of the observed map: `['default', 'cells']` for the
+   * default sheet's cells, `[]` for the sheets map
+   */
+  handleDeepCellChanges (events, basePath) {
+    // Guard against recursive processing
+    if (events[0]?.transaction.origin === MIGRATION_ORIGIN) {
+      return
+    }
+
+    // setCell only evaluated the formulas of this engine's own transactions
+    if (events[0]?.transaction.origin !== this) {
+      this.localWrites.clear()
+    }
+
+    const changedCells = new Set()
+    const formattedCells = new Set() // Cells of which only the format or style changed
+    let sheetsChanged = false
+
+    for (const event of events) {
+      // [sheetId, 'cells', coord] down to the cell that changed
+      const [sheetId, field, coord] = [...basePath, ...event.path]
+
+      if (field !== 'cells') {
+        // Sheets added, removed, renamed or moved
+        sheetsChanged = true
+      } else if (coord == null) {
+        // Changes to a cells map itself (adding/removing cells)
+        event.changes.keys.forEach((change, key) => {
+          // The old cell's formula no longer applies; a new formula is
+          // added to the graph again below
+          changedCells.add(cellKey(sheetId, key))
+          this.removeDependencies(cellKey(sheetId, key))
+        })
+      } else if ([...event.keysChanged].every((field) => DISPLAY_FIELDS.has(field))) {
+        // Formats and styles don't change values, so nothing is recalculated
+        formattedCells.add(cellKey(sheetId, coord))
+      } else {
+        // Changes to a nested Y.Map (cell data)
+        changedCells.add(cellKey(sheetId, coord))
+      }
+    }
+
+    if (sheetsChanged) {
+      // Sheet names decide where references point, so recalculate every formula
+      this.localWrites.clear()
+      this.rebuildAllDependencies()
+      this.processChangedCells([...changedCells, ...formattedCells, ...this.getFormulaCellKeys()])
+      this.sheetObservers.forEach((callback) => callback())
+      return
+    }
+
+    // Rebuild dependency graph for any cells with formulas, and drop the
+    // references of cells that no longer have one, so formulas synced from
+    // other peers recalculate like the writer's
+    changedCells.forEach((key) => {
+      const { sheetId, coord } = splitCellKey(key)
+      const cellData = this.getSheetCells(sheetId)?.get(coord)
+      if (cellData && cellData.get('formula')) {
+        this.rebuildDependenciesForCell(key)
+      } else {
+        this.removeDependencies(key)
+      }
+    })
+
+    this.processChangedCells(Array.from(changedCells))
+
+    formattedCells.forEach((key) => {
+      if (!changedCells.has(key)) {
+        const { sheetId, coord } = splitCellKey(key)
+        this.notifyObservers(coord, sheetId)
+      }
+    })
+  }
+
+  /**
+   * Get the keys of all cells with formulas on all sheets
+   */
+  getFormulaCellKeys () {
+    const keys = []
+    for (const { id } of this.getSheets()) {
+      for (const [coord, cellData] of this.getSheetCells(id)?.entries() ?? []) {
+        if (cellData.get('formula')) {
+          keys.push(cellKey(id, coord))
+        }
+      }
+    }
+    return keys
+  }
+
+  /**
+   * Rebuild dependency graph for a cell with a formula
+   * Used when receiving formula updates from other peers
+   *
+   * @param key - Cell key
+   */
+  rebuildDependenciesForCell (key) {
+    const { sheetId, coord } = splitCellKey(key)
+    const cellData = this.getSheetCells(sheetId)?.get(coord)
+    if (!cellData) { return }
+
+    const formula = cellData.get('formula')
+    if (!formula) { return }
+
+    this.setDependencies(key, this.extractReferences(formula, sheetId))
+  }
+
+  /**
+   * Rebuild dependency graph for all cells with formulas
+   * Called at initialization to build graph from existing document
+   */
+  rebuildAllDependencies () {
+    // Clear existing graph
+    this.dependencyGraph.clear()
+    this.references.clear()
+
+    // Scan all cells and rebuild dependencies for formulas
+    for (const key of this.getFormulaCellKeys()) {
+      this.rebuildDependenciesForCell(key)
+    }
+    for (const name of this.names.keys()) {
+      this.rebuildDependenciesForName(name)
+    }
+  }
+
+  /**
+   * Record the cells and names the definition of a name refers to, or
+   * remove them if the name isn't defined. Formulas using the name keep
+   * depending on it.
+   *
+   * @param name - Upper case name
+   */
+  rebuildDependenciesForName (name) {
+    const definition = this.names.get(name)?.definition
+    if (definition != null) {
+      // Definitions only have references qualified with a sheet
+      this.setDependencies(nameKey(name), this.extractReferences(definition, null))
+    } else {
+      this.removeDependencies(nameKey(name))
+    }
+  }
+
+  /**
+   * Process changed cells and trigger recalculation
+   *
+   * Formulas are evaluated in dependency order, each once, so they never
+   * read a value that is recalculated after them. Cells in a cycle get the
+   * circular reference error.
+   *
+   * @param changedCells - Cell keys, and name keys of redefined names
+   */
+  processChangedCells (changedCells) {
+    // The changed cells and all cells depending on them, directly or not
+    const affected = new Set(changedCells)
+    for (const key of affected) {
+      this.dependencyGraph.get(key)?.forEach((dependent) => affected.add(dependent))
+    }
+
+    const toRecalculate = new Set()
+    try {
+      this.recalculate(affected, toRecalculate)
+    } finally {
+      this.localWrites.clear()
+    }
+
+    // Notify observers of all changes (including formula cells that were synced)
+    // Even if the value didn't change during recalculation, the UI needs to update
+    const cellKeys = changedCells.filter((key) => splitCellKey(key).sheetId !== NAMES_KEY)
+    const notified = new Set([...cellKeys, ...toRecalculate])
+    notified.forEach((key) => {
+      const { sheetId, coord } = splitCellKey(key)
+      this.notifyObservers(coord, sheetId)
+    })
+
+    this.refreshConditionalFormats(notified)
+  }
+
+  /**
+   * Evaluate the formulas among cells, in dependency order
+   * Results are kept in the local cache, so recalculating sends no updates.
+   *
+   * @param affected - Changed cells and all cells depending on them
+   * @param toRecalculate - Receives the keys of the formula cells
+   */
+  recalculate (affected, toRecalculate) {
+    const writeOrder = new Map([...this.localWrites].map((key, index) => [key, index]))
+    const recalculated = new Set()
+
+    // setCell evaluated a formula with the final values of the cells it
+    // refers to if they were written before it and not recalculated since
+    const isUpToDate = (key) => writeOrder.has(key) && [...this.references.get(key) ?? []].every((ref) =>
+      !affected.has(ref) || (!recalculated.has(ref) && writeOrder.get(ref) < writeOrder.get(key))
+    )
+
+    for (const group of dependencyOrder(affected, (key) => this.dependencyGraph.get(key) ?? [])) {
+      const circular = group.length > 1 || this.dependencyGraph.get(group[0])?.has(group[0])
+
+      for (const key of group) {
+        const { sheetId, coord } = splitCellKey(key)
+        const cellData = this.getSheetCells(sheetId)?.get(coord)
+        const formula = cellData?.get('formula')
+        if (!formula) {
+          this.results.delete(key)
+          continue
+        }
+        toRecalculate.add(key)
+
+        if (!circular && isUpToDate(key)) { continue }
+
+        const result = circular ? ERRORS.CIRCULAR : this.evaluate(formula, sheetId)
+        this.results.set(key, { value: result, error: isErrorCode(result) })
+        recalculated.add(key)
+      }
+    }
+  }
+
+  /**
+   * Register an observer for cell changes
+   *
+   * @param callback - Called with the coordinate and sheet id of the cell
+   */
+  onChange (callback) {
+    this.observers.add(callback)
+    return () => this.observers.delete(callback)
+  }
+
+  /**
+   * Register an observer for sheets being added, removed, renamed or moved
+   *
+   * @param callback
+   */
+  onSheetsChange (callback) {
+    this.sheetObservers.add(callback)
+    return () => this.sheetObservers.delete(callback)
+  }
+
+  /**
+   * Notify all observers of a change
+   *
+   * @param coord
+   * @param sheetId
+   */
+  notifyObservers (coord, sheetId = this.getFirstSheetId()) {
+    this.observers.forEach((callback) => callback(coord, sheetId))
+  }
+
+  /**
+   * Get all cells in a sheet
+   *
+   * @param sheetId - Defaults to the first sheet
+   */
+  getAllCells (sheetId = this.getFirstSheetId()) {
+    const cells = new Map()
+    for (const [coord, cellData] of this.getSheetCells(sheetId)?.entries() ?? []) {
+      cells.set(coord, {
+        ...this.getResult(cellKey(sheetId, coord), cellData),
+        formula: cellData.get('formula') || null,
+        format: cellData.get('format') ?? null,
+        style: getStyle(cellData)
+      })
+    }
+    return cells
+  }
+
+  /**
+   * Get the size of the used part of a sheet, from A1 to its last used row
+   * and column
+   *
+   * @param sheetId - Defaults to the first sheet
+   * @returns `{ rows, cols }`, zero for an empty sheet
+   */
+  getUsedSize (sheetId = this.getFirstSheetId()) {
+    let rows = 0
+    let cols = 0
+
+    for (const coord of this.getSheetCells(sheetId)?.keys() ?? []) {
+      const position = a1ToCoord(coord)
+      if (!position) { continue }
+      rows = Math.max(rows, position.row + 1)
+      cols = Math.max(cols, position.col + 1)
+    }
+    return { rows, cols }
+  }
+
+  /**
+   * Export a sheet as CSV or TSV, from A1 to its last used row and column
+   *
+   * @param options
+   * @param options.delimiter - Field delimiter, a comma by default
+   * @param options.formulas - Export formulas instead of their results
+   * @param options.sheetId - Defaults to the first sheet
+   */
+  exportDelimited ({ delimiter = DELIMITERS.csv, formulas = false, sheetId = this.getFirstSheetId() } = {}) {
+    const cells = []
+    let rows = 0
+    let cols = 0
+
+    for (const [coord, cell] of this.getAllCells(sheetId)) {
+      const position = a1ToCoord(coord)
+      if (!position) { continue }
+      cells.push({ position, text: formulas && cell.formula ? cell.formula : formatValue(cell.value) })
+      rows = Math.max(rows, position.row + 1)
+      cols = Math.max(cols, position.col + 1)
+    }
+
+    const grid = Array.from({ length: rows }, () => new Array(cols).fill(''))
+    for (const { position, text } of cells) {
+      grid[position.row][position.col] = text
+    }
+    return formatDelimited(grid, delimiter)
+  }
+
+  /**
+   * Import CSV or TSV text into a sheet in one transaction
+   * Fields starting with `=` become formulas, empty fields clear their cell
+   *
+   * @param text - CSV or TSV text
+   * @param anchor - Cell receiving the first field, e.g. 'B2'
+   * @param options
+   * @param options.delimiter - Field delimiter, a comma by default
+   * @param options.sheetId - Defaults to the first sheet
+   * @returns `{ rows, cols }` imported
+   * @throws {Error} If the anchor is invalid or the text can't be parsed
+   */
+  importDelimited (text, anchor = 'A1', { delimiter = DELIMITERS.csv, sheetId = this.getFirstSheetId() } = {}) {
+    const start = a1ToCoord(anchor)
+    if (!start) {
+      throw new Error(`Invalid cell ${anchor}`)
+    }
+
+    const rows = parseDelimited(text, delimiter)
+    const values = []
+    rows.forEach((row, r) => {
+      row.forEach((value, c) => values.push([coordToA1(start.row + r, start.col + c), value]))
+    })
+    this.setCells(values, sheetId)
+
+    return { rows: rows.length, cols: Math.max(0, ...rows.map((row) => row.length)) }
+  }
+
+  /**
+   * Export all sheets and the defined names as an XLSX workbook
+   *
+   * @returns Contents of the XLSX file
+   */
+  exportXlsx () {
+    return writeXlsx({
+      sheets: this.getSheets().map(({ id, name }) => ({
+        name,
+        cells: Array.from(this.getAllCells(id), ([ref, cell]) => ({ ref, ...cell }))
+      })),
+      names: this.getNames()
+    })
+  }
+
+  /**
+   * Import the sheets of an XLSX workbook in one transaction
+   * A sheet replaces the contents of the sheet with the same name, other
+   * sheets are added after the last one. Number formats are kept in the
+   * `format` field of the cells. Defined names replace the names they share,
+   * unqualified references in them point to the first imported sheet.
+   *
+   * @param data - Contents of the XLSX file
+   * @returns Ids of the imported sheets, in workbook order
+   * @throws {Error} If the file can't be read or a sheet name is invalid
+   */
+  importXlsx (data) {
+    const { sheets, names } = readXlsx(data)
+
+    // Check the names first, so an invalid one doesn't leave half an import
+    for (const { name } of sheets) {
+      if (this.findSheet(name) == null) {
+        this.validateSheetName(name)
+      }
+    }
+
+    const sheetIds = []
+    this.doc.transact(() => {
+      const formulas = []
+
+      for (const sheet of sheets) {
+        const sheetId = this.findSheet(sheet.name) ?? this.addSheet(sheet.name)
+        const cells = this.getSheetCells(sheetId)
+        Array.from(cells.keys()).forEach((coord) => this.clearCell(coord, sheetId))
+        sheetIds.push(sheetId)
+
+        for (const { ref, value, formula, error, format } of sheet.cells) {
+          if (formula != null) {
+            formulas.push({ sheetId, ref, formula, format })
+            continue
+          }
+          // Written as is, so formulas imported as text stay text
+          const cellData = new Y.Map()
+          cellData.set('value', value ?? '')
+          cellData.set('formula', null)
+          cellData.set('error', error)
+          if (format != null) {
+            cellData.set('format', format)
+          }
+          cells.set(ref, cellData)
+        }
+      }
+
+      // Names before the formulas using them
+      for (const { name, definition } of names) {
+        this.defineName(name, definition, sheetIds[0])
+      }
+
+      // Formulas last, so they are evaluated with the imported values
+      for (const { sheetId, ref, formula, format } of formulas) {
+        this.writeCell(ref, formula, sheetId)
+        if (format != null) {
+          this.getSheetCells(sheetId).get(ref).set('format', format)
+        }
+      }
+    }, this)
+
+    return sheetIds
+  }
+
+  /**
+   * Clear a cell
+   *
+   * @param coord
+   * @param sheetId - Defaults to the first sheet
+   * @param options
+   * @param options.keepFormat - Keep the number format and style, like
+   * deleting the contents of a cell in Excel
+   */
+  clearCell (coord, sheetId = this.getFirstSheetId(), { keepFormat = false } = {}) {
+    this.removeDependencies(cellKey(sheetId, coord))
+    this.doc.transact(() => {
+      const cells = this.getSheetCells(sheetId)
+      const cellData = cells?.get(coord)
+      if (keepFormat && Array.from(cellData?.keys() ?? []).some((field) => DISPLAY_FIELDS.has(field))) {
+        cellData.delete('value')
+        cellData.delete('formula')
+        cellData.delete('error')
+      } else {
+        cells?.delete(coord)
+      }
+      this.recordWrite(cellKey(sheetId, coord))
+    }, this)
+    this.notifyObservers(coord, sheetId)
+  }
+
+  /**
+   * Set the number format of a range of cells, keeping their values
+   * Formats only change how values are shown, see spreadsheet-format.js.
+   *
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B2'
+   * @param format - Format code such as `0.00%`, null for General
+   * @param sheetId - Defaults to the first sheet
+   */
+  setFormat (start, end, format, sheetId = this.getFirstSheetId()) {
+    const general = format == null || format === '' || format === 'General'
+    this.updateDisplayFields(start, end, () => ({ format: general ? null : format }), sheetId)
+  }
+
+  /**
+   * Style a range of cells, keeping their values and the style fields not
+   * given
+   *
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B2'
+   * @param style - Fields to change: `bold` and `italic` (booleans), `color`
+   * and `background` ('#rrggbb'), `align` ('left', 'center' or 'right'), null
+   * or false to remove a field
+   * @param sheetId - Defaults to the first sheet
+   * @throws {Error} For unknown fields and invalid values
+   */
+  setStyle (start, end, style, sheetId = this.getFirstSheetId()) {
+    const fields = {}
+    for (const [field, value] of Object.entries(style)) {
+      const valid = {
+        bold: typeof value === 'boolean',
+        italic: typeof value === 'boolean',
+        color: COLOR.test(value),
+        background: COLOR.test(value),
+        align: ALIGNMENTS.includes(value)
+      }[field]
+      if (valid == null) {
+        throw new Error(`Unknown style ${field}`)
+      }
+      if (value != null && value !== false && !valid) {
+        throw new Error(`Invalid ${field} ${value}`)
+      }
+      fields[field] = value || null
+    }
+
+    this.updateDisplayFields(start, end, () => fields, sheetId)
+  }
+
+  /**
+   * Add borders to a range of cells, or remove them
+   *
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B2'
+   * @param borders - 'all' for every cell, 'outline' around the range,
+   * 'top', 'right', 'bottom' or 'left' on that edge of the range, or 'none'
+   * @param sheetId - Defaults to the first sheet
+   * @throws {Error} For other values
+   */
+  setBorders (start, end, borders, sheetId = this.getFirstSheetId()) {
+    if (!['all', 'outline', 'none', ...BORDER_SIDES].includes(borders)) {
+      throw new Error(`Invalid borders ${borders}`)
+    }
+    const { top, left, bottom, right } = rangeBounds(start, end)
+
+    this.updateDisplayFields(start, end, (row, col, cellData) => {
+      if (borders === 'none') {
+        return { borders: null }
+      }
+
+      const edges = { top: row === top, right: col === right, bottom: row === bottom, left: col === left }
+      const sides = new Set(String(cellData?.get('borders') ?? '').split(' ').filter(Boolean))
+      for (const side of BORDER_SIDES) {
+        if (borders === 'all' || (borders === 'outline' && edges[side]) || (borders === side && edges[side])) {
+          sides.add(side)
+        }
+      }
+      // Kept as a string in a fixed order, so equal borders are equal values
+      return { borders: BORDER_SIDES.filter((side) => sides.has(side)).join(' ') || null }
+    }, sheetId)
+  }
+
+  /**
+   * Remove the style of a range of cells, keeping their values and formats
+   *
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B2'
+   * @param sheetId - Defaults to the first sheet
+   */
+  clearStyle (start, end, sheetId = this.getFirstSheetId()) {
+    const fields = Object.fromEntries(STYLE_FIELDS.map((field) => [field, null]))
+    this.updateDisplayFields(start, end, () => fields, sheetId)
+  }
+
+  /**
+   * Change the format and style fields of a range of cells in one
+   * transaction, creating cells as needed and removing cells left empty
+   *
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B2'
+   * @param fieldsAt - Called with the row, column and Y.Map (if any) of each
+   * cell, returns the fields to set, null removing a field
+   * @param sheetId - Sheet of the range
+   */
+  updateDisplayFields (start, end, fieldsAt, sheetId) {
+    const cells = this.getSheetCells(sheetId)
+    if (!cells) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    const { top, left, bottom, right } = rangeBounds(start, end)
+
+    this.doc.transact(() => {
+      for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+          const coord = coordToA1(row, col)
+          const cellData = cells.get(coord)
+          updateFields(cells, coord, fieldsAt(row, col, cellData))
+        }
+      }
+    }, this)
+  }
+
+  /**
+   * Get the columns of a sheet that don't have the default width
+   *
+   * @param sheetId - Defaults to the first sheet
+   * @returns Map from column index to width in pixels
+   */
+  getColumnWidths (sheetId = this.getFirstSheetId()) {
+    return this.getLineSizes(this.colWidths, sheetId)
+  }
+
+  /**
+   * Get the rows of a sheet that don't have the default height
+   *
+   * @param sheetId - Defaults to the first sheet
+   * @returns Map from row index to height in pixels
+   */
+  getRowHeights (sheetId = this.getFirstSheetId()) {
+    return this.getLineSizes(this.rowHeights, sheetId)
+  }
+
+  /**
+   * Get the sizes of the rows or columns of a sheet
+   *
+   * @param sizes - colWidths or rowHeights
+   * @param sheetId
+   */
+  getLineSizes (sizes, sheetId) {
+    const lines = new Map()
+    for (const [key, size] of sizes.entries()) {
+      const { sheetId: id, coord: index } = splitCellKey(key)
+      if (id === sheetId) {
+        lines.set(Number(index), size)
+      }
+    }
+    return lines
+  }
+
+  /**
+   * Set the width of a column
+   *
+   * @param col - Column index
+   * @param width - Width in pixels, null for the default width
+   * @param sheetId - Defaults to the first sheet
+   */
+  setColumnWidth (col, width, sheetId = this.getFirstSheetId()) {
+    this.setLineSize(this.colWidths, col, width, sheetId)
+  }
+
+  /**
+   * Set the height of a row
+   *
+   * @param row - Row index
+   * @param height - Height in pixels, null for the default height
+   * @param sheetId - Defaults to the first sheet
+   */
+  setRowHeight (row, height, sheetId = this.getFirstSheetId()) {
+    this.setLineSize(this.rowHeights, row, height, sheetId)
+  }
+
+  /**
+   * Set or reset the size of a row or column
+   *
+   * @param sizes - colWidths or rowHeights
+   * @param index - Row or column index
+   * @param size - Size in pixels, null for the default size
+   * @param sheetId
+   * @throws {Error} For an invalid index or size
+   */
+  setLineSize (sizes, index, size, sheetId) {
+    if (!this.getSheetCells(sheetId)) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error(`Invalid row or column ${index}`)
+    }
+    if (size != null && !(size > 0 && isFinite(size))) {
+      throw new Error(`Invalid size ${size}`)
+    }
+
+    this.doc.transact(() => {
+      if (size == null) {
+        sizes.delete(lineKey(sheetId, index))
+      } else {
+        sizes.set(lineKey(sheetId, index), Math.round(size))
+      }
+    }, this)
+  }
+
+  /**
+   * Move the sizes of rows or columns past inserted or deleted lines, or
+   * remove the sizes of a deleted sheet
+   *
+   * @param sizes - colWidths or rowHeights
+   * @param sheetId
+   * @param shift - Called with each line, returns its new index or null
+   */
+  shiftLineSizes (sizes, sheetId, shift) {
+    const moved = []
+    for (const [index, size] of this.getLineSizes(sizes, sheetId)) {
+      const line = shift(index)
+      if (line !== index) {
+        moved.push({ index, line, size })
+      }
+    }
+    moved.forEach(({ index }) => sizes.delete(lineKey(sheetId, index)))
+    moved.forEach(({ line, size }) => {
+      if (line != null) {
+        sizes.set(lineKey(sheetId, line), size)
+      }
+    })
+  }
+
+  /**
+   * Notify layout observers of changed column widths and row heights
+   *
+   * @param event - Yjs event of colWidths or rowHeights
+   */
+  handleLayoutChanges (event) {
+    const sheetIds = new Set([...event.keysChanged].map((key) => splitCellKey(key).sheetId))
+    sheetIds.forEach((sheetId) => {
+      this.layoutObservers.forEach((callback) => callback(sheetId))
+    })
+  }
+
+  /**
+   * Register an observer for column widths and row heights changing
+   *
+   * @param callback - Called with the sheet id
+   */
+  onLayoutChange (callback) {
+    this.layoutObservers.add(callback)
+    return () => this.layoutObservers.delete(callback)
+  }
+
+  /**
+   * Get the conditional formats of a sheet, in the order they apply
+   *
+   * @param sheetId - Defaults to the first sheet
+   * @returns Array of rules (see spreadsheet-conditional.js) with their `id`
+   * and `range`, e.g. 'A1:B10'
+   */
+  getConditionalFormats (sheetId = this.getFirstSheetId()) {
+    return getSheetRules(this.conditionalFormats, sheetId)
+  }
+
+  /**
+   * Add a conditional format to a range, applying after the sheet's other
+   * rules: where two rules set the same style field, the earlier one wins
+   *
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B10'
+   * @param rule - Rule, e.g. `{ type: 'value', operator: '>', value: '100',
+   * style: { background: '#ffcdd2' } }`
+   * @param sheetId - Defaults to the first sheet
+   * @returns Id of the rule
+   */
+  addConditionalFormat (start, end, rule, sheetId = this.getFirstSheetId()) {
+    if (!this.getSheetCells(sheetId)) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    const { top, left, bottom, right } = rangeBounds(start, end)
+    const stored = validateRule(rule)
+    const order = Math.max(0, ...this.getConditionalFormats(sheetId).map((existing) => existing.order)) + 1
+    const id = `rule-${Math.random().toString(36).slice(2, 10)}`
+
+    this.doc.transact(() => {
+      this.conditionalFormats.set(id, {
+        ...stored,
+        sheet: sheetId,
+        range: `${coordToA1(top, left)}:${coordToA1(bottom, right)}`,
+        order
+      })
+    }, this)
+    return id
+  }
+
+  /**
+   * Remove a conditional format
+   *
+   * @param id - Id of the rule
+   */
+  deleteConditionalFormat (id) {
+    if (!this.conditionalFormats.has(id)) {
+      throw new Error(`Unknown conditional format ${id}`)
+    }
+    this.doc.transact(() => {
+      this.conditionalFormats.delete(id)
+    }, this)
+  }
+
+  /**
+   * Get the style the conditional formats of its sheet give a cell
+   *
+   * @param coord - Cell coordinate
+   * @param sheetId - Defaults to the first sheet
+   * @returns Any of `{ bold, italic, color, background }`, on top of the
+   * cell's own style
+   */
+  getConditionalStyle (coord, sheetId = this.getFirstSheetId()) {
+    const position = a1ToCoord(coord)
+    const style = {}
+    if (!position || this.conditionalFormats.size === 0) { return style }
+
+    for (const rule of this.getConditionalFormats(sheetId)) {
+      if (!ruleCovers(rule, position)) { continue }
+
+      const { top, left } = rangeBounds(...rule.range.split(':'))
+      const value = rule.type === 'formula'
+        ? this.evaluate(offsetFormula(rule.formula, position.row - top, position.col - left), sheetId)
+        : this.getCellValue(coord, sheetId)
+      const ruleStyle = matchRule(rule, value, this.getRangeSummary(rule)) ?? {}
+
+      for (const [field, fieldValue] of Object.entries(ruleStyle)) {
+        if (!(field in style)) {
+          style[field] = fieldValue
+        }
+      }
+    }
+    return style
+  }
+
+  /**
+   * Get the summary of the range of a top or colour scale rule, computed
+   * once until values change
+   *
+   * @param rule - Rule with its id
+   */
+  getRangeSummary (rule) {
+    if (rule.type !== 'top' && rule.type !== 'scale') { return null }
+
+    if (!this.rangeSummaries.has(rule.id)) {
+      const [start, end] = rule.range.split(':')
+      this.rangeSummaries.set(rule.id, summarizeRange(rule, this.getRangeValues(start, end, rule.sheet).flat()))
+    }
+    return this.rangeSummaries.get(rule.id)
+  }
+
+  /**
+   * Tell conditional format observers about sheets with rules that restyle
+   * more cells than the changed ones: top and colour scale rules covering a
+   * changed cell, and formula rules, which can refer to any cell
+   *
+   * @param changedKeys - Keys of the changed and recalculated cells
+   */
+  refreshConditionalFormats (changedKeys) {
+    this.rangeSummaries.clear()
+    if (changedKeys.size === 0) { return }
+
+    const sheetIds = new Set()
+    for (const rule of this.conditionalFormats.values()) {
+      if (sheetIds.has(rule.sheet) || !dependsOnRange(rule)) { continue }
+
+      if (rule.type === 'formula' || this.rangeHasCell(rule, changedKeys)) {
+        sheetIds.add(rule.sheet)
+      }
+    }
+    sheetIds.forEach((sheetId) => {
+      this.conditionalObservers.forEach((callback) => callback(sheetId))
+    })
+  }
+
+  /**
+   * Check whether the range of a rule has any of some cells
+   *
+   * @param rule - Rule with its sheet and range
+   * @param keys - Cell keys
+   */
+  rangeHasCell (rule, keys) {
+    for (const key of keys) {
+      const { sheetId, coord } = splitCellKey(key)
+      const position = a1ToCoord(coord)
+      if (sheetId === rule.sheet && position && ruleCovers(rule, position)) {
+        return true
+      }
+    }
+    return false
   }
 
   /**
-   * Get cell data
+   * Notify conditional format observers of rules being added, changed or
+   * removed
    *
-   * @param coord
+   * @param event - Yjs event of conditionalFormats
    */
-  getCell (coord) {
-    const cellData = this.cells.get(coord)
-    if (!cellData) { return { value: '', formula: null, error: false } }
+  handleConditionalFormatChanges (event) {
+    this.rangeSummaries.clear()
 
-    return {
-      value: cellData.get('value') || '',
-      formula: cellData.get('formula') || null,
-      error: cellData.get('error') || false
-    }
+    changedRuleSheets(event, this.conditionalFormats).forEach((sheetId) => {
+      this.conditionalObservers.forEach((callback) => callback(sheetId))
+    })
   }
 
   /**
-   * Extract all cell references from formula (including ranges)
+   * Register an observer for the conditional styles of a sheet changing:
+   * rules were edited, or values in ranges that rules depend on changed
    *
-   * @param formula
+   * @param callback - Called with the sheet id
    */
-  extractReferences (formula) {
-    const refs = new Set()
-
-    // Find SUM(A1:A10) style ranges
-    const rangeRegex = /\b([A-Z]+\d+:[A-Z]+\d+)\b/g
-    let match
-    while ((match = rangeRegex.exec(formula)) !== null) {
-      const cells = parseRange(match[1])
-      cells.forEach((cell) => refs.add(cell))
-    }
-
-    // Find individual cell references
-    const cellRefs = parseCellRefs(formula)
-    cellRefs.forEach((ref) => refs.add(ref))
-
-    return Array.from(refs)
+  onConditionalFormatChange (callback) {
+    this.conditionalObservers.add(callback)
+    return () => this.conditionalObservers.delete(callback)
   }
 
   /**
-   * Evaluate a formula
+   * Get the validation rules of a sheet, in the order they were added
    *
-   * @param formula
-   * @param currentCell
+   * @param sheetId - Defaults to the first sheet
+   * @returns Array of rules (see spreadsheet-validation.js) with their `id`
+   * and `range`, e.g. 'A1:B10'
    */
-  evaluate (formula, currentCell) {
-    try {
-      // Remove leading =
-      let expr = formula.substring(1).trim()
-
-      // Handle SUM function
-      expr = expr.replace(/SUM\(([A-Z]+\d+:[A-Z]+\d+)\)/gi, (match, range) => {
-        const cells = parseRange(range)
-        const values = cells.map((coord) => {
-          const cell = this.getCell(coord)
-          const num = parseFloat(cell.value)
-          return isNaN(num) ? 0 : num
-        })
-        return values.reduce((sum, val) => sum + val, 0)
-      })
+  getValidations (sheetId = this.getFirstSheetId()) {
+    return getSheetRules(this.validations, sheetId)
+  }
 
-      // Replace cell references with their values
-      expr = expr.replace(/\b([A-Z]+\d+)\b/g, (match) => {
-        if (match === currentCell) { return '0' } // Prevent self-reference
-        const cell = this.getCell(match)
-        const num = parseFloat(cell.value)
-        return isNaN(num) ? '0' : num.toString()
+  /**
+   * Add a validation rule to a range. A cell follows the last rule added
+   * that covers it, like a new rule replacing the old one in Excel.
+   *
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B10'
+   * @param rule - Rule, e.g. `{ type: 'list', values: ['Yes', 'No'],
+   * mode: 'reject' }`
+   * @param sheetId - Defaults to the first sheet
+   * @returns Id of the rule
+   */
+  addValidation (start, end, rule, sheetId = this.getFirstSheetId()) {
+    if (!this.getSheetCells(sheetId)) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    const { top, left, bottom, right } = rangeBounds(start, end)
+    const stored = parseValidation(rule)
+    const order = Math.max(0, ...this.getValidations(sheetId).map((existing) => existing.order)) + 1
+    const id = `validation-${Math.random().toString(36).slice(2, 10)}`
+
+    this.doc.transact(() => {
+      this.validations.set(id, {
+        ...stored,
+        sheet: sheetId,
+        range: `${coordToA1(top, left)}:${coordToA1(bottom, right)}`,
+        order
       })
+    }, this)
+    return id
+  }
 
-      // Evaluate the expression safely
-      // eslint-disable-next-line no-new-func
-      const result = Function(`"use strict"; return (${expr})`)()
-
-      if (typeof result === 'number' && isFinite(result)) {
-        return result
-      }
-      return '#ERROR!'
-    } catch {
-      return '#ERROR!'
+  /**
+   * Remove a validation rule
+   *
+   * @param id - Id of the rule
+   */
+  deleteValidation (id) {
+    if (!this.validations.has(id)) {
+      throw new Error(`Unknown validation ${id}`)
     }
+    this.doc.transact(() => {
+      this.validations.delete(id)
+    }, this)
   }
 
   /**
-   * Check for circular references using DFS
+   * Get the validation rule a cell follows
    *
-   * @param coord
-   * @param visited
-   * @param path
+   * @param coord - Cell coordinate
+   * @param sheetId - Defaults to the first sheet
+   * @returns The rule with its id, or null if the cell has none
    */
-  hasCircularReference (coord, visited = new Set(), path = new Set()) {
-    if (path.has(coord)) { return true }
-    if (visited.has(coord)) { return false }
+  getValidation (coord, sheetId = this.getFirstSheetId()) {
+    const position = a1ToCoord(coord)
+    if (!position || this.validations.size === 0) { return null }
 
-    visited.add(coord)
-    path.add(coord)
+    return getSheetRules(this.validations, sheetId).findLast((rule) => ruleCovers(rule, position)) ?? null
+  }
 
-    const dependents = this.dependencyGraph.get(coord)
-    if (dependents) {
-      for (const dependent of dependents) {
-        if (this.hasCircularReference(dependent, visited, path)) {
-          return true
-        }
-      }
+  /**
+   * Get the rule a cell's value breaks, such as a value accepted in warn
+   * mode or written by a peer that doesn't check the rule
+   *
+   * @param coord - Cell coordinate
+   * @param sheetId - Defaults to the first sheet
+   * @returns The rule, or null if the value is valid
+   */
+  getViolation (coord, sheetId = this.getFirstSheetId()) {
+    const rule = this.getValidation(coord, sheetId)
+    if (rule == null || checkValue(rule, this.getCellValue(coord, sheetId))) {
+      return null
     }
+    return rule
+  }
 
-    path.delete(coord)
-    return false
+  /**
+   * Notify validation observers of rules being added, changed or removed
+   *
+   * @param event - Yjs event of validations
+   */
+  handleValidationChanges (event) {
+    changedRuleSheets(event, this.validations).forEach((sheetId) => {
+      this.validationObservers.forEach((callback) => callback(sheetId))
+    })
   }
 
   /**
-   * Remove cell from dependency graph
+   * Register an observer for the validation rules of a sheet changing
    *
-   * @param coord
+   * @param callback - Called with the sheet id
    */
-  removeDependencies (coord) {
-    // Remove this cell from all dependency lists
-    for (const [, dependents] of this.dependencyGraph.entries()) {
-      dependents.delete(coord)
-    }
+  onValidationChange (callback) {
+    this.validationObservers.add(callback)
+    return () => this.validationObservers.delete(callback)
   }
 
   /**
-   * Handle deep Yjs cell changes (including nested Y.Map changes)
+   * Get the defined names of the workbook, sorted by name
    *
-   * @param events
+   * @returns Array of `{ name, definition }`, where the definition is a
+   * formula like `=Sheet1!$B$2:$B$50` or `=0.2`
    */
-  handleDeepCellChanges (events) {
-    // Guard against recursive processing
-    if (this.isProcessing) {
-      return
-    }
+  getNames () {
+    return Array.from(this.names.values())
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
 
-    const changedCells = new Set()
+  /**
+   * Define a name, or change the definition of a name, which recalculates
+   * every formula using it. Names are case-insensitive, like sheet names.
+   *
+   * @param name - Name, e.g. 'Revenue': letters, digits, `_` and `.`, not
+   * starting with a digit and not a cell reference like `Q1`
+   * @param definition - Formula like `=B2:B50` or `=Price*1.2`, or a
+   * constant typed like a cell value, e.g. `0.2` or `Acme`
+   * @param sheetId - Sheet that unqualified references of the definition
+   * point to, defaults to the first sheet. They are qualified with its
+   * name, so the definition means the same in formulas of every sheet.
+   * @throws {Error} If the name or the definition is invalid
+   */
+  defineName (name, definition, sheetId = this.getFirstSheetId()) {
+    const trimmed = String(name ?? '').trim()
+    if (!isValidName(trimmed)) {
+      throw new Error(`Invalid name "${trimmed}": use letters, digits, _ and ., not a cell reference`)
+    }
+    const sheetName = this.getSheets().find((sheet) => sheet.id === sheetId)?.name
+    if (sheetName == null) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
 
-    for (const event of events) {
-      if (event.target === this.cells) {
-        // Changes to the cells map itself (adding/removing cells)
-        event.changes.keys.forEach((change, key) => {
-          changedCells.add(key)
-        })
-      } else {
-        // Changes to a nested Y.Map (cell data)
-        // Find which cell this Y.Map belongs to
-        for (const [coord, cellData] of this.cells.entries()) {
-          if (cellData === event.target) {
-            changedCells.add(coord)
-            break
-          }
-        }
-      }
+    const text = String(definition ?? '').trim()
+    if (text === '') {
+      throw new Error(`${trimmed} needs a definition`)
+    }
+    let formula = text
+    if (!text.startsWith('=')) {
+      formula = !isNaN(Number(text)) ? `=${Number(text)}` : `="${text.replace(/"/g, '""')}"`
+    }
+    try {
+      parseFormula(formula)
+    } catch (err) {
+      throw new Error(`Invalid definition of ${trimmed}: ${err.message}`)
     }
 
-    // Rebuild dependency graph for any cells with formulas
-    // This ensures formulas synced from other peers can recalculate correctly
-    changedCells.forEach((coord) => {
-      const cellData = this.cells.get(coord)
-      if (cellData && cellData.get('formula')) {
-        this.rebuildDependenciesForCell(coord)
-      }
+    const qualified = rewriteReferences(formula, (reference) => {
+      return reference.qualified ? null : formatReference({ ...reference, sheet: sheetName })
     })
 
-    this.processChangedCells(Array.from(changedCells))
+    this.doc.transact(() => {
+      this.names.set(trimmed.toUpperCase(), { name: trimmed, definition: qualified })
+    }, this)
   }
 
   /**
-   * Rebuild dependency graph for a cell with a formula
-   * Used when receiving formula updates from other peers
+   * Remove a defined name. Formulas using it show #NAME?
    *
-   * @param coord
+   * @param name - Name in any case
    */
-  rebuildDependenciesForCell (coord) {
-    const cellData = this.cells.get(coord)
-    if (!cellData) { return }
-
-    const formula = cellData.get('formula')
-    if (!formula) { return }
-
-    // Clear old dependencies for this cell
-    this.removeDependencies(coord)
-
-    // Rebuild dependencies
-    const refs = this.extractReferences(formula)
-    for (const ref of refs) {
-      if (!this.dependencyGraph.has(ref)) {
-        this.dependencyGraph.set(ref, new Set())
-      }
-      this.dependencyGraph.get(ref).add(coord)
+  deleteName (name) {
+    const key = String(name).toUpperCase()
+    if (!this.names.has(key)) {
+      throw new Error(`Unknown name ${name}`)
     }
+    this.doc.transact(() => {
+      this.names.delete(key)
+    }, this)
   }
 
   /**
-   * Rebuild dependency graph for all cells with formulas
-   * Called at initialization to build graph from existing document
+   * Rewrite the definitions of all names, as the cells or sheets they refer
+   * to change
+   *
+   * @param rewrite - Called with a definition, returns the new definition
    */
-  rebuildAllDependencies () {
-    // Clear existing graph
-    this.dependencyGraph.clear()
-
-    // Scan all cells and rebuild dependencies for formulas
-    for (const [coord, cellData] of this.cells.entries()) {
-      const formula = cellData.get('formula')
-      if (formula) {
-        const refs = this.extractReferences(formula)
-        for (const ref of refs) {
-          if (!this.dependencyGraph.has(ref)) {
-            this.dependencyGraph.set(ref, new Set())
-          }
-          this.dependencyGraph.get(ref).add(coord)
-        }
+  rewriteNames (rewrite) {
+    for (const [key, entry] of Array.from(this.names.entries())) {
+      const definition = rewrite(entry.definition)
+      if (definition !== entry.definition) {
+        this.names.set(key, { ...entry, definition })
       }
     }
   }
 
   /**
-   * Process changed cells and trigger recalculation
+   * Recalculate the formulas using names that were defined, redefined or
+   * removed, by this peer or another, and notify name observers
    *
-   * @param changedCells
+   * @param event - Yjs event of names
    */
-  processChangedCells (changedCells) {
-    // Find all cells that depend on changed cells
-    const toRecalculate = new Set()
-    const queue = [...changedCells]
-    const visited = new Set()
-
-    // First, add any changed cells that have formulas to toRecalculate
-    // (they need to recalculate themselves, not just cells that depend on them)
-    changedCells.forEach((coord) => {
-      const cellData = this.cells.get(coord)
-      if (cellData && cellData.get('formula')) {
-        toRecalculate.add(coord)
-      }
-    })
-
-    while (queue.length > 0) {
-      const coord = queue.shift()
-      if (visited.has(coord)) { continue }
-      visited.add(coord)
-
-      const dependents = this.dependencyGraph.get(coord)
-      if (dependents) {
-        dependents.forEach((dep) => {
-          toRecalculate.add(dep)
-          queue.push(dep)
-        })
-      }
-    }
+  handleNameChanges (event) {
+    const names = Array.from(event.changes.keys.keys())
+    names.forEach((name) => this.rebuildDependenciesForName(name))
 
-    // Set processing flag to prevent recursive observer calls
-    this.isProcessing = true
+    // Formulas using a name depend on its key, see nameKey
+    this.processChangedCells(names.map(nameKey))
+    this.nameObservers.forEach((callback) => callback())
+  }
 
-    try {
-      // Recalculate affected cells
-      for (const coord of toRecalculate) {
-        const cellData = this.cells.get(coord)
-        if (cellData && cellData.get('formula')) {
-          const formula = cellData.get('formula')
-          const result = this.evaluate(formula, coord)
+  /**
+   * Register an observer for names being defined, redefined or removed
+   *
+   * @param callback
+   */
+  onNamesChange (callback) {
+    this.nameObservers.add(callback)
+    return () => this.nameObservers.delete(callback)
+  }
 
-          // Only update if value actually changed (avoid unnecessary Yjs events)
-          const currentValue = cellData.get('value')
-          if (currentValue !== result) {
-            cellData.set('value', result)
+  /**
+   * Remove the formula results stored in the document by earlier versions,
+   * which every peer now computes itself. Run by a peer allowed to write,
+   * in one transaction that isn't undone with this peer's edits.
+   *
+   * @returns Number of formula cells that had a stored result
+   */
+  migrateStoredValues () {
+    let migrated = 0
+    this.doc.transact(() => {
+      for (const { id } of this.getSheets()) {
+        for (const cellData of this.getSheetCells(id)?.values() ?? []) {
+          if (cellData.get('formula') && (cellData.has('value') || cellData.has('error'))) {
+            cellData.delete('value')
+            cellData.delete('error')
+            migrated++
           }
         }
       }
-    } finally {
-      // Always clear the flag, even if there's an error
-      this.isProcessing = false
-    }
-
-    // Notify observers of all changes (including formula cells that were synced)
-    // Even if the value didn't change during recalculation, the UI needs to update
-    changedCells.forEach((coord) => this.notifyObservers(coord))
-    toRecalculate.forEach((coord) => this.notifyObservers(coord))
+    }, MIGRATION_ORIGIN)
+    return migrated
   }
 
   /**
-   * Register an observer for cell changes
+   * Undo this peer's last edit, leaving collaborators' edits in place
    *
-   * @param callback
+   * @returns True if there was an edit to undo
    */
-  onChange (callback) {
-    this.observers.add(callback)
-    return () => this.observers.delete(callback)
+  undo () {
+    return this.undoManager.undo() != null
   }
 
   /**
-   * Notify all observers of a change
+   * Redo this peer's last undone edit
    *
-   * @param coord
+   * @returns True if there was an edit to redo
    */
-  notifyObservers (coord) {
-    this.observers.forEach((callback) => callback(coord))
+  redo () {
+    return this.undoManager.redo() != null
   }
 
   /**
-   * Get all cells in the spreadsheet
+   * Check whether there are edits to undo
    */
-  getAllCells () {
-    const cells = new Map()
-    for (const [coord, cellData] of this.cells.entries()) {
-      cells.set(coord, {
-        value: cellData.get('value') || '',
-        formula: cellData.get('formula') || null,
-        error: cellData.get('error') || false
-      })
-    }
-    return cells
+  canUndo () {
+    return this.undoManager.canUndo()
   }
 
   /**
-   * Clear a cell
-   *
-   * @param coord
+   * Check whether there are undone edits to redo
    */
-  clearCell (coord) {
-    this.removeDependencies(coord)
-    this.cells.delete(coord)
-    this.notifyObservers(coord)
+  canRedo () {
+    return this.undoManager.canRedo()
   }
-}
-
-/**
- * SpreadsheetUI - Manages the spreadsheet user interface
- *
- * Handles:
- * - Grid creation and rendering
- * - Cell selection and navigation
- * - Formula bar updates
- * - Display updates when cells change
- */
-export class SpreadsheetUI {
-  constructor (spreadsheetEngine, options = {}) {
-    this.engine = spreadsheetEngine
-    this.currentCell = null
-    this.gridSize = options.gridSize || { rows: 10, cols: 8 }
 
-    // DOM element references
-    this.elements = {
-      spreadsheet: options.spreadsheetEl || document.getElementById('spreadsheet'),
-      formulaInput: options.formulaInput || document.getElementById('formula-input'),
-      cellRef: options.cellRefEl || document.getElementById('cell-ref'),
-      formulaBar: options.formulaBar || document.getElementById('formula-bar'),
-      spreadsheetContainer: options.spreadsheetContainer || document.getElementById('spreadsheet-container'),
-      examples: options.examplesEl || document.getElementById('examples')
-    }
-
-    // Watch for cell changes from the engine
-    this.engine.onChange((coord) => this.updateCellDisplay(coord))
+  /**
+   * Insert empty rows, moving the rows below down
+   *
+   * @param index - Row index the first new row gets
+   * @param count - Number of rows
+   * @param sheetId - Defaults to the first sheet
+   */
+  insertRows (index, count = 1, sheetId = this.getFirstSheetId()) {
+    this.shiftCells('row', index, count, sheetId)
   }
 
   /**
-   * Initialize the spreadsheet UI
+   * Delete rows, moving the rows below up
+   *
+   * @param index - Index of the first deleted row
+   * @param count - Number of rows
+   * @param sheetId - Defaults to the first sheet
    */
-  initialize () {
-    this.createGrid()
-    this.setupFormulaBarHandler()
-    this.show()
-    this.selectCell('A1')
+  deleteRows (index, count = 1, sheetId = this.getFirstSheetId()) {
+    this.shiftCells('row', index, -count, sheetId)
   }
 
   /**
-   * Show the spreadsheet UI
+   * Insert empty columns, moving the columns to the right
+   *
+   * @param index - Column index the first new column gets
+   * @param count - Number of columns
+   * @param sheetId - Defaults to the first sheet
    */
-  show () {
-    if (this.elements.spreadsheetContainer) {
-      this.elements.spreadsheetContainer.style.display = 'block'
-    }
-    if (this.elements.formulaBar) {
-      this.elements.formulaBar.style.display = 'flex'
-    }
-    if (this.elements.examples) {
-      this.elements.examples.style.display = 'block'
-    }
-    if (this.elements.formulaInput) {
-      this.elements.formulaInput.disabled = false
-    }
+  insertColumns (index, count = 1, sheetId = this.getFirstSheetId()) {
+    this.shiftCells('col', index, count, sheetId)
   }
 
   /**
-   * Create the spreadsheet grid UI
+   * Delete columns, moving the columns to the right of them left
+   *
+   * @param index - Index of the first deleted column
+   * @param count - Number of columns
+   * @param sheetId - Defaults to the first sheet
    */
-  createGrid () {
-    if (!this.elements.spreadsheet) { return }
-
-    // Clear existing grid
-    this.elements.spreadsheet.innerHTML = ''
-
-    // Create header row with column letters
-    const headerRow = document.createElement('tr')
-    headerRow.appendChild(document.createElement('th')) // Corner cell
+  deleteColumns (index, count = 1, sheetId = this.getFirstSheetId()) {
+    this.shiftCells('col', index, -count, sheetId)
+  }
 
-    for (let col = 0; col < this.gridSize.cols; col++) {
-      const th = document.createElement('th')
-      th.textContent = colToLetter(col)
-      headerRow.appendChild(th)
+  /**
+   * Insert or delete rows or columns of a sheet
+   * Cells are keyed by A1 strings, so every cell past the change moves to a
+   * new key, and references to the sheet are rewritten in all formulas. It
+   * all happens in one transaction, so peers apply it as a single update.
+   *
+   * @param axis - 'row' or 'col'
+   * @param index - First inserted or deleted line
+   * @param delta - Number of inserted lines, negative for deleted lines
+   * @param sheetId
+   */
+  shiftCells (axis, index, delta, sheetId) {
+    const cells = this.getSheetCells(sheetId)
+    if (!cells) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    if (!Number.isInteger(index) || index < 0 || !Number.isInteger(delta) || delta === 0) {
+      throw new Error('Invalid row or column range')
     }
-    this.elements.spreadsheet.appendChild(headerRow)
-
-    // Create data rows
-    for (let row = 0; row < this.gridSize.rows; row++) {
-      const tr = document.createElement('tr')
-
-      // Row header
-      const rowHeader = document.createElement('th')
-      rowHeader.textContent = row + 1
-      tr.appendChild(rowHeader)
-
-      // Data cells
-      for (let col = 0; col < this.gridSize.cols; col++) {
-        const td = document.createElement('td')
-        const input = document.createElement('input')
-        const coord = coordToA1(row, col)
-
-        td.dataset.cell = coord
-        input.id = `cell-${coord}`
-        input.type = 'text'
-
-        // Track the original value when focused to detect actual changes
-        let originalValue = ''
 
-        // Focus handler - select cell and show formula if exists
-        input.addEventListener('focus', () => {
-          this.selectCell(coord)
+    const shiftFormula = (formula, formulaSheetId) => rewriteReferences(formula, (reference) => {
+      const target = reference.sheet == null ? formulaSheetId : this.findSheet(reference.sheet)
+      return target === sheetId ? shiftReference(reference, axis, index, delta) : null
+    })
 
-          // Show formula in the input when focused (like Excel)
-          const cell = this.engine.getCell(coord)
-          if (cell.formula) {
-            input.value = cell.formula
-            originalValue = cell.formula.trim()
-          } else {
-            originalValue = (cell.value || '').toString().trim()
-          }
-        })
+    this.doc.transact(() => {
+      // Rewrite references to the sheet in every formula first, so the
+      // formulas of moved cells are copied with their new references
+      for (const { id } of this.getSheets()) {
+        for (const cellData of this.getSheetCells(id).values()) {
+          const formula = cellData.get('formula')
+          if (!formula) { continue }
 
-        // Blur handler - only update if value actually changed
-        input.addEventListener('blur', () => {
-          const value = input.value.trim()
-
-          // Only update if the value actually changed
-          if (value !== originalValue) {
-            if (value === '') {
-              this.engine.clearCell(coord)
-            } else {
-              this.engine.setCell(coord, value)
-            }
-          } else {
-            // No change - restore the display value (result for formulas)
-            const cell = this.engine.getCell(coord)
-            input.value = cell.value || ''
+          const rewritten = shiftFormula(formula, id)
+          if (rewritten !== formula) {
+            cellData.set('formula', rewritten)
           }
-        })
+        }
+      }
 
-        // Keyboard navigation
-        input.addEventListener('keydown', (e) => {
-          this.handleCellKeydown(e, coord, input)
-        })
+      // Move cells to their new keys, deleted cells are dropped
+      const moved = []
+      for (const [coord, cellData] of cells.entries()) {
+        const position = a1ToCoord(coord)
+        if (!position) { continue }
 
-        td.appendChild(input)
-        tr.appendChild(td)
+        const line = shiftLine(position[axis], index, delta)
+        if (line !== position[axis]) {
+          moved.push({ coord, cellData, to: line == null ? null : coordToA1AtLine(position, axis, line) })
+        }
       }
 
-      this.elements.spreadsheet.appendChild(tr)
-    }
+      const copies = moved
+        .filter(({ to }) => to != null)
+        .map(({ cellData, to }) => [to, copyCellData(cellData)])
+      moved.forEach(({ coord }) => cells.delete(coord))
+      copies.forEach(([to, copy]) => cells.set(to, copy))
 
-    // Populate grid with any existing data from Yjs document
-    // This is crucial for late joiners who receive data after UI initialization
-    for (let row = 0; row < this.gridSize.rows; row++) {
-      for (let col = 0; col < this.gridSize.cols; col++) {
-        const coord = coordToA1(row, col)
-        this.updateCellDisplay(coord)
+      // Row heights and column widths move with their lines
+      const sizes = axis === 'row' ? this.rowHeights : this.colWidths
+      this.shiftLineSizes(sizes, sheetId, (line) => shiftLine(line, index, delta))
+
+      // Rules cover the moved cells
+      for (const rules of [this.conditionalFormats, this.validations]) {
+        this.shiftRules(rules, sheetId, (range) => shiftReference(range, axis, index, delta), shiftFormula)
       }
-    }
+      this.rewriteNames((definition) => shiftFormula(definition, null))
+    }, this)
   }
 
   /**
-   * Navigate to a cell if the coordinate is valid
+   * Move the ranges of a sheet's conditional formats or validation rules
+   * past inserted or deleted rows or columns, and the references of formula
+   * rules. Rules of which every cell was deleted are removed.
    *
-   * @param nextCoord - Target cell coordinate
+   * @param rules - conditionalFormats or validations
+   * @param sheetId - Sheet of the inserted or deleted lines
+   * @param shiftRange - Called with a range reference, returns its new text,
+   * #REF! if it was deleted or null if it didn't move
+   * @param shiftFormula - Called with a formula and its sheet, returns the
+   * rewritten formula
    */
-  navigateToCell (nextCoord) {
-    if (nextCoord) {
-      const nextInput = document.getElementById(`cell-${nextCoord}`)
-      if (nextInput) {
-        nextInput.focus()
+  shiftRules (rules, sheetId, shiftRange, shiftFormula) {
+    for (const [id, rule] of Array.from(rules.entries())) {
+      let shifted = rule
+
+      if (rule.sheet === sheetId) {
+        const [start, end] = rule.range.split(':')
+        const range = shiftRange({ ref: start, end: { ref: end } })
+        if (range === ERRORS.REF) {
+          rules.delete(id)
+          continue
+        }
+        if (range != null) {
+          shifted = { ...shifted, range }
+        }
+      }
+      if (rule.type === 'formula') {
+        const formula = shiftFormula(rule.formula, rule.sheet)
+        if (formula !== rule.formula) {
+          shifted = { ...shifted, formula }
+        }
       }
-    }
-  }
 
-  /**
-   * Handle Enter key in cell
-   *
-   * @param r - Row index
-   * @param c - Column index
-   * @returns Target coordinate or null
-   */
-  handleEnterKey (r, c) {
-    // Move to cell below (or stay if at bottom)
-    if (r < this.gridSize.rows - 1) {
-      return coordToA1(r + 1, c)
+      if (shifted !== rule) {
+        rules.set(id, shifted)
+      }
     }
-    return null
   }
 
   /**
-   * Handle Tab key in cell
+   * Copy the cells of a range, to be pasted with pasteRange
+   * The copy holds the cells' data as it is now, later edits don't change it.
    *
-   * @param e - Keyboard event
-   * @param r - Row index
-   * @param c - Column index
-   * @returns Target coordinate or null
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B10'
+   * @param sheetId - Defaults to the first sheet
+   * @returns `{ start, cells }` with the top left cell and rows of cell
+   * data, null for empty cells
    */
-  handleTabKey (e, r, c) {
-    // Tab moves right, Shift+Tab moves left
-    if (e.shiftKey) {
-      if (c > 0) {
-        return coordToA1(r, c - 1)
-      }
-    } else {
-      if (c < this.gridSize.cols - 1) {
-        return coordToA1(r, c + 1)
+  copyRange (start, end, sheetId = this.getFirstSheetId()) {
+    const { top, left, bottom, right } = rangeBounds(start, end)
+    const cells = this.getSheetCells(sheetId)
+    const rows = []
+
+    for (let row = top; row <= bottom; row++) {
+      const line = []
+      for (let col = left; col <= right; col++) {
+        const cellData = cells?.get(coordToA1(row, col))
+        line.push(cellData ? Object.fromEntries(cellData.entries()) : null)
       }
+      rows.push(line)
     }
-    return null
+
+    return { start: coordToA1(top, left), cells: rows }
   }
 
   /**
-   * Handle arrow keys in cell
+   * Paste copied cells in one transaction, with their top left cell at the
+   * target. Relative references in formulas move along, like in Excel:
+   * `=A1` copied from B1 to B2 becomes `=A2`, `=$A$1` stays.
    *
-   * @param e - Keyboard event
-   * @param r - Row index
-   * @param c - Column index
-   * @param input - Input element
-   * @returns Object with nextCoord and shouldNavigate
+   * @param copy - Result of copyRange
+   * @param target - Cell receiving the top left cell of the copy
+   * @param sheetId - Defaults to the first sheet
+   * @returns The pasted range, e.g. 'B2:C4'
    */
-  handleArrowKey (e, r, c, input) {
-    if (e.key === 'ArrowUp') {
-      if (r > 0) {
-        return { nextCoord: coordToA1(r - 1, c), shouldNavigate: true }
-      }
-    } else if (e.key === 'ArrowDown') {
-      if (r < this.gridSize.rows - 1) {
-        return { nextCoord: coordToA1(r + 1, c), shouldNavigate: true }
-      }
-    } else if (e.key === 'ArrowLeft') {
-      // Navigate left only if cursor is at the start of the text
-      const cursorPos = input.selectionStart
-      if (cursorPos === 0 && c > 0) {
-        return { nextCoord: coordToA1(r, c - 1), shouldNavigate: true }
-      }
-    } else if (e.key === 'ArrowRight') {
-      // Navigate right only if cursor is at the end of the text
-      const cursorPos = input.selectionStart
-      const textLength = input.value.length
-      if (cursorPos === textLength && c < this.gridSize.cols - 1) {
-        return { nextCoord: coordToA1(r, c + 1), shouldNavigate: true }
-      }
+  pasteRange (copy, target, sheetId = this.getFirstSheetId()) {
+    const cells = this.getSheetCells(sheetId)
+    if (!cells) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    const from = a1ToCoord(copy.start)
+    const to = a1ToCoord(target)
+    if (!to) {
+      throw new Error(`Invalid cell ${target}`)
     }
-    return { nextCoord: null, shouldNavigate: false }
-  }
 
-  /**
-   * Handle keyboard navigation in cells
-   *
-   * @param e - Keyboard event
-   * @param coord - Current cell coordinate
-   * @param input - Input element
-   */
-  handleCellKeydown (e, coord, input) {
-    const { row: r, col: c } = a1ToCoord(coord)
-    let nextCoord = null
-    let shouldNavigate = false
+    this.doc.transact(() => {
+      copy.cells.forEach((line, r) => {
+        line.forEach((data, c) => {
+          const coord = coordToA1(to.row + r, to.col + c)
+          if (data == null) {
+            this.clearCell(coord, sheetId)
+            return
+          }
 
-    // Handle navigation keys
-    if (e.key === 'Enter') {
-      e.preventDefault()
-      nextCoord = this.handleEnterKey(r, c)
-      shouldNavigate = true
-    } else if (e.key === 'Tab') {
-      e.preventDefault()
-      nextCoord = this.handleTabKey(e, r, c)
-      shouldNavigate = true
-    } else if (e.key === 'Escape') {
-      // Escape key - revert changes and unfocus (show result, not formula)
-      e.preventDefault()
-      const cell = this.engine.getCell(coord)
-      input.value = cell.value || ''
-      input.blur()
-      return
-    } else if (e.key.startsWith('Arrow')) {
-      e.preventDefault()
-      const result = this.handleArrowKey(e, r, c, input)
-      nextCoord = result.nextCoord
-      shouldNavigate = result.shouldNavigate
-    }
+          const cellData = new Y.Map()
+          for (const [field, value] of Object.entries(data)) {
+            cellData.set(field, value)
+          }
+          cells.set(coord, cellData)
 
-    // Move to next cell if determined
-    if (shouldNavigate) {
-      this.navigateToCell(nextCoord)
-    }
+          if (data.formula) {
+            this.writeCell(coord, offsetFormula(data.formula, to.row - from.row, to.col - from.col), sheetId)
+          }
+        })
+      })
+    }, this)
+
+    const rows = copy.cells.length
+    const cols = copy.cells[0]?.length ?? 0
+    return `${target}:${coordToA1(to.row + rows - 1, to.col + cols - 1)}`
   }
 
   /**
-   * Select a cell and update formula bar
+   * Move a range to another place, like cut and paste in Excel
+   * Moved formulas keep their references, and references to the moved cells
+   * follow them in every formula of the workbook. Cells at the target are
+   * overwritten, cells left behind are cleared. It all happens in one
+   * transaction.
    *
-   * @param coord - Cell coordinate (e.g., 'A1')
+   * @param start - Corner cell, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B10'
+   * @param target - Cell receiving the top left cell of the range
+   * @param sheetId - Sheet of the range, defaults to the first sheet
+   * @param targetSheetId - Sheet to move the range to, defaults to the same sheet
+   * @returns The range at its new place, e.g. 'D1:E10'
    */
-  selectCell (coord) {
-    // Remove previous selection
-    if (this.currentCell) {
-      const prevInput = document.getElementById(`cell-${this.currentCell}`)
-      const prevTd = prevInput?.parentElement
-      if (prevTd) {
-        prevTd.classList.remove('selected')
-      }
+  moveRange (start, end, target, sheetId = this.getFirstSheetId(), targetSheetId = sheetId) {
+    const { top, left, bottom, right } = rangeBounds(start, end)
+    const cells = this.getSheetCells(sheetId)
+    const targetCells = this.getSheetCells(targetSheetId)
+    if (!cells || !targetCells) {
+      throw new Error(`Unknown sheet ${cells ? targetSheetId : sheetId}`)
     }
-
-    this.currentCell = coord
-
-    // Add selection to new cell
-    const input = document.getElementById(`cell-${coord}`)
-    const td = input?.parentElement
-    if (td) {
-      td.classList.add('selected')
+    const to = a1ToCoord(target)
+    if (!to) {
+      throw new Error(`Invalid cell ${target}`)
     }
 
-    // Update formula bar - show formula if available, otherwise the value
-    if (this.elements.cellRef) {
-      this.elements.cellRef.textContent = coord + ':'
+    const rowOffset = to.row - top
+    const colOffset = to.col - left
+    const inside = (position) => position.row >= top && position.row <= bottom && position.col >= left && position.col <= right
+    const moveRef = (ref) => {
+      const position = a1ToCoord(ref)
+      return coordToA1(position.row + rowOffset, position.col + colOffset)
     }
+    const sheetName = (id) => this.getSheets().find((sheet) => sheet.id === id)?.name
+
+    // Rewrite the references of a formula on sheet `id` that will be on
+    // sheet `home`, null for definitions of names which are on no sheet
+    const moveReferences = (formula, id, home) => rewriteReferences(formula, (reference) => {
+      const refSheet = reference.sheet == null ? id : this.findSheet(reference.sheet)
+      // Ranges only follow when they are moved as a whole
+      const moved = refSheet === sheetId &&
+        inside(a1ToCoord(reference.ref)) &&
+        (reference.end == null || inside(a1ToCoord(reference.end.ref)))
+      if (refSheet == null || (!moved && home === id)) { return null }
+
+      const sheet = moved ? targetSheetId : refSheet
+      return formatReference({
+        ...reference,
+        sheet: sheet === home ? null : sheetName(sheet),
+        ref: moved ? moveRef(reference.ref) : reference.ref,
+        end: reference.end != null ? { ...reference.end, ref: moved ? moveRef(reference.end.ref) : reference.end.ref } : null
+      })
+    })
 
-    if (this.elements.formulaInput) {
-      const cell = this.engine.getCell(coord)
-      // Always prioritize formula over value for display in formula bar
-      if (cell.formula) {
-        this.elements.formulaInput.value = cell.formula
-      } else {
-        this.elements.formulaInput.value = cell.value || ''
+    this.doc.transact(() => {
+      // Rewrite references first, so moved formulas are copied with them
+      for (const { id } of this.getSheets()) {
+        for (const [coord, cellData] of this.getSheetCells(id).entries()) {
+          const formula = cellData.get('formula')
+          if (!formula) { continue }
+
+          // Sheet the formula is on after the move
+          const position = a1ToCoord(coord)
+          const home = id === sheetId && position && inside(position) ? targetSheetId : id
+
+          const rewritten = moveReferences(formula, id, home)
+          if (rewritten !== formula) {
+            cellData.set('formula', rewritten)
+          }
+        }
       }
-    }
+      this.rewriteNames((definition) => moveReferences(definition, null, null))
+
+      // Take the cells out before writing, the target may overlap the range
+      const moved = []
+      for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+          const cellData = cells.get(coordToA1(row, col))
+          moved.push({ to: coordToA1(row + rowOffset, col + colOffset), copy: cellData ? copyCellData(cellData) : null })
+        }
+      }
+      for (let row = top; row <= bottom; row++) {
+        for (let col = left; col <= right; col++) {
+          cells.delete(coordToA1(row, col))
+        }
+      }
+      for (const { to, copy } of moved) {
+        if (copy) {
+          targetCells.set(to, copy)
+        } else {
+          targetCells.delete(to)
+        }
+      }
+    }, this)
+
+    return `${target}:${coordToA1(bottom + rowOffset, right + colOffset)}`
   }
 
   /**
-   * Update cell display when value changes
+   * Fill cells next to a range from it, like dragging Excel's fill handle
+   * The range is extended down, up, right or left up to the target. Every
+   * row or column of the range is continued as a series when it is one (see
+   * spreadsheet-series.js), otherwise its cells are repeated. Formulas are
+   * repeated with their relative references moved. It all happens in one
+   * transaction.
    *
-   * @param coord - Cell coordinate
+   * @param start - Corner cell of the range, e.g. 'A1'
+   * @param end - Opposite corner cell, e.g. 'B2'
+   * @param target - Cell to fill up to, below, above, right or left of the range
+   * @param options
+   * @param options.series - Continue series, false to only copy like Ctrl+D
+   * @param options.sheetId - Defaults to the first sheet
+   * @returns The range including the filled cells, or null if the target is
+   * inside the range
    */
-  updateCellDisplay (coord) {
-    const input = document.getElementById(`cell-${coord}`)
-    if (!input) { return }
-
-    const cell = this.engine.getCell(coord)
-    const td = input.parentElement
-
-    // Only update if not currently focused
-    if (document.activeElement !== input) {
-      input.value = cell.value
+  fillRange (start, end, target, { series = true, sheetId = this.getFirstSheetId() } = {}) {
+    const cells = this.getSheetCells(sheetId)
+    if (!cells) {
+      throw new Error(`Unknown sheet ${sheetId}`)
+    }
+    const { top, left, bottom, right } = rangeBounds(start, end)
+    const to = a1ToCoord(target)
+    if (!to) {
+      throw new Error(`Invalid cell ${target}`)
     }
 
-    // Update error styling
-    if (
-      cell.error ||
-      (typeof cell.value === 'string' && cell.value.startsWith('#'))
-    ) {
-      td.classList.add('error')
+    // Lines are the columns when filling down or up, the rows otherwise
+    let fill
+    if (to.row > bottom) {
+      fill = { axis: 'row', from: top, to: bottom, count: to.row - bottom, step: 1 }
+    } else if (to.row < top) {
+      fill = { axis: 'row', from: bottom, to: top, count: top - to.row, step: -1 }
+    } else if (to.col > right) {
+      fill = { axis: 'col', from: left, to: right, count: to.col - right, step: 1 }
+    } else if (to.col < left) {
+      fill = { axis: 'col', from: right, to: left, count: left - to.col, step: -1 }
     } else {
-      td.classList.remove('error')
+      return null
     }
 
-    // Update formula bar if this is the selected cell
-    if (this.currentCell === coord && this.elements.formulaInput) {
-      if (cell.formula) {
-        this.elements.formulaInput.value = cell.formula
-      } else {
-        this.elements.formulaInput.value = cell.value || ''
-      }
-    }
-  }
+    const vertical = fill.axis === 'row'
+    const [first, last] = vertical ? [left, right] : [top, bottom]
+    const at = (line, index) => vertical ? coordToA1(index, line) : coordToA1(line, index)
+
+    this.doc.transact(() => {
+      for (let line = first; line <= last; line++) {
+        // Source cells ordered towards the filled cells
+        const source = []
+        for (let index = fill.from; index !== fill.to + fill.step; index += fill.step) {
+          const cellData = cells.get(at(line, index))
+          source.push({ index, data: cellData ? Object.fromEntries(cellData.entries()) : null })
+        }
 
-  /**
-   * Set up formula bar event handlers
-   */
-  setupFormulaBarHandler () {
-    if (!this.elements.formulaInput) { return }
+        const values = source.every(({ data }) => data != null && !data.formula)
+          ? source.map(({ data }) => data.value)
+          : []
+        const extended = series ? extendSeries(values, fill.count) : null
 
-    this.elements.formulaInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && this.currentCell) {
-        e.preventDefault()
-        const value = this.elements.formulaInput.value.trim()
-        const input = document.getElementById(`cell-${this.currentCell}`)
+        for (let k = 0; k < fill.count; k++) {
+          const index = fill.to + fill.step * (k + 1)
+          const coord = at(line, index)
+          const { index: sourceIndex, data } = source[k % source.length]
 
-        if (value === '') {
-          this.engine.clearCell(this.currentCell)
-          if (input) {
-            input.value = ''
+          if (data == null) {
+            this.clearCell(coord, sheetId)
+            continue
           }
-        } else {
-          this.engine.setCell(this.currentCell, value)
-        }
 
-        // Refocus the cell
-        if (input) {
-          input.focus()
+          const cellData = new Y.Map()
+          for (const [field, value] of Object.entries(data)) {
+            cellData.set(field, value)
+          }
+          if (extended != null) {
+            cellData.set('value', extended[k])
+          }
+          cells.set(coord, cellData)
+
+          if (data.formula) {
+            const offset = index - sourceIndex
+            this.writeCell(coord, offsetFormula(data.formula, vertical ? offset : 0, vertical ? 0 : offset), sheetId)
+          }
         }
       }
-    })
-  }
-
-  /**
-   * Get the currently selected cell
-   */
-  getCurrentCell () {
-    return this.currentCell
-  }
+    }, this)
 
-  /**
-   * Get the grid size
-   */
-  getGridSize () {
-    return this.gridSize
+    return vertical
+      ? `${coordToA1(Math.min(top, to.row), left)}:${coordToA1(Math.max(bottom, to.row), right)}`
+      : `${coordToA1(top, Math.min(left, to.col))}:${coordToA1(bottom, Math.max(right, to.col))}`
   }
 }
@@ -0,0 +1,403 @@
+/**
+ * Number formats for showing cell values
+ *
+ * Formats are Excel number format codes, the codes XLSX files store, so they
+ * survive an export and import:
+ * - `0.00` and `#,##0` show a number of decimals and thousands separators
+ * - `0.0%` shows a percentage: 0.12345 as 12.3%
+ * - `"$"#,##0.00` and `[$€-2] #,##0.00` add a currency symbol
+ * - `0.00E+00` shows scientific notation
+ * - `yyyy-mm-dd`, `d mmm yyyy` and `h:mm AM/PM` show dates and times
+ *
+ * Up to four sections separated by semicolons format positive numbers,
+ * negative numbers, zero and text: `#,##0.00;(#,##0.00);"-"` shows negative
+ * numbers in parentheses and zero as a dash.
+ *
+ * Dates are serial numbers (see formula-values.js), and ISO date text is
+ * shown in date formats too. Decimal and thousands separators and the names
+ * of months and days follow the locale. Formatting only changes the text
+ * shown, never the value.
+ */
+
+import { isErrorCode, parseDate, serialToDate, toText } from './formula-values.js'
+
+// Formats offered in the toolbar, null is General
+export const FORMATS = [
+  { name: 'General', code: null },
+  { name: 'Number', code: '#,##0.00' },
+  { name: 'Percent', code: '0.00%' },
+  { name: 'Dollars', code: '"$"#,##0.00' },
+  { name: 'Euros', code: '[$€-2] #,##0.00' },
+  { name: 'Scientific', code: '0.00E+00' },
+  { name: 'Date', code: 'yyyy-mm-dd' },
+  { name: 'Long date', code: 'dddd, d mmmm yyyy' },
+  { name: 'Time', code: 'h:mm:ss AM/PM' },
+  { name: 'Date and time', code: 'yyyy-mm-dd hh:mm' }
+]
+
+// Most decimals a format shows
+const MAX_DECIMALS = 20
+
+// Format code -> parsed sections
+const parsedFormats = new Map()
+
+// Locale and options -> Intl formatter
+const formatters = new Map()
+
+/**
+ * Get a cached Intl formatter, creating them is slow
+ *
+ * @param Formatter - Intl.NumberFormat or Intl.DateTimeFormat
+ * @param locale - Locale, undefined for the default
+ * @param options - Formatter options
+ */
+function formatter (Formatter, locale, options) {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`
+  if (!formatters.has(key)) {
+    formatters.set(key, new Formatter(locale, options))
+  }
+  return formatters.get(key)
+}
+
+/**
+ * Split a format section into tokens
+ *
+ * @param section - One section of a format code
+ * @returns Array of `{ type, text }` tokens, `text` being the code they were read from
+ */
+function tokenize (section) {
+  const tokens = []
+  const push = (type, text, extra) => tokens.push({ type, text, ...extra })
+  let i = 0
+
+  while (i < section.length) {
+    const char = section[i]
+    const rest = section.slice(i)
+    let match
+
+    if (char === '"') {
+      const end = section.indexOf('"', i + 1)
+      const stop = end < 0 ? section.length : end
+      push('literal', section.slice(i, stop + 1), { value: section.slice(i + 1, stop) })
+      i = stop + 1
+    } else if (char === '\\' && i + 1 < section.length) {
+      push('literal', rest.slice(0, 2), { value: section[i + 1] })
+      i += 2
+    } else if (char === '_' && i + 1 < section.length) {
+      // Space as wide as the next character
+      push('literal', rest.slice(0, 2), { value: ' ' })
+      i += 2
+    } else if (char === '*' && i + 1 < section.length) {
+      // Repeating a character to fill the cell isn't supported
+      push('literal', rest.slice(0, 2), { value: '' })
+      i += 2
+    } else if ((match = rest.match(/^\[(h+|m+|s+)\]/i))) {
+      push('elapsed', match[0], { unit: match[1][0].toLowerCase(), length: match[1].length })
+      i += match[0].length
+    } else if ((match = rest.match(/^\[\$([^\]-]*)(?:-[^\]]*)?\]/))) {
+      push('literal', match[0], { value: match[1] })
+      i += match[0].length
+    } else if ((match = rest.match(/^\[[^\]]*\]/))) {
+      // Colours and conditions
+      push('literal', match[0], { value: '' })
+      i += match[0].length
+    } else if ((match = rest.match(/^(AM\/PM|A\/P)/i))) {
+      push('ampm', match[0])
+      i += match[0].length
+    } else if ((match = rest.match(/^General/i))) {
+      push('general', match[0])
+      i += match[0].length
+    } else if ((match = rest.match(/^E([+-])(0+)/i))) {
+      push('exponent', match[0], { sign: match[1], digits: match[2].length })
+      i += match[0].length
+    } else if ((match = rest.match(/^[0#?,.]+/))) {
+      push('digits', match[0])
+      i += match[0].length
+    } else if ((match = rest.match(/^(y+|m+|d+|h+|s+)/i))) {
+      push('date', match[0], { unit: match[0][0].toLowerCase(), length: match[0].length })
+      i += match[0].length
+    } else if (char === '%') {
+      push('percent', char)
+      i++
+    } else if (char === '@') {
+      push('text', char)
+      i++
+    } else {
+      push('literal', char, { value: char })
+      i++
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Parse a format code into sections
+ *
+ * @param code - Format code
+ * @returns Array of `{ tokens, kind }` sections, kind being 'number', 'date' or 'text'
+ */
+function parseFormat (code) {
+  if (parsedFormats.has(code)) {
+    return parsedFormats.get(code)
+  }
+
+  // Split at semicolons outside quotes and brackets
+  const sections = []
+  let start = 0
+  let quoted = false
+  let bracketed = false
+  for (let i = 0; i <= code.length; i++) {
+    const char = code[i]
+    if (char === '\\' && !quoted) {
+      i++
+    } else if (char === '"') {
+      quoted = !quoted
+    } else if (!quoted && (char === '[' || char === ']')) {
+      bracketed = char === '['
+    } else if (i === code.length || (char === ';' && !quoted && !bracketed)) {
+      sections.push(code.slice(start, i))
+      start = i + 1
+    }
+  }
+
+  const parsed = sections.map((section) => {
+    const tokens = tokenize(section)
+    let kind = 'number'
+    if (tokens.some(({ type }) => type === 'date' || type === 'elapsed' || type === 'ampm')) {
+      kind = 'date'
+    } else if (tokens.some(({ type }) => type === 'text')) {
+      kind = 'text'
+    }
+    return { tokens, kind }
+  })
+
+  parsedFormats.set(code, parsed)
+  return parsed
+}
+
+/**
+ * Format a number with the digit placeholders of a section
+ *
+ * @param number - Number, not negative
+ * @param tokens - Tokens of the section
+ * @param locale - Locale
+ * @returns Formatted number
+ */
+function formatDigits (number, tokens, locale) {
+  const pattern = tokens.filter(({ type }) => type === 'digits').map(({ text }) => text).join('')
+  const exponent = tokens.find(({ type }) => type === 'exponent')
+  let n = number * 100 ** tokens.filter(({ type }) => type === 'percent').length
+
+  // Commas after the last digit of the integer part divide by a thousand each
+  const scale = pattern.match(/,+(?=\.|$)/)?.[0].length ?? 0
+  n /= 1000 ** scale
+  const [integer, fraction = ''] = pattern.replace(/,+(?=\.|$)/, '').split('.')
+
+  const minimumIntegerDigits = (integer.match(/0/g) ?? []).length
+  const options = {
+    minimumIntegerDigits: Math.min(Math.max(minimumIntegerDigits, 1), 21),
+    minimumFractionDigits: Math.min((fraction.match(/0/g) ?? []).length, MAX_DECIMALS),
+    maximumFractionDigits: Math.min((fraction.match(/[0#?]/g) ?? []).length, MAX_DECIMALS),
+    useGrouping: integer.includes(',')
+  }
+
+  let suffix = ''
+  if (exponent != null) {
+    let power = n === 0 ? 0 : Math.floor(Math.log10(n))
+    let mantissa = n / 10 ** power
+    // Rounding the mantissa can carry into another digit
+    if (Number(mantissa.toFixed(options.maximumFractionDigits)) >= 10) {
+      mantissa /= 10
+      power++
+    }
+    n = mantissa
+    const sign = power < 0 ? '-' : exponent.sign === '+' ? '+' : ''
+    suffix = `E${sign}${String(Math.abs(power)).padStart(exponent.digits, '0')}`
+  }
+
+  let text = formatter(Intl.NumberFormat, locale, options).format(n)
+  if (minimumIntegerDigits === 0) {
+    // `#.##` shows 0.5 as .5
+    text = text.replace(/^0(?=\D|$)/, '')
+  }
+  return text + suffix
+}
+
+/**
+ * Format a serial number with the date and time parts of a section
+ *
+ * @param serial - Serial number, not negative
+ * @param tokens - Tokens of the section
+ * @param locale - Locale
+ * @returns Formatted date or time
+ */
+function formatDate (serial, tokens, locale) {
+  // Round to the precision shown, so 11:59:59.7 shows as 12:00:00
+  const fraction = tokens.find(({ type, text }) => type === 'digits' && /^\.0+$/.test(text))
+  const decimals = fraction != null ? Math.min(fraction.text.length - 1, 3) : 0
+  const unit = 86400 * 10 ** decimals
+  serial = Math.round(serial * unit) / unit
+
+  const date = serialToDate(serial)
+  const twelveHour = tokens.some(({ type }) => type === 'ampm')
+  const parts = tokens.filter(({ type }) => type === 'date' || type === 'elapsed')
+  const pad = (number, length) => String(number).padStart(length, '0')
+  const name = (options, dateArgs) => formatter(Intl.DateTimeFormat, locale, { ...options, timeZone: 'UTC' })
+    .format(new Date(Date.UTC(...dateArgs)))
+
+  // m and mm are minutes after hours or before seconds, months otherwise
+  const isMinutes = (token) => {
+    const index = parts.indexOf(token)
+    return parts[index - 1]?.unit === 'h' || parts[index + 1]?.unit === 's'
+  }
+
+  return tokens.map((token) => {
+    const { type, length } = token
+    switch (type) {
+      case 'literal':
+        return token.value
+      case 'ampm': {
+        const [am, pm] = token.text.split('/')
+        return date.hours < 12 ? am : pm
+      }
+      case 'elapsed': {
+        const total = { h: serial * 24, m: serial * 1440, s: serial * 86400 }[token.unit]
+        return pad(Math.floor(total), length)
+      }
+      case 'digits':
+        // Fractions of a second, after the locale's decimal separator
+        return token === fraction
+          ? formatter(Intl.NumberFormat, locale, { minimumFractionDigits: decimals }).format(date.milliseconds / 1000).replace(/^0/, '')
+          : token.text
+      case 'date':
+        break
+      default:
+        return token.text
+    }
+
+    switch (token.unit) {
+      case 'y':
+        return length <= 2 ? pad(date.year % 100, 2) : pad(date.year, 4)
+      case 'd':
+        if (length <= 2) { return pad(date.day, length) }
+        // 2023-01-01 was a Sunday
+        return name({ weekday: length === 3 ? 'short' : 'long' }, [2023, 0, 1 + date.weekday])
+      case 'h': {
+        const hours = twelveHour ? (date.hours % 12) || 12 : date.hours
+        return pad(hours, Math.min(length, 2))
+      }
+      case 's':
+        return pad(date.seconds, Math.min(length, 2))
+      default:
+        if (length <= 2 && isMinutes(token)) {
+          return pad(date.minutes, length)
+        }
+        if (length <= 2) { return pad(date.month, length) }
+        if (length === 5) { return name({ month: 'narrow' }, [2000, date.month - 1, 1]) }
+        return name({ month: length === 3 ? 'short' : 'long' }, [2000, date.month - 1, 1])
+    }
+  }).join('')
+}
+
+/**
+ * Format a cell value for display with a number format code
+ *
+ * @param value - Cell value: number, text, boolean or empty
+ * @param code - Format code, null or 'General' to show the value as it is
+ * @param locale - Locale for separators and names, the browser's by default
+ * @returns Text to show
+ */
+export function formatCellValue (value, code, locale) {
+  const text = toText(value)
+  if (code == null || code === '' || /^General$/i.test(code) || typeof value === 'boolean' || isErrorCode(value)) {
+    return text
+  }
+
+  const sections = parseFormat(code)
+
+  // Numeric text formats as a number, date text as its serial number
+  let number = null
+  if (typeof value === 'number') {
+    number = value
+  } else if (text.trim() !== '' && !isNaN(Number(text))) {
+    number = Number(text)
+  } else if (text !== '') {
+    number = parseDate(text)
+  }
+
+  if (number == null || !isFinite(number)) {
+    const section = sections.length > 3 ? sections[3] : sections.find(({ kind }) => kind === 'text')
+    return section != null
+      ? section.tokens.map((token) => token.type === 'text' ? text : token.type === 'literal' ? token.value : '').join('')
+      : text
+  }
+
+  const numberSections = sections.filter(({ kind }) => kind !== 'text')
+  let section = numberSections[0]
+  let signed = true
+  if (number < 0 && numberSections.length > 1) {
+    section = numberSections[1]
+    signed = false
+  } else if (number === 0 && numberSections.length > 2) {
+    section = numberSections[2]
+  }
+  if (section == null) { return text }
+
+  const magnitude = Math.abs(number)
+  const sign = signed && number < 0 ? '-' : ''
+
+  if (section.kind === 'date') {
+    // Dates before 1899-12-30 don't exist
+    return number < 0 ? text : formatDate(magnitude, section.tokens, locale)
+  }
+
+  let digitsShown = false
+  const formatted = section.tokens.map((token) => {
+    switch (token.type) {
+      case 'literal':
+        return token.value
+      case 'percent':
+        return '%'
+      case 'general':
+        return toText(magnitude)
+      case 'digits':
+        if (digitsShown) { return '' }
+        digitsShown = true
+        return formatDigits(magnitude, section.tokens, locale)
+      default:
+        return ''
+    }
+  }).join('')
+
+  return sign + formatted
+}
+
+/**
+ * Show one more or one less decimal in the number sections of a format
+ *
+ * @param code - Format code, null for General
+ * @param delta - 1 for one more decimal, -1 for one less
+ * @returns New format code
+ */
+export function changeDecimals (code, delta) {
+  if (code == null || code === '' || /^General$/i.test(code)) {
+    code = '0'
+  }
+
+  return parseFormat(code).map(({ tokens, kind }) => {
+    if (kind !== 'number') {
+      return tokens.map(({ text }) => text).join('')
+    }
+
+    const digits = tokens.filter(({ type }) => type === 'digits')
+    // The decimals are in the last run of digits before an exponent
+    const target = digits[digits.length - 1]
+    return tokens.map((token) => {
+      if (token !== target) { return token.text }
+      const [integer, fraction = ''] = token.text.split('.')
+      const decimals = Math.min(Math.max(fraction.length + delta, 0), MAX_DECIMALS)
+      return decimals > 0 ? `${integer}.${'0'.repeat(decimals)}` : integer
+    }).join('')
+  }).join(';')
+}
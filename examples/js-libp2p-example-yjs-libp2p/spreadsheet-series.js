@@ -0,0 +1,176 @@
+/**
+ * Series for filling cells, like dragging Excel's fill handle
+ *
+ * The values of a row or column of cells are continued when they form a
+ * series:
+ * - Two or more numbers continue their linear trend: 1, 2 gives 3, 4, 5
+ * - ISO dates continue by their step in days, or in months when they are on
+ * the same day of the month; a single date continues day by day
+ * - Day and month names continue in order: Mon gives Tue, Wed, ...
+ * - Text ending in a number counts on: Item 1 gives Item 2, Item 3, ...
+ *
+ * Anything else, such as a single number or plain text, is not a series and
+ * is copied instead.
+ */
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+
+const NAME_LISTS = [
+  DAYS,
+  DAYS.map((day) => day.slice(0, 3)),
+  MONTHS,
+  MONTHS.map((month) => month.slice(0, 3))
+]
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/
+const NUMBERED_TEXT = /^(.*?)(\d+)$/s
+
+/**
+ * Convert a value to a number if it is one
+ *
+ * @param value - Cell value
+ * @returns Number, or null for other values
+ */
+function asNumber (value) {
+  if (typeof value === 'number') { return value }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value)
+  }
+  return null
+}
+
+/**
+ * Continue numbers along their least squares line
+ *
+ * @param numbers - At least two numbers
+ * @param count - Number of values to add
+ */
+function numberSeries (numbers, count) {
+  const n = numbers.length
+  const meanX = (n - 1) / 2
+  const meanY = numbers.reduce((sum, y) => sum + y, 0) / n
+
+  let covariance = 0
+  let variance = 0
+  numbers.forEach((y, x) => {
+    covariance += (x - meanX) * (y - meanY)
+    variance += (x - meanX) ** 2
+  })
+  const slope = covariance / variance
+
+  // Drop floating point noise, so 0.1, 0.2 continues with 0.3
+  return Array.from({ length: count }, (_, k) => Number((meanY + slope * (n + k - meanX)).toPrecision(15)))
+}
+
+/**
+ * Continue ISO dates
+ *
+ * @param dates - Array of [year, month, day] numbers
+ * @param count - Number of values to add
+ */
+function dateSeries (dates, count) {
+  const toTime = ([year, month, day]) => Date.UTC(year, month - 1, day)
+  const format = (date) => date.toISOString().slice(0, 10)
+  const last = dates[dates.length - 1]
+  const previous = dates[dates.length - 2]
+
+  if (previous != null && dates.every(([, , day]) => day === last[2])) {
+    const months = (last[0] - previous[0]) * 12 + last[1] - previous[1]
+    return Array.from({ length: count }, (_, k) => {
+      const date = new Date(Date.UTC(last[0], last[1] - 1 + months * (k + 1), 1))
+      // Keep the day, or use the last day of shorter months
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+      date.setUTCDate(Math.min(last[2], lastDay))
+      return format(date)
+    })
+  }
+
+  const day = 24 * 60 * 60 * 1000
+  const step = previous != null ? Math.round((toTime(last) - toTime(previous)) / day) : 1
+  return Array.from({ length: count }, (_, k) => format(new Date(toTime(last) + step * (k + 1) * day)))
+}
+
+/**
+ * Continue day or month names, in the case they were written in
+ *
+ * @param values - Names
+ * @param count - Number of values to add
+ * @returns New names, or null if the values are not names of one list
+ */
+function nameSeries (values, count) {
+  for (const list of NAME_LISTS) {
+    const indices = values.map((value) => list.findIndex((name) => name.toLowerCase() === value.toLowerCase()))
+    if (indices.some((index) => index < 0)) { continue }
+
+    const last = indices[indices.length - 1]
+    const step = indices.length > 1 ? last - indices[indices.length - 2] : 1
+    const sample = values[values.length - 1]
+    const style = (name) => {
+      if (sample === sample.toUpperCase()) { return name.toUpperCase() }
+      if (sample === sample.toLowerCase()) { return name.toLowerCase() }
+      return name
+    }
+
+    return Array.from({ length: count }, (_, k) => {
+      const index = (((last + step * (k + 1)) % list.length) + list.length) % list.length
+      return style(list[index])
+    })
+  }
+  return null
+}
+
+/**
+ * Continue text ending in a number, such as "Item 1"
+ *
+ * @param values - Text values
+ * @param count - Number of values to add
+ * @returns New values, or null if the values don't share a prefix
+ */
+function numberedTextSeries (values, count) {
+  const matches = values.map((value) => value.match(NUMBERED_TEXT))
+  if (matches.some((match) => match == null || match[1] !== matches[0][1] || match[1] === '')) {
+    return null
+  }
+
+  const prefix = matches[0][1]
+  const numbers = matches.map((match) => Number(match[2]))
+  const last = numbers[numbers.length - 1]
+  const step = numbers.length > 1 ? last - numbers[numbers.length - 2] : 1
+
+  return Array.from({ length: count }, (_, k) => {
+    const number = last + step * (k + 1)
+    return number < 0 ? null : `${prefix}${number}`
+  })
+}
+
+/**
+ * Continue the values of a row or column of cells
+ *
+ * @param values - Values in fill order, the last one next to the new cells
+ * @param count - Number of values to add
+ * @returns The new values, or null if the values are not a series and
+ * should be copied instead
+ */
+export function extendSeries (values, count) {
+  if (values.length === 0 || values.some((value) => value == null || value === '')) {
+    return null
+  }
+
+  const numbers = values.map(asNumber)
+  if (numbers.every((number) => number != null)) {
+    return numbers.length > 1 ? numberSeries(numbers, count) : null
+  }
+
+  if (!values.every((value) => typeof value === 'string')) {
+    return null
+  }
+
+  const dates = values.map((value) => value.match(ISO_DATE))
+  if (dates.every((match) => match != null)) {
+    return dateSeries(dates.map((match) => match.slice(1).map(Number)), count)
+  }
+
+  const series = nameSeries(values, count) ?? numberedTextSeries(values, count)
+  return series?.every((value) => value != null) ? series : null
+}
@@ -0,0 +1,2320 @@
+import { a1ToCoord, columnLetters, coordToA1, formatReference } from './formula-parser.js'
+import { OPERATORS, describeRule } from './spreadsheet-conditional.js'
+import { DELIMITERS, formatDelimited } from './spreadsheet-csv.js'
+import { ALIGNMENTS, BORDER_SIDES, COLOR, DEFAULT_SHEET_ID, formatValue, rangeBounds } from './spreadsheet-engine.js'
+import { FORMATS, changeDecimals, formatCellValue } from './spreadsheet-format.js'
+import { ValidationError, describeValidation } from './spreadsheet-validation.js'
+
+// Smallest grid shown, sheets with cells further out get a bigger one
+const MIN_GRID_SIZE = { rows: 100, cols: 26 }
+
+// Empty rows and columns shown after the last used cell
+const GRID_MARGIN = { rows: 10, cols: 2 }
+
+// Rows and columns rendered beyond each side of the visible part of the grid
+const OVERSCAN = { rows: 10, cols: 3 }
+
+// Sizes of cells in pixels, the row height is measured once rendered
+const ROW_HEIGHT = 34
+const COL_WIDTH = 100
+const ROW_HEADER_WIDTH = 50
+
+// Smallest sizes rows and columns can be resized to
+const MIN_ROW_HEIGHT = 16
+const MIN_COL_WIDTH = 24
+
+/**
+ * Get the offset of a row or column from the start of the grid
+ *
+ * @param index - Row or column index
+ * @param size - Default size in pixels
+ * @param sizes - Resized rows or columns as `[index, size]` pairs in order
+ */
+function lineOffset (index, size, sizes) {
+  let offset = index * size
+  for (const [line, lineSize] of sizes) {
+    if (line >= index) { break }
+    offset += lineSize - size
+  }
+  return offset
+}
+
+/**
+ * Show the fields of a form that belong to the chosen kinds of entry, which
+ * controls list in `data-types`
+ *
+ * @param form - Element holding the controls
+ * @param types - Chosen kinds
+ */
+function showFormFields (form, types) {
+  form.querySelectorAll('[data-types]').forEach((control) => {
+    control.hidden = !control.dataset.types.split(' ').some((type) => types.includes(type))
+  })
+}
+
+/**
+ * Get the row or column at an offset from the start of the grid
+ *
+ * @param offset - Offset in pixels
+ * @param size - Default size in pixels
+ * @param sizes - Resized rows or columns as `[index, size]` pairs in order
+ */
+function lineAt (offset, size, sizes) {
+  let start = 0 // First line after the last resized line passed
+  let position = 0 // Offset of that line
+  for (const [line, lineSize] of sizes) {
+    const lineStart = position + (line - start) * size
+    if (offset < lineStart) { break }
+    if (offset < lineStart + lineSize) { return line }
+    start = line + 1
+    position = lineStart + lineSize
+  }
+  return start + Math.floor((offset - position) / size)
+}
+
+/**
+ * SpreadsheetUI - Manages the spreadsheet user interface
+ *
+ * Handles:
+ * - Grid creation and rendering of the rows and columns in view
+ * - Cell selection and navigation
+ * - Formula bar updates
+ * - Display updates when cells change
+ * - Collaborators' selections (when given a Yjs awareness instance)
+ * - Read-only mode for viewers
+ * - Sheet tabs to switch, add, rename, reorder and delete sheets
+ * - Row and column header menus to insert and delete rows and columns
+ * - Ctrl+Z and Ctrl+Shift+Z to undo and redo this peer's edits
+ * - CSV/TSV import at the selected cell and export of the current sheet
+ * - XLSX import and export of the whole workbook
+ * - Range selection with Shift+click, dragging and Shift+arrow keys
+ * - Copy, cut and paste of ranges, and pasting tab-separated text
+ * - Fill handle and Ctrl+D/Ctrl+R to fill cells from the selected range
+ * - Number format toolbar for the selected range, values shown formatted
+ * - Style toolbar, Ctrl+B and Ctrl+I, and resizing columns and rows by
+ * dragging the edges of their headers
+ * - Conditional formats for the selected range, and the list of a sheet's rules
+ * - Validation rules for the selected range, dropdowns (also Alt+Down) for
+ * cells with a list of values and markers on cells breaking their rule
+ * - Name manager, defining names for the selected range or a formula
+ */
+export class SpreadsheetUI {
+  constructor (spreadsheetEngine, options = {}) {
+    this.engine = spreadsheetEngine
+    this.currentCell = null
+    this.selection = null // { anchor, focus } corners of the selected range
+    this.selecting = false // Whether the mouse is dragging a selection
+    this.filling = null // { start, end, target } while the fill handle is dragged
+    this.fillHandle = null // Square at the corner of the selection
+    this.clipboard = null // Last copied or cut range, with formulas
+    this.menu = null // Open context menu: a row or column header's, or a dropdown list
+    this.minGridSize = options.gridSize || MIN_GRID_SIZE
+    this.gridSize = { ...this.minGridSize } // Fits the used cells
+    this.fitPending = false // Whether the grid may be larger than the used cells
+    this.rendered = null // { top, left, bottom, right } of the rendered cells
+    this.renderPending = false
+    this.rowElements = new Map() // Row index -> rendered tr
+    this.rowHeight = ROW_HEIGHT // Default height, resized rows have their own
+    this.colWidths = new Map() // Column index -> width of resized columns
+    this.rowHeights = new Map() // Row index -> height of resized rows
+    this.colSizes = [] // Resized columns as [index, width] in order
+    this.rowSizes = [] // Resized rows as [index, height] in order
+    this.awareness = options.awareness || null
+    this.readOnly = options.readOnly || false
+    this.sheetId = spreadsheetEngine.getFirstSheetId()
+
+    // Called with errors of sheet operations, such as a name already in use
+    this.onError = options.onError || ((err) => {
+      // eslint-disable-next-line no-console
+      console.error(err)
+    })
+
+    // DOM element references
+    this.elements = {
+      spreadsheet: options.spreadsheetEl || document.getElementById('spreadsheet'),
+      formulaInput: options.formulaInput || document.getElementById('formula-input'),
+      cellRef: options.cellRefEl || document.getElementById('cell-ref'),
+      formulaBar: options.formulaBar || document.getElementById('formula-bar'),
+      spreadsheetContainer: options.spreadsheetContainer || document.getElementById('spreadsheet-container'),
+      examples: options.examplesEl || document.getElementById('examples'),
+      sheetTabs: options.sheetTabsEl || document.getElementById('sheet-tabs'),
+      fileTools: options.fileToolsEl || document.getElementById('file-tools'),
+      importFile: options.importFileInput || document.getElementById('import-file'),
+      exportCsv: options.exportCsvButton || document.getElementById('export-csv'),
+      exportTsv: options.exportTsvButton || document.getElementById('export-tsv'),
+      exportXlsx: options.exportXlsxButton || document.getElementById('export-xlsx'),
+      exportFormulas: options.exportFormulasInput || document.getElementById('export-formulas'),
+      formatTools: options.formatToolsEl || document.getElementById('format-tools'),
+      numberFormat: options.numberFormatSelect || document.getElementById('number-format'),
+      formatCode: options.formatCodeInput || document.getElementById('format-code'),
+      decimalsLess: options.decimalsLessButton || document.getElementById('decimals-less'),
+      decimalsMore: options.decimalsMoreButton || document.getElementById('decimals-more'),
+      styleBold: options.styleBoldButton || document.getElementById('style-bold'),
+      styleItalic: options.styleItalicButton || document.getElementById('style-italic'),
+      styleColor: options.styleColorInput || document.getElementById('style-color'),
+      styleBackground: options.styleBackgroundInput || document.getElementById('style-background'),
+      styleAlign: options.styleAlignSelect || document.getElementById('style-align'),
+      styleBorders: options.styleBordersSelect || document.getElementById('style-borders'),
+      styleClear: options.styleClearButton || document.getElementById('style-clear'),
+      ruleTools: options.ruleToolsEl || document.getElementById('rule-tools'),
+      ruleType: options.ruleTypeSelect || document.getElementById('rule-type'),
+      ruleOperator: options.ruleOperatorSelect || document.getElementById('rule-operator'),
+      ruleValue: options.ruleValueInput || document.getElementById('rule-value'),
+      ruleValue2: options.ruleValue2Input || document.getElementById('rule-value2'),
+      ruleCount: options.ruleCountInput || document.getElementById('rule-count'),
+      rulePercent: options.rulePercentInput || document.getElementById('rule-percent'),
+      ruleFormula: options.ruleFormulaInput || document.getElementById('rule-formula'),
+      ruleColor: options.ruleColorInput || document.getElementById('rule-color'),
+      ruleBackground: options.ruleBackgroundInput || document.getElementById('rule-background'),
+      ruleBold: options.ruleBoldInput || document.getElementById('rule-bold'),
+      ruleScaleColors: options.ruleScaleColorInputs || document.querySelectorAll('.rule-scale-color'),
+      ruleAdd: options.ruleAddButton || document.getElementById('rule-add'),
+      ruleList: options.ruleListEl || document.getElementById('rule-list'),
+      validationTools: options.validationToolsEl || document.getElementById('validation-tools'),
+      validationType: options.validationTypeSelect || document.getElementById('validation-type'),
+      validationMin: options.validationMinInput || document.getElementById('validation-min'),
+      validationMax: options.validationMaxInput || document.getElementById('validation-max'),
+      validationInteger: options.validationIntegerInput || document.getElementById('validation-integer'),
+      validationValues: options.validationValuesInput || document.getElementById('validation-values'),
+      validationPattern: options.validationPatternInput || document.getElementById('validation-pattern'),
+      validationMode: options.validationModeSelect || document.getElementById('validation-mode'),
+      validationAdd: options.validationAddButton || document.getElementById('validation-add'),
+      validationList: options.validationListEl || document.getElementById('validation-list'),
+      nameTools: options.nameToolsEl || document.getElementById('name-tools'),
+      nameInput: options.nameInput || document.getElementById('name-input'),
+      nameDefinition: options.nameDefinitionInput || document.getElementById('name-definition'),
+      nameDefine: options.nameDefineButton || document.getElementById('name-define'),
+      nameList: options.nameListEl || document.getElementById('name-list')
+    }
+
+    // Watch for cell changes from the engine
+    this.engine.onChange((coord, sheetId) => {
+      if (sheetId === this.sheetId) {
+        const position = a1ToCoord(coord)
+        if (position && this.growGrid(position.row, position.col)) {
+          this.scheduleRender()
+        } else if (position && this.isGridEdge(position.row, position.col) && !this.engine.getSheetCells(sheetId)?.has(coord)) {
+          // A cell near the end was removed, by deleting its row or column
+          // or moving it, fit the grid once the changes are in
+          this.fitPending = true
+          this.scheduleRender()
+        }
+        this.updateCellDisplay(coord)
+      }
+    })
+
+    // Watch for columns and rows being resized by anyone
+    this.engine.onLayoutChange((sheetId) => {
+      if (sheetId === this.sheetId) {
+        this.loadLayout()
+        this.rendered = null
+        this.scheduleRender()
+      }
+    })
+
+    // Watch for conditional formats being edited, or values changing the
+    // cells they style
+    this.engine.onConditionalFormatChange((sheetId) => {
+      if (sheetId === this.sheetId) {
+        this.refreshGrid()
+        this.renderRules()
+      }
+    })
+
+    // Watch for validation rules being edited, which changes the cells that
+    // have dropdowns or break a rule
+    this.engine.onValidationChange((sheetId) => {
+      if (sheetId === this.sheetId) {
+        this.refreshGrid()
+        this.renderValidations()
+      }
+    })
+
+    // Watch for names being defined or removed by anyone. The formulas
+    // using them are recalculated and shown like other changes.
+    this.engine.onNamesChange(() => this.renderNames())
+
+    // Watch for sheets being added, renamed, moved or deleted by anyone
+    this.engine.onSheetsChange(() => {
+      if (!this.engine.getSheets().some((sheet) => sheet.id === this.sheetId)) {
+        this.switchSheet(this.engine.getFirstSheetId())
+      } else {
+        this.renderSheetTabs()
+      }
+    })
+
+    // Watch for collaborators selecting cells
+    if (this.awareness) {
+      this.awareness.on('change', () => this.renderRemoteSelections())
+    }
+  }
+
+  /**
+   * Initialize the spreadsheet UI
+   */
+  initialize () {
+    this.createGrid()
+    this.setupScrollHandler()
+    this.renderSheetTabs()
+    this.setupFormulaBarHandler()
+    this.setupFileHandlers()
+    this.setupFormatHandlers()
+    this.setupRuleHandlers()
+    this.setupValidationHandlers()
+    this.setupNameHandlers()
+    this.setupSelectionHandlers()
+    this.setupClipboardHandlers()
+    this.show()
+    this.selectCell('A1')
+  }
+
+  /**
+   * Show the spreadsheet UI
+   */
+  show () {
+    if (this.elements.spreadsheetContainer) {
+      this.elements.spreadsheetContainer.style.display = 'block'
+    }
+    if (this.elements.formulaBar) {
+      this.elements.formulaBar.style.display = 'flex'
+    }
+    if (this.elements.examples) {
+      this.elements.examples.style.display = 'block'
+    }
+    if (this.elements.sheetTabs) {
+      this.elements.sheetTabs.style.display = 'flex'
+    }
+    if (this.elements.fileTools) {
+      this.elements.fileTools.style.display = 'flex'
+    }
+    if (this.elements.formatTools) {
+      this.elements.formatTools.style.display = 'flex'
+    }
+    if (this.elements.ruleTools) {
+      this.elements.ruleTools.style.display = 'flex'
+    }
+    if (this.elements.validationTools) {
+      this.elements.validationTools.style.display = 'flex'
+    }
+    if (this.elements.nameTools) {
+      this.elements.nameTools.style.display = 'flex'
+    }
+    if (this.elements.formulaInput) {
+      this.elements.formulaInput.disabled = false
+    }
+
+    // Render as many rows and columns as the shown container fits
+    this.renderGrid()
+  }
+
+  /**
+   * Create the spreadsheet grid UI
+   * Only the rows and columns in view are rendered, see renderGrid
+   */
+  createGrid () {
+    const table = this.elements.spreadsheet
+    if (!table) { return }
+
+    // Clear existing grid
+    table.innerHTML = ''
+    this.rowElements.clear()
+    this.rendered = null
+
+    // Column widths, with a spacer column for the columns left of the view
+    this.colgroup = document.createElement('colgroup')
+
+    // Header row with column letters
+    const thead = document.createElement('thead')
+    this.headerRow = document.createElement('tr')
+    thead.appendChild(this.headerRow)
+
+    // Data rows go between spacers taking the height of the rows out of view
+    this.gridBody = document.createElement('tbody')
+    this.topSpacer = this.createSpacerRow()
+    this.bottomSpacer = this.createSpacerRow()
+    this.gridBody.append(this.topSpacer, this.bottomSpacer)
+
+    table.append(this.colgroup, thead, this.gridBody)
+
+    // Size the grid for any existing data from the Yjs document
+    // This is crucial for late joiners who receive data after UI initialization
+    this.loadLayout()
+    this.fitGrid()
+    this.renderGrid()
+  }
+
+  /**
+   * Create a row standing in for rows out of view
+   */
+  createSpacerRow () {
+    const tr = document.createElement('tr')
+    tr.className = 'grid-spacer'
+    tr.appendChild(document.createElement('td'))
+    return tr
+  }
+
+  /**
+   * Create a row of cells
+   *
+   * @param row - Row index
+   * @param range - Rendered range
+   */
+  createRow (row, range) {
+    const tr = document.createElement('tr')
+
+    // Row header
+    const rowHeader = document.createElement('th')
+    rowHeader.textContent = row + 1
+    rowHeader.dataset.row = row
+    rowHeader.className = 'row-header'
+    rowHeader.addEventListener('contextmenu', (e) => this.showHeaderMenu(e, 'row', row))
+    rowHeader.appendChild(this.createResizer('row', row))
+    this.applyRowHeight(tr, row)
+
+    // Spacer for the columns left of the view
+    const spacer = document.createElement('td')
+    spacer.className = 'grid-spacer'
+
+    tr.append(rowHeader, spacer)
+    for (let col = range.left; col <= range.right; col++) {
+      tr.appendChild(this.createCell(row, col))
+    }
+    return tr
+  }
+
+  /**
+   * Create a cell and its input
+   *
+   * @param row - Row index
+   * @param col - Column index
+   */
+  createCell (row, col) {
+    const td = document.createElement('td')
+    const input = document.createElement('input')
+    const coord = coordToA1(row, col)
+
+    td.dataset.cell = coord
+    td.classList.toggle('selected', coord === this.currentCell)
+    input.id = `cell-${coord}`
+    input.type = 'text'
+    input.readOnly = this.readOnly
+
+    // Track the original value when focused to detect actual changes
+    let originalValue = ''
+
+    // Focus handler - select cell and show formula if exists
+    input.addEventListener('focus', () => {
+      this.selectCell(coord)
+
+      // Show formula in the input when focused (like Excel)
+      const cell = this.engine.getCell(coord, this.sheetId)
+      if (cell.formula) {
+        input.value = cell.formula
+        originalValue = cell.formula.trim()
+      } else {
+        // Edit the value itself, not its formatted text
+        input.value = formatValue(cell.value)
+        originalValue = input.value.trim()
+      }
+    })
+
+    // Blur handler - only update if value actually changed
+    input.addEventListener('blur', () => {
+      const value = input.value.trim()
+
+      // Only update if the value actually changed
+      if (value !== originalValue) {
+        this.commitCell(coord, value)
+      } else {
+        // No change - restore the display value (result for formulas)
+        input.value = this.getDisplayText(this.engine.getCell(coord, this.sheetId))
+      }
+    })
+
+    // Keyboard navigation
+    input.addEventListener('keydown', (e) => {
+      this.handleCellKeydown(e, coord, input)
+    })
+
+    td.appendChild(input)
+    return td
+  }
+
+  /**
+   * Remove a rendered row or cell, saving the edit of a cell in it first
+   *
+   * @param element - Element to remove
+   */
+  removeGridElement (element) {
+    if (element.contains(document.activeElement)) {
+      document.activeElement.blur()
+    }
+    element.remove()
+  }
+
+  /**
+   * Create the handle at the edge of a row or column header that resizes it
+   * when dragged, and resets it to the default size when double-clicked
+   *
+   * @param axis - 'row' or 'col'
+   * @param index - Row or column index
+   */
+  createResizer (axis, index) {
+    const handle = document.createElement('div')
+    handle.className = `${axis}-resizer`
+    handle.addEventListener('mousedown', (e) => this.startResize(e, axis, index))
+    handle.addEventListener('dblclick', () => this.resizeLine(axis, index, null))
+    return handle
+  }
+
+  /**
+   * Resize a row or column while its header edge is dragged, and share the
+   * new size when it is released
+   *
+   * @param e - Mouse down event
+   * @param axis - 'row' or 'col'
+   * @param index - Row or column index
+   */
+  startResize (e, axis, index) {
+    if (e.button !== 0 || this.readOnly) { return }
+    e.preventDefault()
+    e.stopPropagation()
+
+    const position = (event) => axis === 'col' ? event.clientX : event.clientY
+    const start = position(e)
+    const initial = axis === 'col' ? this.getColumnWidth(index) : this.getRowHeight(index)
+    let size = initial
+
+    const move = (event) => {
+      size = Math.max(axis === 'col' ? MIN_COL_WIDTH : MIN_ROW_HEIGHT, initial + position(event) - start)
+      // Only this peer sees the size until the mouse is released
+      const sizes = axis === 'col' ? this.colWidths : this.rowHeights
+      sizes.set(index, size)
+      this.sortLayout()
+      this.rendered = null
+      this.renderGrid()
+    }
+    const stop = () => {
+      document.removeEventListener('mousemove', move)
+      document.removeEventListener('mouseup', stop)
+      if (size !== initial) {
+        this.resizeLine(axis, index, size)
+      }
+    }
+    document.addEventListener('mousemove', move)
+    document.addEventListener('mouseup', stop)
+  }
+
+  /**
+   * Set the size of a row or column for everyone
+   *
+   * @param axis - 'row' or 'col'
+   * @param index - Row or column index
+   * @param size - Size in pixels, null for the default size
+   */
+  resizeLine (axis, index, size) {
+    if (this.readOnly) { return }
+    this.runSheetAction(() => {
+      if (axis === 'col') {
+        this.engine.setColumnWidth(index, size, this.sheetId)
+      } else {
+        this.engine.setRowHeight(index, size, this.sheetId)
+      }
+    })
+  }
+
+  /**
+   * Read the column widths and row heights of the current sheet
+   */
+  loadLayout () {
+    this.colWidths = this.engine.getColumnWidths(this.sheetId)
+    this.rowHeights = this.engine.getRowHeights(this.sheetId)
+    this.sortLayout()
+  }
+
+  /**
+   * Order the resized rows and columns, to compute offsets from
+   */
+  sortLayout () {
+    this.colSizes = [...this.colWidths].sort((a, b) => a[0] - b[0])
+    this.rowSizes = [...this.rowHeights].sort((a, b) => a[0] - b[0])
+  }
+
+  /**
+   * Get the width of a column in pixels
+   *
+   * @param col - Column index
+   */
+  getColumnWidth (col) {
+    return this.colWidths.get(col) ?? COL_WIDTH
+  }
+
+  /**
+   * Get the height of a row in pixels
+   *
+   * @param row - Row index
+   */
+  getRowHeight (row) {
+    return this.rowHeights.get(row) ?? this.rowHeight
+  }
+
+  /**
+   * Give a rendered row its height, if it was resized
+   *
+   * @param tr - Row element
+   * @param row - Row index
+   */
+  applyRowHeight (tr, row) {
+    const height = this.rowHeights.get(row)
+    tr.classList.toggle('resized', height != null)
+    if (height != null) {
+      tr.style.setProperty('--row-height', `${height}px`)
+    } else {
+      tr.style.removeProperty('--row-height')
+    }
+  }
+
+  /**
+   * Size the grid to cover the used cells of the current sheet, with empty
+   * rows and columns after them
+   */
+  fitGrid () {
+    const used = this.engine.getUsedSize(this.sheetId)
+    this.gridSize = {
+      rows: Math.max(this.minGridSize.rows, used.rows + GRID_MARGIN.rows),
+      cols: Math.max(this.minGridSize.cols, used.cols + GRID_MARGIN.cols)
+    }
+    this.fitPending = false
+  }
+
+  /**
+   * Fit the grid to the used cells after cells at its end were removed,
+   * keeping the selected cell in it
+   */
+  shrinkGrid () {
+    this.fitGrid()
+    const position = a1ToCoord(this.currentCell ?? 'A1')
+    if (position) {
+      this.growGrid(position.row, position.col)
+    }
+  }
+
+  /**
+   * Whether a cell may be one the grid size was fitted to
+   *
+   * @param row - Row index
+   * @param col - Column index
+   */
+  isGridEdge (row, col) {
+    return row + 1 + GRID_MARGIN.rows >= this.gridSize.rows || col + 1 + GRID_MARGIN.cols >= this.gridSize.cols
+  }
+
+  /**
+   * Grow the grid to cover a cell, with empty rows and columns after it
+   *
+   * @param row - Row index
+   * @param col - Column index
+   * @returns Whether the grid grew
+   */
+  growGrid (row, col) {
+    const rows = Math.max(this.gridSize.rows, row + 1 + GRID_MARGIN.rows)
+    const cols = Math.max(this.gridSize.cols, col + 1 + GRID_MARGIN.cols)
+    if (rows === this.gridSize.rows && cols === this.gridSize.cols) {
+      return false
+    }
+    this.gridSize = { rows, cols }
+    return true
+  }
+
+  /**
+   * Get the rows and columns in view, with some more on each side
+   *
+   * @returns `{ top, left, bottom, right }`
+   */
+  getVisibleRange () {
+    const container = this.elements.spreadsheetContainer
+    const scrollTop = container?.scrollTop ?? 0
+    const scrollLeft = container?.scrollLeft ?? 0
+    // A hidden container has no size yet
+    const height = container?.clientHeight || 600
+    const width = container?.clientWidth || 1000
+
+    const bottom = Math.min(this.gridSize.rows - 1, lineAt(scrollTop + height, this.rowHeight, this.rowSizes) + OVERSCAN.rows)
+    const right = Math.min(this.gridSize.cols - 1, lineAt(scrollLeft + width, COL_WIDTH, this.colSizes) + OVERSCAN.cols)
+
+    // The container may be scrolled past the end of a grid that shrank
+    return {
+      top: Math.max(0, Math.min(lineAt(scrollTop, this.rowHeight, this.rowSizes) - OVERSCAN.rows, bottom)),
+      left: Math.max(0, Math.min(lineAt(scrollLeft, COL_WIDTH, this.colSizes) - OVERSCAN.cols, right)),
+      bottom,
+      right
+    }
+  }
+
+  /**
+   * Render the rows and columns in view
+   *
+   * Spacers take the size of the rows and columns out of view, so the grid
+   * scrolls as if all were there. Rows and cells staying in view are kept,
+   * the focused cell keeps its focus and edit.
+   */
+  renderGrid () {
+    if (!this.gridBody) { return }
+
+    // Spacers are only right with the row height the page gives rows
+    const height = [...this.rowElements].find(([row]) => !this.rowHeights.has(row))?.[1].offsetHeight
+    if (height > 0 && height !== this.rowHeight) {
+      this.rowHeight = height
+      this.rendered = null
+    }
+
+    const range = this.getVisibleRange()
+    const { rows, cols } = this.gridSize
+    const previous = this.rendered
+    if (
+      previous != null && previous.rows === rows && previous.cols === cols &&
+      ['top', 'left', 'bottom', 'right'].every((side) => previous[side] === range[side])
+    ) {
+      return
+    }
+    this.rendered = { ...range, rows, cols }
+
+    // Columns
+    const colOffset = (col) => lineOffset(col, COL_WIDTH, this.colSizes)
+    const widths = [ROW_HEADER_WIDTH, colOffset(range.left)]
+    const headers = [document.createElement('th'), document.createElement('th')] // Corner and spacer
+    headers[0].className = 'row-header'
+    headers[1].className = 'grid-spacer'
+    for (let col = range.left; col <= range.right; col++) {
+      const th = document.createElement('th')
+      th.textContent = columnLetters(col)
+      th.dataset.col = col
+      th.addEventListener('contextmenu', (e) => this.showHeaderMenu(e, 'col', col))
+      th.appendChild(this.createResizer('col', col))
+      widths.push(this.getColumnWidth(col))
+      headers.push(th)
+    }
+    widths.push(colOffset(cols) - colOffset(range.right + 1))
+
+    this.colgroup.replaceChildren(...widths.map((width) => {
+      const column = document.createElement('col')
+      column.style.width = `${width}px`
+      return column
+    }))
+    this.headerRow.replaceChildren(...headers)
+    this.elements.spreadsheet.style.width = `${ROW_HEADER_WIDTH + colOffset(cols)}px`
+
+    // Rows: drop the ones out of view and update the columns of the others
+    const added = []
+    for (const [row, tr] of this.rowElements) {
+      if (row < range.top || row > range.bottom) {
+        this.removeGridElement(tr)
+        this.rowElements.delete(row)
+        continue
+      }
+      this.applyRowHeight(tr, row)
+
+      const kept = new Set()
+      for (const td of tr.querySelectorAll('td[data-cell]')) {
+        const { col } = a1ToCoord(td.dataset.cell)
+        if (col < range.left || col > range.right) {
+          this.removeGridElement(td)
+        } else {
+          kept.add(col)
+        }
+      }
+
+      const first = tr.querySelector('td[data-cell]')
+      for (let col = range.left; col <= range.right; col++) {
+        if (kept.has(col)) { continue }
+        const td = this.createCell(row, col)
+        tr.insertBefore(td, kept.size > 0 && col < a1ToCoord(first.dataset.cell).col ? first : null)
+        added.push(td)
+      }
+    }
+
+    // Add the rows coming into view, before or after the kept ones
+    const keptRows = [...this.rowElements.keys()]
+    const firstKept = keptRows.length > 0 ? Math.min(...keptRows) : null
+    for (let row = range.top; row <= range.bottom; row++) {
+      if (this.rowElements.has(row)) { continue }
+      const tr = this.createRow(row, range)
+      this.gridBody.insertBefore(tr, firstKept != null && row < firstKept ? this.rowElements.get(firstKept) : this.bottomSpacer)
+      this.rowElements.set(row, tr)
+      added.push(...tr.querySelectorAll('td[data-cell]'))
+    }
+
+    const rowOffset = (row) => lineOffset(row, this.rowHeight, this.rowSizes)
+    this.topSpacer.firstChild.style.height = `${rowOffset(range.top)}px`
+    this.bottomSpacer.firstChild.style.height = `${rowOffset(rows) - rowOffset(range.bottom + 1)}px`
+
+    added.forEach((td) => this.updateCellDisplay(td.dataset.cell))
+    this.renderSelection()
+    this.renderFillPreview()
+    this.renderRemoteSelections()
+  }
+
+  /**
+   * Render the grid in the next animation frame, once for any number of calls
+   */
+  scheduleRender () {
+    if (this.renderPending) { return }
+    this.renderPending = true
+    requestAnimationFrame(() => {
+      this.renderPending = false
+      if (this.fitPending) {
+        this.shrinkGrid()
+      }
+      this.renderGrid()
+    })
+  }
+
+  /**
+   * Render the rows and columns coming into view when scrolling or resizing
+   */
+  setupScrollHandler () {
+    this.elements.spreadsheetContainer?.addEventListener('scroll', () => this.scheduleRender())
+    window.addEventListener('resize', () => this.scheduleRender())
+  }
+
+  /**
+   * Scroll a cell into view and render it, growing the grid if the cell is
+   * beyond its end
+   *
+   * @param coord - Cell coordinate
+   */
+  scrollToCell (coord) {
+    const position = a1ToCoord(coord)
+    if (!position) { return }
+
+    this.growGrid(position.row, position.col)
+    this.renderGrid()
+
+    // The sticky headers cover the top and left of the container
+    const container = this.elements.spreadsheetContainer
+    if (container) {
+      const top = lineOffset(position.row, this.rowHeight, this.rowSizes)
+      const bottom = this.headerRow.offsetHeight + top + this.getRowHeight(position.row)
+      if (top < container.scrollTop) {
+        container.scrollTop = top
+      } else if (bottom > container.scrollTop + container.clientHeight) {
+        container.scrollTop = bottom - container.clientHeight
+      }
+
+      const left = lineOffset(position.col, COL_WIDTH, this.colSizes)
+      const right = ROW_HEADER_WIDTH + left + this.getColumnWidth(position.col)
+      if (left < container.scrollLeft) {
+        container.scrollLeft = left
+      } else if (right > container.scrollLeft + container.clientWidth) {
+        container.scrollLeft = right - container.clientWidth
+      }
+    }
+    this.renderGrid()
+  }
+
+  /**
+   * Show the values of the current sheet in the rendered cells
+   */
+  refreshGrid () {
+    this.elements.spreadsheet?.querySelectorAll('td[data-cell]').forEach((td) => {
+      this.updateCellDisplay(td.dataset.cell)
+    })
+    this.renderRemoteSelections()
+  }
+
+  /**
+   * Show another sheet in the grid
+   *
+   * @param sheetId - Sheet to show
+   */
+  switchSheet (sheetId) {
+    this.sheetId = sheetId
+    this.loadLayout()
+    this.rendered = null
+    this.fitGrid()
+    this.renderGrid()
+    this.refreshGrid()
+    this.renderSheetTabs()
+    this.renderRules()
+    this.renderValidations()
+    this.selectCell(this.currentCell ?? 'A1')
+  }
+
+  /**
+   * Render the sheet tabs: click to switch, double-click to rename, drag to
+   * reorder, × to delete and + to add a sheet
+   */
+  renderSheetTabs () {
+    const container = this.elements.sheetTabs
+    if (!container) { return }
+
+    container.innerHTML = ''
+
+    this.engine.getSheets().forEach((sheet, index) => {
+      const tab = document.createElement('div')
+      tab.className = sheet.id === this.sheetId ? 'sheet-tab active' : 'sheet-tab'
+      tab.dataset.sheetId = sheet.id
+
+      const label = document.createElement('span')
+      label.className = 'sheet-name'
+      label.textContent = sheet.name
+      tab.appendChild(label)
+      tab.addEventListener('click', () => {
+        if (sheet.id !== this.sheetId) {
+          this.switchSheet(sheet.id)
+        }
+      })
+
+      if (!this.readOnly) {
+        tab.title = 'Double-click to rename, drag to reorder'
+        label.addEventListener('dblclick', () => this.editSheetName(tab, sheet))
+
+        tab.draggable = true
+        tab.addEventListener('dragstart', (e) => {
+          e.dataTransfer.setData('text/plain', sheet.id)
+        })
+        tab.addEventListener('dragover', (e) => e.preventDefault())
+        tab.addEventListener('drop', (e) => {
+          e.preventDefault()
+          const draggedId = e.dataTransfer.getData('text/plain')
+          if (draggedId && draggedId !== sheet.id) {
+            // Take the dropped-on tab's place, before it or after it depending on the direction
+            this.engine.moveSheet(draggedId, index)
+          }
+        })
+
+        const remove = document.createElement('button')
+        remove.className = 'sheet-delete'
+        remove.textContent = '×'
+        remove.title = `Delete ${sheet.name}`
+        remove.addEventListener('click', (e) => {
+          e.stopPropagation()
+          // The first click asks for confirmation, the second deletes the sheet and its cells
+          if (remove.dataset.confirm !== 'true') {
+            remove.dataset.confirm = 'true'
+            remove.textContent = 'Delete?'
+            return
+          }
+          this.runSheetAction(() => this.engine.deleteSheet(sheet.id))
+        })
+        remove.addEventListener('blur', () => {
+          delete remove.dataset.confirm
+          remove.textContent = '×'
+        })
+        tab.appendChild(remove)
+      }
+
+      container.appendChild(tab)
+    })
+
+    if (!this.readOnly) {
+      const add = document.createElement('button')
+      add.id = 'sheet-add'
+      add.textContent = '+'
+      add.title = 'Add sheet'
+      add.addEventListener('click', () => {
+        this.runSheetAction(() => this.switchSheet(this.engine.addSheet()))
+      })
+      container.appendChild(add)
+    }
+  }
+
+  /**
+   * Replace a tab's label with an input to rename the sheet
+   *
+   * @param tab - Tab element
+   * @param sheet - `{ id, name }` of the sheet
+   */
+  editSheetName (tab, sheet) {
+    const input = document.createElement('input')
+    input.className = 'sheet-name-input'
+    input.value = sheet.name
+    tab.replaceChildren(input)
+    input.focus()
+    input.select()
+
+    let done = false
+    const finish = (save) => {
+      if (done) { return }
+      done = true
+      if (save && input.value.trim() !== sheet.name) {
+        this.runSheetAction(() => this.engine.renameSheet(sheet.id, input.value))
+      }
+      this.renderSheetTabs()
+    }
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        finish(true)
+      } else if (e.key === 'Escape') {
+        e.preventDefault()
+        finish(false)
+      }
+    })
+    input.addEventListener('blur', () => finish(true))
+  }
+
+  /**
+   * Run a sheet operation, reporting invalid names and the like
+   *
+   * @param action - Operation that may throw
+   */
+  runSheetAction (action) {
+    try {
+      action()
+    } catch (err) {
+      this.onError(err)
+    }
+  }
+
+  /**
+   * Show the context menu of a row or column header
+   *
+   * @param e - Context menu event
+   * @param axis - 'row' or 'col'
+   * @param index - Row or column index
+   */
+  showHeaderMenu (e, axis, index) {
+    if (this.readOnly) { return }
+    e.preventDefault()
+
+    const items = axis === 'row'
+      ? [
+          ['Insert row above', () => this.engine.insertRows(index, 1, this.sheetId)],
+          ['Insert row below', () => this.engine.insertRows(index + 1, 1, this.sheetId)],
+          ['Delete row', () => this.engine.deleteRows(index, 1, this.sheetId)]
+        ]
+      : [
+          ['Insert column left', () => this.engine.insertColumns(index, 1, this.sheetId)],
+          ['Insert column right', () => this.engine.insertColumns(index + 1, 1, this.sheetId)],
+          ['Delete column', () => this.engine.deleteColumns(index, 1, this.sheetId)]
+        ]
+
+    this.showMenu(e.pageX, e.pageY, items)
+  }
+
+  /**
+   * Show a context menu, closing the one that is open
+   *
+   * @param x - Left of the menu in the page
+   * @param y - Top of the menu in the page
+   * @param items - Array of `[label, action]`
+   */
+  showMenu (x, y, items) {
+    this.closeMenu()
+
+    const menu = document.createElement('div')
+    menu.className = 'context-menu'
+    menu.style.left = `${x}px`
+    menu.style.top = `${y}px`
+
+    for (const [label, action] of items) {
+      const item = document.createElement('button')
+      item.textContent = label
+      item.addEventListener('click', () => {
+        this.closeMenu()
+        this.runSheetAction(action)
+      })
+      menu.appendChild(item)
+    }
+
+    document.body.appendChild(menu)
+
+    // Close the menu on any other click or Escape
+    const controller = new AbortController()
+    document.addEventListener('pointerdown', (event) => {
+      if (!menu.contains(event.target)) { this.closeMenu() }
+    }, { signal: controller.signal })
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') { this.closeMenu() }
+    }, { signal: controller.signal })
+
+    this.menu = { menu, controller }
+  }
+
+  /**
+   * Close the open context menu, if any
+   */
+  closeMenu () {
+    if (!this.menu) { return }
+    this.menu.controller.abort()
+    this.menu.menu.remove()
+    this.menu = null
+  }
+
+  /**
+   * Allow or prevent editing of cells and the formula bar
+   *
+   * @param readOnly - Whether the sheet can only be viewed
+   */
+  setReadOnly (readOnly) {
+    this.readOnly = readOnly
+
+    this.elements.spreadsheet?.querySelectorAll('input').forEach((input) => {
+      input.readOnly = readOnly
+    })
+    if (this.elements.formulaInput) {
+      this.elements.formulaInput.readOnly = readOnly
+    }
+    this.elements.spreadsheetContainer?.classList.toggle('read-only', readOnly)
+    this.renderSelection()
+    if (this.elements.importFile) {
+      this.elements.importFile.disabled = readOnly
+    }
+    const {
+      numberFormat, formatCode, decimalsLess, decimalsMore,
+      styleBold, styleItalic, styleColor, styleBackground, styleAlign, styleBorders, styleClear
+    } = this.elements
+    for (const control of [
+      numberFormat, formatCode, decimalsLess, decimalsMore,
+      styleBold, styleItalic, styleColor, styleBackground, styleAlign, styleBorders, styleClear
+    ]) {
+      if (control) {
+        control.disabled = readOnly
+      }
+    }
+    for (const tools of [this.elements.ruleTools, this.elements.validationTools, this.elements.nameTools]) {
+      tools?.querySelectorAll('input, select, button').forEach((control) => {
+        control.disabled = readOnly
+      })
+    }
+    this.renderRules()
+    this.renderValidations()
+    this.renderNames()
+    this.renderSheetTabs()
+  }
+
+  /**
+   * Navigate to a cell if the coordinate is valid
+   *
+   * @param nextCoord - Target cell coordinate
+   */
+  navigateToCell (nextCoord) {
+    if (nextCoord) {
+      this.scrollToCell(nextCoord)
+      const nextInput = document.getElementById(`cell-${nextCoord}`)
+      if (nextInput) {
+        nextInput.focus()
+      }
+    }
+  }
+
+  /**
+   * Handle Enter key in cell
+   *
+   * @param r - Row index
+   * @param c - Column index
+   * @returns Target coordinate or null
+   */
+  handleEnterKey (r, c) {
+    // Move to cell below, the grid grows at the bottom
+    return coordToA1(r + 1, c)
+  }
+
+  /**
+   * Handle Tab key in cell
+   *
+   * @param e - Keyboard event
+   * @param r - Row index
+   * @param c - Column index
+   * @returns Target coordinate or null
+   */
+  handleTabKey (e, r, c) {
+    // Tab moves right, Shift+Tab moves left
+    if (e.shiftKey) {
+      if (c > 0) {
+        return coordToA1(r, c - 1)
+      }
+    } else {
+      return coordToA1(r, c + 1)
+    }
+    return null
+  }
+
+  /**
+   * Handle arrow keys in cell
+   *
+   * @param e - Keyboard event
+   * @param r - Row index
+   * @param c - Column index
+   * @param input - Input element
+   * @returns Object with nextCoord and shouldNavigate
+   */
+  handleArrowKey (e, r, c, input) {
+    if (e.key === 'ArrowUp') {
+      if (r > 0) {
+        return { nextCoord: coordToA1(r - 1, c), shouldNavigate: true }
+      }
+    } else if (e.key === 'ArrowDown') {
+      return { nextCoord: coordToA1(r + 1, c), shouldNavigate: true }
+    } else if (e.key === 'ArrowLeft') {
+      // Navigate left only if cursor is at the start of the text
+      const cursorPos = input.selectionStart
+      if (cursorPos === 0 && c > 0) {
+        return { nextCoord: coordToA1(r, c - 1), shouldNavigate: true }
+      }
+    } else if (e.key === 'ArrowRight') {
+      // Navigate right only if cursor is at the end of the text
+      const cursorPos = input.selectionStart
+      const textLength = input.value.length
+      if (cursorPos === textLength) {
+        return { nextCoord: coordToA1(r, c + 1), shouldNavigate: true }
+      }
+    }
+    return { nextCoord: null, shouldNavigate: false }
+  }
+
+  /**
+   * Handle Ctrl+Z (undo) and Ctrl+Shift+Z or Ctrl+Y (redo) in a cell
+   * While the cell's text is being edited, the browser undoes typing instead
+   *
+   * @param e - Keyboard event
+   * @param coord - Current cell coordinate
+   * @param input - Input element
+   */
+  handleUndoKey (e, coord, input) {
+    const cell = this.engine.getCell(coord, this.sheetId)
+    if (this.readOnly || input.value !== (cell.formula ?? formatValue(cell.value))) {
+      return
+    }
+
+    e.preventDefault()
+    const redo = e.key.toLowerCase() === 'y' || e.shiftKey
+    const changed = redo ? this.engine.redo() : this.engine.undo()
+
+    if (changed) {
+      // Focusing again shows the cell's restored content and starts a new edit
+      input.blur()
+      input.focus()
+    }
+  }
+
+  /**
+   * Handle Ctrl+D (fill down) and Ctrl+R (fill right): the first row or
+   * column of the selection is copied over the rest of it, a selection of
+   * one row or column is filled from the cells above or left of it
+   *
+   * @param e - Keyboard event
+   * @param coord - Current cell coordinate
+   * @param input - Input element
+   */
+  handleFillKey (e, coord, input) {
+    e.preventDefault()
+
+    // Leave a cell that is being edited alone
+    const cell = this.engine.getCell(coord, this.sheetId)
+    if (this.readOnly || input.value !== (cell.formula ?? formatValue(cell.value))) {
+      return
+    }
+
+    const { start, end } = this.getSelectedRange()
+    const { top, left, bottom, right } = rangeBounds(start, end)
+    const down = e.key.toLowerCase() === 'd'
+    const [first, last] = down ? [top, bottom] : [left, right]
+    const from = first < last ? first : first - 1
+    if (from < 0) { return }
+
+    this.runSheetAction(() => {
+      this.engine.fillRange(
+        down ? coordToA1(from, left) : coordToA1(top, from),
+        down ? coordToA1(from, right) : coordToA1(bottom, from),
+        down ? coordToA1(bottom, left) : coordToA1(top, right),
+        { series: false, sheetId: this.sheetId }
+      )
+
+      // Focusing again shows the filled content of the cell being edited
+      input.blur()
+      this.selectRange(`${start}:${end}`)
+    })
+  }
+
+  /**
+   * Handle keyboard navigation in cells
+   *
+   * @param e - Keyboard event
+   * @param coord - Current cell coordinate
+   * @param input - Input element
+   */
+  handleCellKeydown (e, coord, input) {
+    const { row: r, col: c } = a1ToCoord(coord)
+    let nextCoord = null
+    let shouldNavigate = false
+
+    if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase())) {
+      this.handleUndoKey(e, coord, input)
+      return
+    }
+
+    if (e.altKey && e.key === 'ArrowDown' && this.engine.getValidation(coord, this.sheetId)?.type === 'list') {
+      e.preventDefault()
+      this.showDropdown(coord)
+      return
+    }
+
+    if (e.shiftKey && e.key.startsWith('Arrow')) {
+      e.preventDefault()
+      this.handleShiftArrowKey(e)
+      return
+    }
+
+    if ((e.ctrlKey || e.metaKey) && ['d', 'r'].includes(e.key.toLowerCase())) {
+      this.handleFillKey(e, coord, input)
+      return
+    }
+
+    if ((e.ctrlKey || e.metaKey) && ['b', 'i'].includes(e.key.toLowerCase())) {
+      e.preventDefault()
+      this.toggleStyle(e.key.toLowerCase() === 'b' ? 'bold' : 'italic')
+      return
+    }
+
+    // Handle navigation keys
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      nextCoord = this.handleEnterKey(r, c)
+      shouldNavigate = true
+    } else if (e.key === 'Tab') {
+      e.preventDefault()
+      nextCoord = this.handleTabKey(e, r, c)
+      shouldNavigate = true
+    } else if (e.key === 'Escape') {
+      // Escape key - revert changes and unfocus, blurring an unchanged cell
+      // shows its formatted value or result
+      e.preventDefault()
+      const cell = this.engine.getCell(coord, this.sheetId)
+      input.value = cell.formula ?? formatValue(cell.value)
+      input.blur()
+      return
+    } else if (e.key.startsWith('Arrow')) {
+      e.preventDefault()
+      const result = this.handleArrowKey(e, r, c, input)
+      nextCoord = result.nextCoord
+      shouldNavigate = result.shouldNavigate
+    }
+
+    // Move to next cell if determined
+    if (shouldNavigate) {
+      this.navigateToCell(nextCoord)
+    }
+  }
+
+  /**
+   * Select a cell and update formula bar
+   *
+   * @param coord - Cell coordinate (e.g., 'A1')
+   */
+  selectCell (coord) {
+    // Remove previous selection
+    if (this.currentCell) {
+      const prevInput = document.getElementById(`cell-${this.currentCell}`)
+      const prevTd = prevInput?.parentElement
+      if (prevTd) {
+        prevTd.classList.remove('selected')
+      }
+    }
+
+    this.currentCell = coord
+    this.selection = { anchor: coord, focus: coord }
+    this.renderSelection()
+
+    // Add selection to new cell
+    const input = document.getElementById(`cell-${coord}`)
+    const td = input?.parentElement
+    if (td) {
+      td.classList.add('selected')
+    }
+
+    // Update formula bar - show formula if available, otherwise the value
+    if (this.elements.cellRef) {
+      this.elements.cellRef.textContent = coord + ':'
+    }
+
+    if (this.elements.formulaInput) {
+      const cell = this.engine.getCell(coord, this.sheetId)
+      // Always prioritize formula over value for display in formula bar
+      if (cell.formula) {
+        this.elements.formulaInput.value = cell.formula
+      } else {
+        this.elements.formulaInput.value = formatValue(cell.value)
+      }
+    }
+    this.renderFormatTools()
+
+    // Let collaborators see the selection
+    if (this.awareness) {
+      this.awareness.setLocalStateField('cursor', { cell: coord, sheet: this.sheetId })
+    }
+  }
+
+  /**
+   * Get the selected range
+   *
+   * @returns `{ start, end }` with the selected cell and the opposite corner
+   */
+  getSelectedRange () {
+    const { anchor, focus } = this.selection ?? { anchor: this.currentCell ?? 'A1', focus: this.currentCell ?? 'A1' }
+    return { start: anchor, end: focus }
+  }
+
+  /**
+   * Select a range, keeping the focus in its top left cell
+   *
+   * @param range - Range like 'B2:C4'
+   */
+  selectRange (range) {
+    const [start, end = start] = range.split(':')
+    this.scrollToCell(start)
+    const input = document.getElementById(`cell-${start}`)
+    if (input && document.activeElement !== input) {
+      input.focus()
+    } else {
+      this.selectCell(start)
+    }
+    this.extendSelection(end)
+  }
+
+  /**
+   * Move the far corner of the selection, the selected cell stays
+   *
+   * @param coord - New corner
+   */
+  extendSelection (coord) {
+    if (!this.selection || !a1ToCoord(coord)) { return }
+    this.selection.focus = coord
+    this.renderSelection()
+  }
+
+  /**
+   * Grow or shrink the selection with Shift+arrow keys
+   *
+   * @param e - Keyboard event
+   */
+  handleShiftArrowKey (e) {
+    const { row, col } = a1ToCoord(this.getSelectedRange().end)
+    const steps = {
+      ArrowUp: [row - 1, col],
+      ArrowDown: [row + 1, col],
+      ArrowLeft: [row, col - 1],
+      ArrowRight: [row, col + 1]
+    }
+    const [nextRow, nextCol] = steps[e.key] ?? [row, col]
+
+    if (nextRow >= 0 && nextCol >= 0) {
+      this.scrollToCell(coordToA1(nextRow, nextCol))
+      this.extendSelection(coordToA1(nextRow, nextCol))
+    }
+  }
+
+  /**
+   * Highlight the cells of the selected range, when it has more than one,
+   * and put the fill handle at its bottom right corner
+   */
+  renderSelection () {
+    if (!this.elements.spreadsheet) { return }
+
+    this.elements.spreadsheet.querySelectorAll('td.in-selection').forEach((td) => {
+      td.classList.remove('in-selection')
+    })
+
+    const { start, end } = this.getSelectedRange()
+    const { top, left, bottom, right } = rangeBounds(start, end)
+
+    // Only the rendered cells of large ranges are highlighted
+    if (start !== end && this.rendered) {
+      for (let row = Math.max(top, this.rendered.top); row <= Math.min(bottom, this.rendered.bottom); row++) {
+        for (let col = Math.max(left, this.rendered.left); col <= Math.min(right, this.rendered.right); col++) {
+          document.getElementById(`cell-${coordToA1(row, col)}`)?.parentElement.classList.add('in-selection')
+        }
+      }
+    }
+
+    const corner = document.getElementById(`cell-${coordToA1(bottom, right)}`)?.parentElement
+    if (this.fillHandle && corner && !this.readOnly) {
+      corner.appendChild(this.fillHandle)
+    } else {
+      this.fillHandle?.remove()
+    }
+  }
+
+  /**
+   * Get the cell the selection is filled up to when the fill handle is
+   * dragged to a cell. Filling goes in one direction, the one the pointer
+   * moved furthest out of the selection in.
+   *
+   * @param coord - Cell under the pointer
+   * @returns Target for SpreadsheetEngine.fillRange, or null inside the selection
+   */
+  getFillTarget (coord) {
+    const { top, left, bottom, right } = rangeBounds(this.filling.start, this.filling.end)
+    const { row, col } = a1ToCoord(coord)
+    const rows = Math.max(row - bottom, top - row, 0)
+    const cols = Math.max(col - right, left - col, 0)
+
+    if (rows === 0 && cols === 0) { return null }
+    return rows >= cols ? coordToA1(row, left) : coordToA1(top, col)
+  }
+
+  /**
+   * Outline the cells the fill handle is about to fill
+   */
+  renderFillPreview () {
+    this.elements.spreadsheet.querySelectorAll('td.fill-preview').forEach((td) => {
+      td.classList.remove('fill-preview')
+    })
+    if (!this.filling?.target || !this.rendered) { return }
+
+    const { top, left, bottom, right } = rangeBounds(this.filling.start, this.filling.end)
+    const target = a1ToCoord(this.filling.target)
+    const filled = rangeBounds(coordToA1(Math.min(top, target.row), Math.min(left, target.col)), coordToA1(Math.max(bottom, target.row), Math.max(right, target.col)))
+
+    for (let row = Math.max(filled.top, this.rendered.top); row <= Math.min(filled.bottom, this.rendered.bottom); row++) {
+      for (let col = Math.max(filled.left, this.rendered.left); col <= Math.min(filled.right, this.rendered.right); col++) {
+        if (row < top || row > bottom || col < left || col > right) {
+          document.getElementById(`cell-${coordToA1(row, col)}`)?.parentElement.classList.add('fill-preview')
+        }
+      }
+    }
+  }
+
+  /**
+   * Set up range selection with the mouse: Shift+click extends the
+   * selection to the clicked cell, dragging selects the cells passed over
+   */
+  setupSelectionHandlers () {
+    const table = this.elements.spreadsheet
+    if (!table) { return }
+
+    // Dragging the fill handle fills the cells passed over when released
+    this.fillHandle = document.createElement('div')
+    this.fillHandle.className = 'fill-handle'
+    this.fillHandle.addEventListener('mousedown', (e) => {
+      if (e.button !== 0 || this.readOnly) { return }
+      e.preventDefault()
+      e.stopPropagation()
+      const { start, end } = this.getSelectedRange()
+      this.filling = { start, end, target: null }
+    })
+    this.renderSelection()
+
+    table.addEventListener('mousedown', (e) => {
+      const coord = e.target.closest('td[data-cell]')?.dataset.cell
+      if (!coord || e.button !== 0) { return }
+
+      if (e.shiftKey && this.currentCell) {
+        // Keep the focus, and so the selected cell, where it is
+        e.preventDefault()
+        this.extendSelection(coord)
+        return
+      }
+      this.selecting = true
+    })
+
+    table.addEventListener('mouseover', (e) => {
+      const coord = e.target.closest('td[data-cell]')?.dataset.cell
+      if (!coord || (e.buttons & 1) !== 1) { return }
+
+      if (this.filling) {
+        this.filling.target = this.getFillTarget(coord)
+        this.renderFillPreview()
+      } else if (this.selecting) {
+        this.extendSelection(coord)
+      }
+    })
+
+    document.addEventListener('mouseup', () => {
+      this.selecting = false
+      if (!this.filling) { return }
+
+      const { start, end, target } = this.filling
+      this.filling = null
+      this.renderFillPreview()
+
+      if (target) {
+        this.runSheetAction(() => {
+          const range = this.engine.fillRange(start, end, target, { sheetId: this.sheetId })
+          if (range) {
+            this.selectRange(range)
+          }
+        })
+      }
+    })
+  }
+
+  /**
+   * Set up copy, cut and paste of the selected range
+   */
+  setupClipboardHandlers () {
+    const table = this.elements.spreadsheet
+    if (!table) { return }
+
+    table.addEventListener('copy', (e) => this.handleCopy(e, false))
+    table.addEventListener('cut', (e) => this.handleCopy(e, true))
+    table.addEventListener('paste', (e) => this.handlePaste(e))
+  }
+
+  /**
+   * Check whether the user is selecting text inside a single cell, in which
+   * case the clipboard works on that text as usual
+   *
+   * @param e - Clipboard event
+   */
+  isEditingText (e) {
+    const { start, end } = this.getSelectedRange()
+    const input = e.target
+    return start === end && input.tagName === 'INPUT' && input.selectionStart !== input.selectionEnd
+  }
+
+  /**
+   * Copy or cut the selected range: other applications get the values as
+   * tab-separated text, pasting here also brings along formulas and formats
+   *
+   * @param e - Clipboard event
+   * @param cut - Whether the range is moved when it is pasted
+   */
+  handleCopy (e, cut) {
+    if (this.isEditingText(e)) { return }
+    e.preventDefault()
+
+    const { start, end } = this.getSelectedRange()
+    const copy = this.engine.copyRange(start, end, this.sheetId)
+    const { row, col } = a1ToCoord(copy.start)
+    const values = copy.cells.map((line, r) => line.map((_, c) => {
+      return formatValue(this.engine.getCell(coordToA1(row + r, col + c), this.sheetId).value)
+    }))
+    const text = formatDelimited(values, DELIMITERS.tsv)
+
+    e.clipboardData.setData('text/plain', text)
+    this.clipboard = {
+      copy,
+      text,
+      // A cut range stays where it is until it is pasted
+      cut: cut && !this.readOnly ? { start, end, sheetId: this.sheetId } : null
+    }
+  }
+
+  /**
+   * Paste into the selected range: a range copied here with its formulas,
+   * tab-separated text from other applications as a block of cells, each
+   * in one transaction. Other text is pasted into the cell being edited.
+   *
+   * @param e - Clipboard event
+   */
+  handlePaste (e) {
+    if (this.readOnly) { return }
+
+    const text = e.clipboardData.getData('text/plain')
+    const copied = this.clipboard?.text === text ? this.clipboard : null
+    if (!copied && !/[\t\r\n]/.test(text.replace(/[\r\n]+$/, ''))) { return }
+    e.preventDefault()
+
+    const { start, end } = this.getSelectedRange()
+    const { top, left } = rangeBounds(start, end)
+    const target = coordToA1(top, left)
+
+    this.runSheetAction(() => {
+      let range
+      if (copied?.cut) {
+        const { start, end, sheetId } = copied.cut
+        range = this.engine.moveRange(start, end, target, sheetId, this.sheetId)
+        // A cut range can only be pasted once
+        this.clipboard = null
+      } else if (copied) {
+        range = this.engine.pasteRange(copied.copy, target, this.sheetId)
+      } else {
+        const { rows, cols } = this.engine.importDelimited(text, target, { delimiter: DELIMITERS.tsv, sheetId: this.sheetId })
+        range = `${target}:${coordToA1(top + rows - 1, left + cols - 1)}`
+      }
+
+      // Focusing again shows the pasted content of the cell being edited
+      e.target.blur()
+      this.selectRange(range)
+    })
+  }
+
+  /**
+   * Outline the cells other collaborators have selected in their colour
+   */
+  renderRemoteSelections () {
+    if (!this.awareness || !this.elements.spreadsheet) { return }
+
+    // Clear previous outlines
+    this.elements.spreadsheet.querySelectorAll('td.remote-selected').forEach((td) => {
+      td.classList.remove('remote-selected')
+      td.style.removeProperty('--remote-color')
+      delete td.dataset.remoteUser
+    })
+
+    this.awareness.getStates().forEach((state, clientID) => {
+      if (clientID === this.awareness.clientID || !state.cursor?.cell) { return }
+      // Peers without sheets select cells on the default sheet
+      if ((state.cursor.sheet ?? DEFAULT_SHEET_ID) !== this.sheetId) { return }
+
+      const input = document.getElementById(`cell-${state.cursor.cell}`)
+      const td = input?.parentElement
+      if (!td) { return }
+
+      // Several collaborators on one cell share the outline, names are listed
+      const name = state.user?.name || 'Anonymous'
+      td.classList.add('remote-selected')
+      td.style.setProperty('--remote-color', state.user?.color || '#9e9e9e')
+      td.dataset.remoteUser = td.dataset.remoteUser ? `${td.dataset.remoteUser}, ${name}` : name
+    })
+  }
+
+  /**
+   * Update cell display when value changes
+   *
+   * @param coord - Cell coordinate
+   */
+  updateCellDisplay (coord) {
+    // Update formula bar if this is the selected cell, even out of view
+    if (this.currentCell === coord && this.elements.formulaInput) {
+      const cell = this.engine.getCell(coord, this.sheetId)
+      this.elements.formulaInput.value = cell.formula || formatValue(cell.value)
+      this.renderFormatTools()
+    }
+
+    // Cells out of view are rendered with their value when scrolled to
+    const input = document.getElementById(`cell-${coord}`)
+    if (!input) { return }
+
+    const cell = this.engine.getCell(coord, this.sheetId)
+    const td = input.parentElement
+
+    // Only update if not currently focused
+    if (document.activeElement !== input) {
+      input.value = this.getDisplayText(cell)
+    }
+
+    // Update error styling
+    if (
+      cell.error ||
+      (typeof cell.value === 'string' && cell.value.startsWith('#'))
+    ) {
+      td.classList.add('error')
+    } else {
+      td.classList.remove('error')
+    }
+
+    // Cell style, with conditional formats on top of it. The background is a
+    // variable so selection colours still win
+    const style = { ...cell.style, ...this.engine.getConditionalStyle(coord, this.sheetId) }
+    const { bold, italic, color, background, align, borders = '' } = style
+    input.style.fontWeight = bold === true ? 'bold' : ''
+    input.style.fontStyle = italic === true ? 'italic' : ''
+    input.style.color = COLOR.test(color) ? color : ''
+    input.style.textAlign = ALIGNMENTS.includes(align) ? align : ''
+    if (COLOR.test(background)) {
+      td.style.setProperty('--cell-background', background)
+    } else {
+      td.style.removeProperty('--cell-background')
+    }
+    const sides = String(borders).split(' ')
+    for (const side of BORDER_SIDES) {
+      td.classList.toggle(`border-${side}`, sides.includes(side))
+    }
+
+    // Values breaking their validation rule are marked, whoever wrote them
+    const violated = this.engine.getViolation(coord, this.sheetId)
+    td.classList.toggle('invalid', violated != null)
+    td.title = violated != null ? describeValidation(violated) : ''
+
+    // Cells with a list of allowed values get a dropdown button
+    const hasList = this.engine.getValidation(coord, this.sheetId)?.type === 'list'
+    let dropdown = td.querySelector('.validation-dropdown')
+    if (hasList && !dropdown) {
+      dropdown = document.createElement('button')
+      dropdown.className = 'validation-dropdown'
+      dropdown.textContent = '▾'
+      dropdown.tabIndex = -1
+      dropdown.title = 'Choose a value (Alt+Down)'
+      // Don't start selecting cells or take the focus from the cell
+      dropdown.addEventListener('mousedown', (e) => {
+        e.preventDefault()
+        e.stopPropagation()
+      })
+      dropdown.addEventListener('click', () => this.showDropdown(coord))
+      td.appendChild(dropdown)
+    } else if (!hasList) {
+      dropdown?.remove()
+    }
+  }
+
+  /**
+   * Set up formula bar event handlers
+   */
+  setupFormulaBarHandler () {
+    if (!this.elements.formulaInput) { return }
+
+    this.elements.formulaInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && this.currentCell && !this.readOnly) {
+        e.preventDefault()
+        const value = this.elements.formulaInput.value.trim()
+        const input = document.getElementById(`cell-${this.currentCell}`)
+
+        if (this.commitCell(this.currentCell, value) && value === '' && input) {
+          input.value = ''
+        }
+
+        // Refocus the cell
+        if (input) {
+          input.focus()
+        }
+      }
+    })
+  }
+
+  /**
+   * Set up CSV, TSV and XLSX import and export
+   */
+  setupFileHandlers () {
+    const { importFile, exportCsv, exportTsv, exportXlsx } = this.elements
+
+    exportCsv?.addEventListener('click', () => this.exportFile('csv'))
+    exportTsv?.addEventListener('click', () => this.exportFile('tsv'))
+    exportXlsx?.addEventListener('click', () => this.exportFile('xlsx'))
+
+    importFile?.addEventListener('change', async () => {
+      const file = importFile.files[0]
+      // Reset, so choosing the same file again imports it again
+      importFile.value = ''
+      if (file && !this.readOnly) {
+        await this.importFile(file)
+      }
+    })
+  }
+
+  /**
+   * Set up the number format toolbar: a list of common formats, the format
+   * code of the selected cell and buttons for more or fewer decimals
+   */
+  setupFormatHandlers () {
+    const { numberFormat, formatCode, decimalsLess, decimalsMore } = this.elements
+
+    if (numberFormat) {
+      numberFormat.innerHTML = ''
+      FORMATS.forEach(({ name }, index) => {
+        numberFormat.appendChild(new Option(name, String(index)))
+      })
+      // Shown for format codes that aren't in the list
+      numberFormat.appendChild(new Option('Custom', 'custom'))
+
+      numberFormat.addEventListener('change', () => {
+        const preset = FORMATS[Number(numberFormat.value)]
+        if (preset) {
+          this.applyFormat(preset.code)
+        }
+      })
+    }
+
+    formatCode?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        this.applyFormat(formatCode.value.trim() || null)
+      }
+    })
+
+    const changeSelectedDecimals = (delta) => {
+      const cell = this.engine.getCell(this.currentCell ?? 'A1', this.sheetId)
+      this.applyFormat(changeDecimals(cell.format, delta))
+    }
+    decimalsLess?.addEventListener('click', () => changeSelectedDecimals(-1))
+    decimalsMore?.addEventListener('click', () => changeSelectedDecimals(1))
+
+    this.setupStyleHandlers()
+  }
+
+  /**
+   * Set up the style toolbar: bold, italic, text and fill colours,
+   * alignment, borders and clearing the style
+   */
+  setupStyleHandlers () {
+    const { styleBold, styleItalic, styleColor, styleBackground, styleAlign, styleBorders, styleClear } = this.elements
+
+    styleBold?.addEventListener('click', () => this.toggleStyle('bold'))
+    styleItalic?.addEventListener('click', () => this.toggleStyle('italic'))
+    styleColor?.addEventListener('change', () => this.applyStyle({ color: styleColor.value }))
+    styleBackground?.addEventListener('change', () => this.applyStyle({ background: styleBackground.value }))
+    styleAlign?.addEventListener('change', () => this.applyStyle({ align: styleAlign.value || null }))
+
+    styleBorders?.addEventListener('change', () => {
+      const borders = styleBorders.value
+      // The list is a menu of actions, so it goes back to its placeholder
+      styleBorders.value = ''
+      if (borders) {
+        this.applyToSelection((start, end) => this.engine.setBorders(start, end, borders, this.sheetId))
+      }
+    })
+
+    styleClear?.addEventListener('click', () => {
+      this.applyToSelection((start, end) => this.engine.clearStyle(start, end, this.sheetId))
+    })
+  }
+
+  /**
+   * Set up the conditional format form, which adds a rule to the selected
+   * range, and the list of the sheet's rules
+   */
+  setupRuleHandlers () {
+    const { ruleType, ruleOperator, ruleAdd } = this.elements
+
+    if (ruleOperator) {
+      ruleOperator.innerHTML = ''
+      OPERATORS.forEach((operator) => {
+        ruleOperator.appendChild(new Option(operator, operator))
+      })
+    }
+
+    ruleType?.addEventListener('change', () => this.renderRuleForm())
+    ruleOperator?.addEventListener('change', () => this.renderRuleForm())
+    ruleAdd?.addEventListener('click', () => {
+      this.applyToSelection((start, end) => {
+        this.engine.addConditionalFormat(start, end, this.readRuleForm(), this.sheetId)
+      })
+    })
+
+    this.renderRuleForm()
+    this.renderRules()
+  }
+
+  /**
+   * Show the fields of the chosen kind of conditional format
+   */
+  renderRuleForm () {
+    const { ruleTools, ruleType, ruleOperator } = this.elements
+    if (!ruleTools || !ruleType) { return }
+
+    const types = [ruleType.value]
+    if (ruleType.value === 'value' && ruleOperator?.value === 'between') {
+      types.push('between')
+    }
+    showFormFields(ruleTools, types)
+  }
+
+  /**
+   * Build a rule from the conditional format form
+   *
+   * @returns Rule for SpreadsheetEngine.addConditionalFormat
+   */
+  readRuleForm () {
+    const {
+      ruleType, ruleOperator, ruleValue, ruleValue2, ruleCount, rulePercent, ruleFormula,
+      ruleColor, ruleBackground, ruleBold, ruleScaleColors
+    } = this.elements
+    const type = ruleType?.value
+    const style = {
+      color: ruleColor?.value,
+      background: ruleBackground?.value,
+      bold: ruleBold?.checked === true
+    }
+
+    switch (type) {
+      case 'value':
+        return { type, operator: ruleOperator?.value, value: ruleValue?.value, value2: ruleValue2?.value, style }
+      case 'top':
+      case 'bottom':
+        return { type: 'top', count: ruleCount?.value, percent: rulePercent?.checked === true, bottom: type === 'bottom', style }
+      case 'scale2':
+      case 'scale3': {
+        const colors = Array.from(ruleScaleColors ?? [], (input) => input.value)
+        return { type: 'scale', colors: type === 'scale2' ? [colors[0], colors[colors.length - 1]] : colors }
+      }
+      default:
+        return { type, formula: ruleFormula?.value, style }
+    }
+  }
+
+  /**
+   * List the conditional formats of the current sheet, each with a button
+   * removing it
+   */
+  renderRules () {
+    const { ruleList } = this.elements
+    if (!ruleList) { return }
+
+    ruleList.innerHTML = ''
+    for (const rule of this.engine.getConditionalFormats(this.sheetId)) {
+      const item = this.createRuleItem(rule, describeRule(rule), () => this.engine.deleteConditionalFormat(rule.id))
+      const sample = item.querySelector('.rule-sample')
+      if (rule.style != null) {
+        sample.style.color = rule.style.color ?? ''
+        sample.style.background = rule.style.background ?? ''
+        sample.style.fontWeight = rule.style.bold ? 'bold' : ''
+        sample.style.fontStyle = rule.style.italic ? 'italic' : ''
+      } else {
+        sample.style.background = `linear-gradient(to right, ${rule.colors.join(', ')})`
+      }
+      ruleList.appendChild(item)
+    }
+  }
+
+  /**
+   * Create the list item of a conditional format or validation rule: its
+   * range, a description and a button removing it
+   *
+   * @param rule - Rule with its id and range
+   * @param description - Text describing the rule
+   * @param remove - Removes the rule
+   */
+  createRuleItem (rule, description, remove) {
+    const item = document.createElement('li')
+    item.dataset.rule = rule.id
+
+    const range = document.createElement('code')
+    range.textContent = rule.range
+    const sample = document.createElement('span')
+    sample.className = 'rule-sample'
+    sample.textContent = description
+
+    const button = document.createElement('button')
+    button.textContent = '×'
+    button.title = 'Remove rule'
+    button.disabled = this.readOnly
+    button.addEventListener('click', () => this.runSheetAction(remove))
+
+    item.append(range, ' ', sample, ' ', button)
+    return item
+  }
+
+  /**
+   * Set up the validation form, which adds a rule to the selected range,
+   * and the list of the sheet's rules
+   */
+  setupValidationHandlers () {
+    const { validationType, validationAdd } = this.elements
+
+    validationType?.addEventListener('change', () => this.renderValidationForm())
+    validationAdd?.addEventListener('click', () => {
+      this.applyToSelection((start, end) => {
+        this.engine.addValidation(start, end, this.readValidationForm(), this.sheetId)
+      })
+    })
+
+    this.renderValidationForm()
+    this.renderValidations()
+  }
+
+  /**
+   * Show the fields of the chosen kind of validation rule
+   */
+  renderValidationForm () {
+    const { validationTools, validationType } = this.elements
+    if (validationTools && validationType) {
+      showFormFields(validationTools, [validationType.value])
+    }
+  }
+
+  /**
+   * Build a rule from the validation form
+   *
+   * @returns Rule for SpreadsheetEngine.addValidation
+   */
+  readValidationForm () {
+    const {
+      validationType, validationMin, validationMax, validationInteger, validationValues, validationPattern, validationMode
+    } = this.elements
+
+    return {
+      type: validationType?.value,
+      min: validationMin?.value,
+      max: validationMax?.value,
+      integer: validationInteger?.checked === true,
+      values: validationValues?.value,
+      pattern: validationPattern?.value,
+      mode: validationMode?.value
+    }
+  }
+
+  /**
+   * List the validation rules of the current sheet, each with a button
+   * removing it
+   */
+  renderValidations () {
+    const { validationList } = this.elements
+    if (!validationList) { return }
+
+    validationList.innerHTML = ''
+    for (const rule of this.engine.getValidations(this.sheetId)) {
+      const description = `${describeValidation(rule)}${rule.mode === 'warn' ? ' (warn)' : ''}`
+      validationList.appendChild(this.createRuleItem(rule, description, () => this.engine.deleteValidation(rule.id)))
+    }
+  }
+
+  /**
+   * Set up the name manager: the form defining a name, for the selected
+   * range if no definition is typed, and the list of names
+   */
+  setupNameHandlers () {
+    const { nameInput, nameDefinition, nameDefine } = this.elements
+    if (!nameInput || !nameDefinition) { return }
+
+    const define = () => {
+      if (this.readOnly) { return }
+      const definition = nameDefinition.value.trim() || this.getSelectionReference()
+      this.runSheetAction(() => {
+        this.engine.defineName(nameInput.value, definition, this.sheetId)
+        nameInput.value = ''
+        nameDefinition.value = ''
+      })
+    }
+
+    nameDefine?.addEventListener('click', define)
+    for (const input of [nameInput, nameDefinition]) {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault()
+          define()
+        }
+      })
+    }
+
+    this.renderNames()
+  }
+
+  /**
+   * Get the selected range as an anchored reference, e.g. `=$B$2:$B$50`,
+   * like the definition Excel suggests for a new name
+   */
+  getSelectionReference () {
+    const { start, end } = this.getSelectedRange()
+    const { top, left, bottom, right } = rangeBounds(start, end)
+    const corner = (row, col) => ({ ref: coordToA1(row, col), absoluteColumn: true, absoluteRow: true })
+    const single = top === bottom && left === right
+
+    return `=${formatReference({ ...corner(top, left), end: single ? null : corner(bottom, right) })}`
+  }
+
+  /**
+   * List the names of the workbook with their definitions. Clicking a name
+   * puts it in the form to change its definition, × removes it.
+   */
+  renderNames () {
+    const { nameList, nameInput, nameDefinition } = this.elements
+    if (!nameList) { return }
+
+    nameList.innerHTML = ''
+    for (const { name, definition } of this.engine.getNames()) {
+      const item = document.createElement('li')
+
+      const label = document.createElement('code')
+      label.textContent = name
+      label.title = 'Edit'
+      label.addEventListener('click', () => {
+        if (this.readOnly || !nameInput || !nameDefinition) { return }
+        nameInput.value = name
+        nameDefinition.value = definition
+        nameDefinition.focus()
+      })
+
+      const remove = document.createElement('button')
+      remove.textContent = '×'
+      remove.title = 'Remove name'
+      remove.disabled = this.readOnly
+      remove.addEventListener('click', () => this.runSheetAction(() => this.engine.deleteName(name)))
+
+      item.append(label, ` ${definition} `, remove)
+      nameList.appendChild(item)
+    }
+  }
+
+  /**
+   * Write what was typed into a cell or the formula bar. A value refused by
+   * the cell's validation rule is reported and the cell shows its content
+   * again, a value the rule only warns about is written and reported.
+   *
+   * @param coord - Cell coordinate
+   * @param value - Trimmed value or formula, empty to clear the cell
+   * @returns True if the value was written
+   */
+  commitCell (coord, value) {
+    try {
+      if (value === '') {
+        this.engine.clearCell(coord, this.sheetId, { keepFormat: true })
+      } else {
+        this.engine.setCell(coord, value, this.sheetId)
+      }
+    } catch (err) {
+      this.onError(err)
+      this.updateCellDisplay(coord)
+      return false
+    }
+
+    const violated = this.engine.getViolation(coord, this.sheetId)
+    if (violated != null) {
+      this.onError(new ValidationError(coord, violated))
+    }
+    return true
+  }
+
+  /**
+   * Open the list of allowed values of a cell with a list validation rule,
+   * below the cell
+   *
+   * @param coord - Cell coordinate
+   */
+  showDropdown (coord) {
+    const rule = this.engine.getValidation(coord, this.sheetId)
+    const td = document.getElementById(`cell-${coord}`)?.parentElement
+    if (this.readOnly || rule?.type !== 'list' || !td) { return }
+
+    const { left, bottom } = td.getBoundingClientRect()
+    this.showMenu(left + window.scrollX, bottom + window.scrollY, rule.values.map((value) => [value, () => {
+      this.commitCell(coord, value)
+      this.navigateToCell(coord)
+    }]))
+  }
+
+  /**
+   * Set the number format of the selected range
+   *
+   * @param format - Format code, null for General
+   */
+  applyFormat (format) {
+    this.applyToSelection((start, end) => this.engine.setFormat(start, end, format, this.sheetId))
+  }
+
+  /**
+   * Change style fields of the selected range
+   *
+   * @param style - Fields to set, null to remove one
+   */
+  applyStyle (style) {
+    this.applyToSelection((start, end) => this.engine.setStyle(start, end, style, this.sheetId))
+  }
+
+  /**
+   * Turn bold or italic on for the selected range, or off if the selected
+   * cell has it
+   *
+   * @param field - 'bold' or 'italic'
+   */
+  toggleStyle (field) {
+    const { style } = this.engine.getCell(this.currentCell ?? 'A1', this.sheetId)
+    this.applyStyle({ [field]: style[field] !== true })
+  }
+
+  /**
+   * Change the selected range, unless the spreadsheet is read-only
+   *
+   * @param action - Function called with the start and end of the range
+   */
+  applyToSelection (action) {
+    if (this.readOnly) { return }
+
+    const { start, end } = this.getSelectedRange()
+    this.runSheetAction(() => action(start, end))
+    this.renderFormatTools()
+  }
+
+  /**
+   * Show the number format and style of the selected cell in the toolbar
+   */
+  renderFormatTools () {
+    const {
+      numberFormat, formatCode, styleBold, styleItalic, styleColor, styleBackground, styleAlign
+    } = this.elements
+    const { format, style } = this.engine.getCell(this.currentCell ?? 'A1', this.sheetId)
+
+    if (numberFormat) {
+      const index = FORMATS.findIndex(({ code }) => code === format)
+      numberFormat.value = index >= 0 ? String(index) : 'custom'
+    }
+    if (formatCode && document.activeElement !== formatCode) {
+      formatCode.value = format ?? ''
+    }
+
+    styleBold?.setAttribute('aria-pressed', String(style.bold === true))
+    styleItalic?.setAttribute('aria-pressed', String(style.italic === true))
+    if (styleColor) {
+      styleColor.value = style.color ?? '#000000'
+    }
+    if (styleBackground) {
+      styleBackground.value = style.background ?? '#ffffff'
+    }
+    if (styleAlign) {
+      styleAlign.value = style.align ?? ''
+    }
+  }
+
+  /**
+   * Get the text a cell shows: its value or formula result in its number
+   * format, in the browser's locale
+   *
+   * @param cell - Cell from SpreadsheetEngine.getCell
+   */
+  getDisplayText (cell) {
+    return formatCellValue(cell.value, cell.format)
+  }
+
+  /**
+   * Download the current sheet as a CSV or TSV file, or the whole workbook
+   * as an XLSX file
+   *
+   * @param format - 'csv', 'tsv' or 'xlsx'
+   */
+  exportFile (format) {
+    let blob
+    let name
+
+    if (format === 'xlsx') {
+      blob = new Blob([this.engine.exportXlsx()], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+      name = 'workbook'
+    } else {
+      const text = this.engine.exportDelimited({
+        delimiter: DELIMITERS[format],
+        formulas: this.elements.exportFormulas?.checked ?? false,
+        sheetId: this.sheetId
+      })
+      blob = new Blob([text], { type: format === 'tsv' ? 'text/tab-separated-values' : 'text/csv' })
+      name = this.engine.getSheets().find((sheet) => sheet.id === this.sheetId)?.name ?? 'sheet'
+    }
+
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${name}.${format}`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Import a file: CSV or TSV at the selected cell, XLSX as whole sheets
+   * Files ending in .tsv or .tab are read as TSV
+   *
+   * @param file - File chosen by the user
+   */
+  async importFile (file) {
+    if (/\.xlsx$/i.test(file.name)) {
+      const data = new Uint8Array(await file.arrayBuffer())
+      this.runSheetAction(() => {
+        const [sheetId] = this.engine.importXlsx(data)
+        if (sheetId != null) {
+          this.switchSheet(sheetId)
+        }
+      })
+      return
+    }
+
+    const delimiter = /\.(tsv|tab)$/i.test(file.name) ? DELIMITERS.tsv : DELIMITERS.csv
+    const text = await file.text()
+
+    this.runSheetAction(() => {
+      this.engine.importDelimited(text, this.currentCell ?? 'A1', { delimiter, sheetId: this.sheetId })
+    })
+  }
+
+  /**
+   * Get the currently selected cell
+   */
+  getCurrentCell () {
+    return this.currentCell
+  }
+
+  /**
+   * Get the grid size
+   */
+  getGridSize () {
+    return this.gridSize
+  }
+}
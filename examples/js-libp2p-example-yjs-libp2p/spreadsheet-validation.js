@@ -0,0 +1,444 @@
+import { FormulaError, parseDate, toText } from './formula-values.js'
+
+/**
+ * Data validation, like Excel's: rules that limit what cells of a range
+ * accept
+ *
+ * Rules are plain objects with a `type`:
+ * - `number` accepts numbers from `min` to `max` (either may be left out),
+ * only whole numbers with `integer`
+ * - `list` accepts one of `values`, in any case, and gives cells a dropdown
+ * - `pattern` accepts text the regular expression `pattern` matches as a whole
+ * - `date` accepts dates from `min` to `max`, as ISO dates or serial numbers
+ *
+ * The `mode` of a rule is `reject`, refusing other values, or `warn`,
+ * accepting them with a warning. Empty cells are always valid.
+ */
+
+export const VALIDATION_MODES = ['reject', 'warn']
+
+// Patterns are run by every peer on every value, so they are kept short
+const MAX_PATTERN_LENGTH = 200
+
+// Characters tried to find out which characters a part of a pattern matches
+const PROBES = [
+  ...Array.from({ length: 95 }, (_, code) => String.fromCharCode(32 + code)),
+  '\t', '\n', '\u00a0', 'é', 'ß', 'Ж', '中', '😀'
+]
+
+const patterns = new Map() // Pattern -> RegExp
+
+/**
+ * A value refused by a validation rule
+ */
+export class ValidationError extends Error {
+  /**
+   * @param coord - Cell coordinate
+   * @param rule - Rule the value doesn't follow
+   */
+  constructor (coord, rule) {
+    super(`${coord} ${describeValidation(rule)}`)
+    this.name = 'ValidationError'
+    this.coord = coord
+    this.rule = rule
+  }
+}
+
+/**
+ * Union of sets
+ *
+ * @param sets - Sets of probe characters
+ */
+function union (sets) {
+  return new Set(sets.flatMap((set) => [...set]))
+}
+
+/**
+ * Whether two sets have a character in common
+ *
+ * @param a - Set of probe characters
+ * @param b - Set of probe characters
+ */
+function intersects (a, b) {
+  return [...a].some((char) => b.has(char))
+}
+
+/**
+ * Refuse patterns that can take exponential or polynomial time to match,
+ * because a repetition could match the same text in more than one way:
+ * repeated groups whose end can run into their start or with alternatives
+ * starting alike, like `(a+)+` or `(a|ab)*`, repetitions next to each other
+ * that match the same characters, like `\d*\d*` or `.*x.*`, and
+ * backreferences.
+ *
+ * Every part of the pattern is read as `{ first, last, chars, empty,
+ * length, overlapping }`: the characters it may start with, end with and
+ * match, whether it can match nothing, its length when that is fixed and
+ * whether it has alternatives starting alike.
+ *
+ * @param pattern - Regular expression source, known to compile
+ * @throws {Error} If the pattern could take too long to match
+ */
+function checkBacktracking (pattern) {
+  const fail = () => {
+    throw new Error(`Pattern ${pattern} can match text in too many ways, which takes too long to check`)
+  }
+  let i = 0
+
+  const charPart = (source) => {
+    const regExp = new RegExp(`^(?:${source})$`, 'u')
+    const chars = new Set(PROBES.filter((char) => regExp.test(char)))
+    return { first: chars, last: chars, chars, empty: false, length: 1, overlapping: false }
+  }
+  const zeroWidth = () => ({ first: new Set(), last: new Set(), chars: new Set(), empty: true, length: 0, overlapping: false })
+
+  const readEscape = () => {
+    const char = pattern[i + 1]
+    if (/[1-9k]/.test(char)) { fail() }
+    if (char === 'b' || char === 'B') {
+      i += 2
+      return zeroWidth()
+    }
+    let end = i + 2
+    if ((char === 'p' || char === 'P' || char === 'u') && pattern[end] === '{') {
+      end = pattern.indexOf('}', end) + 1
+    } else if (char === 'u') {
+      end += 4
+    } else if (char === 'x') {
+      end += 2
+    } else if (char === 'c') {
+      end += 1
+    }
+    const part = charPart(pattern.slice(i, end))
+    i = end
+    return part
+  }
+
+  const readClass = () => {
+    let end = i + 1
+    if (pattern[end] === '^') { end++ }
+    while (end < pattern.length && pattern[end] !== ']') {
+      end += pattern[end] === '\\' ? 2 : 1
+    }
+    const part = charPart(pattern.slice(i, end + 1))
+    i = end + 1
+    return part
+  }
+
+  const readGroup = () => {
+    const lookaround = /^\(\?<?[=!]/.exec(pattern.slice(i))
+    const prefix = lookaround ?? /^\((\?:|\?<[^>]+>)?/.exec(pattern.slice(i))
+    i += prefix[0].length
+    const part = readAlternatives()
+    i++ // )
+    return lookaround ? zeroWidth() : part
+  }
+
+  const readPart = () => {
+    const char = pattern[i]
+    if (char === '\\') { return readEscape() }
+    if (char === '[') { return readClass() }
+    if (char === '(') { return readGroup() }
+    if (char === '^' || char === '$') {
+      i++
+      return zeroWidth()
+    }
+    const literal = String.fromCodePoint(pattern.codePointAt(i))
+    i += literal.length
+    return charPart(literal)
+  }
+
+  const readQuantifier = () => {
+    let bounds = null
+    if (pattern[i] === '*') {
+      bounds = [0, Infinity, 1]
+    } else if (pattern[i] === '+') {
+      bounds = [1, Infinity, 1]
+    } else if (pattern[i] === '?') {
+      bounds = [0, 1, 1]
+    } else {
+      const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i))
+      if (braces) {
+        const min = Number(braces[1])
+        bounds = [min, braces[2] == null ? min : braces[3] === '' ? Infinity : Number(braces[3]), braces[0].length]
+      }
+    }
+    if (bounds == null) { return null }
+
+    i += bounds[2]
+    if (pattern[i] === '?') { i++ } // Lazy
+    return { min: bounds[0], max: bounds[1] }
+  }
+
+  const repeat = (part, { min, max }) => {
+    // Repeating a part that can match the same text in more than one way,
+    // or whose end can take over the start of the next repetition,
+    // multiplies the ways with every repetition
+    if (max > 1 && (part.overlapping || (part.length == null && intersects(part.last, part.first)))) { fail() }
+    return {
+      ...part,
+      empty: part.empty || min === 0,
+      length: part.length != null && min === max ? part.length * min : null
+    }
+  }
+
+  const readSequence = () => {
+    const parts = []
+    while (i < pattern.length && pattern[i] !== '|' && pattern[i] !== ')') {
+      const part = readPart()
+      const quantifier = readQuantifier()
+      parts.push(quantifier ? repeat(part, quantifier) : part)
+    }
+
+    // A part of varying length must not be followed by another one that
+    // could take over its characters, with only parts it can match
+    // itself or that can be empty in between
+    parts.forEach((part, n) => {
+      if (part.length != null) { return }
+      for (const next of parts.slice(n + 1)) {
+        if (next.length == null && intersects(part.chars, next.first)) { fail() }
+        if (!next.empty && [...next.chars].some((char) => !part.chars.has(char))) { break }
+      }
+    })
+
+    const first = []
+    for (const part of parts) {
+      first.push(part.first)
+      if (!part.empty) { break }
+    }
+    const last = []
+    for (const part of [...parts].reverse()) {
+      last.push(part.last)
+      if (!part.empty) { break }
+    }
+    return {
+      first: union(first),
+      last: union(last),
+      chars: union(parts.map((part) => part.chars)),
+      empty: parts.every((part) => part.empty),
+      length: parts.every((part) => part.length != null) ? parts.reduce((sum, part) => sum + part.length, 0) : null,
+      overlapping: parts.some((part) => part.overlapping)
+    }
+  }
+
+  const readAlternatives = () => {
+    const alternatives = [readSequence()]
+    while (pattern[i] === '|') {
+      i++
+      alternatives.push(readSequence())
+    }
+    const [{ length }] = alternatives
+    return {
+      first: union(alternatives.map((alternative) => alternative.first)),
+      last: union(alternatives.map((alternative) => alternative.last)),
+      chars: union(alternatives.map((alternative) => alternative.chars)),
+      empty: alternatives.some((alternative) => alternative.empty),
+      length: alternatives.every((alternative) => alternative.length === length) ? length : null,
+      overlapping: alternatives.some((alternative, n) => alternative.overlapping || alternatives.slice(n + 1).some((other) =>
+        intersects(alternative.first, other.first) || (alternative.empty && other.empty)
+      ))
+    }
+  }
+
+  readAlternatives()
+}
+
+/**
+ * Check a pattern and compile it, anchored so it has to match the whole
+ * text
+ *
+ * @param pattern - Regular expression source
+ * @returns RegExp
+ * @throws {Error} If the pattern is too long, invalid or could take too
+ * long to match
+ */
+function readPattern (pattern) {
+  if (pattern === '' || pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`A pattern needs 1 to ${MAX_PATTERN_LENGTH} characters`)
+  }
+
+  let regExp
+  try {
+    // Compiled alone first, so a pattern like `a)|(b` can't escape the anchors
+    regExp = new RegExp(pattern, 'u') && new RegExp(`^(?:${pattern})$`, 'u')
+  } catch {
+    throw new Error(`Invalid pattern ${pattern}`)
+  }
+  checkBacktracking(pattern)
+  return regExp
+}
+
+/**
+ * Compile a rule's pattern once. Rules written by peers running other code
+ * may have patterns this peer refuses, they accept every value.
+ *
+ * @param pattern - Regular expression source
+ * @returns RegExp, or null if the pattern is refused
+ */
+function compilePattern (pattern) {
+  if (!patterns.has(pattern)) {
+    let regExp = null
+    try {
+      regExp = readPattern(pattern)
+    } catch {}
+    patterns.set(pattern, regExp)
+  }
+  return patterns.get(pattern)
+}
+
+/**
+ * Read an optional bound of a number or date rule
+ *
+ * @param bound - Bound as given
+ * @param parse - Converts the bound, returning null if it is invalid
+ * @returns The bound, or null if there is none
+ */
+function readBound (bound, parse) {
+  if (bound == null || String(bound).trim() === '') { return null }
+
+  const parsed = parse(String(bound).trim())
+  if (parsed == null) {
+    throw new Error(`Invalid limit ${bound}`)
+  }
+  return parsed
+}
+
+/**
+ * Convert a value to a number if it is one
+ *
+ * @param value - Cell value
+ * @returns Number, or null for other values
+ */
+function asNumber (value) {
+  if (typeof value === 'number') { return value }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value)
+  }
+  return null
+}
+
+/**
+ * Convert a value to a date serial number if it is a date
+ *
+ * @param value - Cell value
+ * @returns Serial number, or null for other values
+ */
+function asDate (value) {
+  return asNumber(value) ?? (typeof value === 'string' ? parseDate(value.trim()) : null)
+}
+
+/**
+ * Check a rule, keeping only the fields of its type
+ *
+ * @param rule - Rule without its range
+ * @returns The rule to store
+ * @throws {Error} If the rule is incomplete or has invalid values
+ */
+export function parseValidation (rule) {
+  const mode = rule?.mode ?? 'reject'
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Unknown validation mode ${mode}`)
+  }
+
+  switch (rule?.type) {
+    case 'number':
+    case 'date': {
+      // Dates are kept as typed, e.g. 2024-01-31
+      const measure = rule.type === 'number' ? asNumber : asDate
+      const parse = rule.type === 'number' ? asNumber : (bound) => asDate(bound) != null ? bound : null
+      const min = readBound(rule.min, parse)
+      const max = readBound(rule.max, parse)
+      if (min != null && max != null && measure(min) > measure(max)) {
+        throw new Error(`Invalid limits ${min} to ${max}`)
+      }
+      return {
+        type: rule.type,
+        ...(min != null ? { min } : {}),
+        ...(max != null ? { max } : {}),
+        ...(rule.type === 'number' && rule.integer === true ? { integer: true } : {}),
+        mode
+      }
+    }
+    case 'list': {
+      const values = (Array.isArray(rule.values) ? rule.values : String(rule.values ?? '').split(','))
+        .map((value) => String(value).trim())
+        .filter((value) => value !== '')
+      if (values.length === 0) {
+        throw new Error('A list needs at least one value')
+      }
+      return { type: 'list', values: [...new Set(values)], mode }
+    }
+    case 'pattern': {
+      const pattern = String(rule.pattern ?? '')
+      readPattern(pattern)
+      return { type: 'pattern', pattern, mode }
+    }
+    default:
+      throw new Error(`Unknown validation ${rule?.type}`)
+  }
+}
+
+/**
+ * Check a value against a rule
+ *
+ * @param rule - Stored rule
+ * @param value - Value typed into the cell, or the cell's value as formulas
+ * see it
+ * @returns True if the rule accepts the value
+ */
+export function checkValue (rule, value) {
+  // Errors of formulas are shown as errors already
+  if (value == null || value === '' || value instanceof FormulaError) { return true }
+
+  switch (rule.type) {
+    case 'number': {
+      const number = asNumber(value)
+      return number != null &&
+        (!rule.integer || Number.isInteger(number)) &&
+        (rule.min == null || number >= rule.min) &&
+        (rule.max == null || number <= rule.max)
+    }
+    case 'date': {
+      const serial = asDate(value)
+      return serial != null &&
+        (rule.min == null || serial >= asDate(rule.min)) &&
+        (rule.max == null || serial <= asDate(rule.max))
+    }
+    case 'list': {
+      const text = toText(value).trim().toLowerCase()
+      return rule.values.some((allowed) => allowed.toLowerCase() === text)
+    }
+    case 'pattern':
+      return compilePattern(rule.pattern)?.test(toText(value)) ?? true
+    default:
+      // Rules of newer versions accept everything
+      return true
+  }
+}
+
+/**
+ * Describe what a rule accepts, for messages and the list of rules
+ *
+ * @param rule - Stored rule
+ */
+export function describeValidation (rule) {
+  const limits = (kind) => {
+    if (rule.min != null && rule.max != null) { return `${kind} from ${rule.min} to ${rule.max}` }
+    if (rule.min != null) { return `${kind} from ${rule.min}` }
+    if (rule.max != null) { return `${kind} up to ${rule.max}` }
+    return kind
+  }
+
+  switch (rule.type) {
+    case 'number':
+      return `must be a ${limits(rule.integer ? 'whole number' : 'number')}`
+    case 'date':
+      return `must be a ${limits('date')}`
+    case 'list':
+      return `must be one of ${rule.values.join(', ')}`
+    case 'pattern':
+      return `must match /${rule.pattern}/`
+    default:
+      return `must follow a ${rule.type} rule`
+  }
+}
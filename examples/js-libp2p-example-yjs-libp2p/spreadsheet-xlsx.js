@@ -0,0 +1,565 @@
+/**
+ * XLSX (Office Open XML workbook) conversion
+ *
+ * An XLSX file is a zip archive of XML parts: the workbook lists the sheets,
+ * every sheet has its own part with the cells, and styles.xml holds the
+ * number formats cells refer to by index. Only what the spreadsheet stores
+ * is written and read back: sheets, values, formulas, number formats and
+ * defined names. Fonts, fills, merged cells, charts and the like are ignored
+ * on import.
+ *
+ * Workbooks are exchanged as plain objects:
+ *
+ * ```
+ * {
+ *   sheets: [{ name, cells: [{ ref, value, formula, error, format }] }],
+ *   names: [{ name, definition }]
+ * }
+ * ```
+ *
+ * where `formula` is the formula text with its leading `=` (or null), `value`
+ * is a number, text, boolean or null, `error` marks error codes such as
+ * `#DIV/0!` and `format` is a number format code such as `0.00%` (or null).
+ * A name's `definition` is a formula too, like `=Sheet1!$B$2:$B$50`.
+ *
+ * Formulas using functions this spreadsheet can't evaluate are imported as
+ * text, e.g. `=XLOOKUP(A1,B:B,C:C)`, and text starting with `=` is exported
+ * as a formula again, so they survive a round trip.
+ */
+
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate'
+import {
+  a1ToCoord,
+  coordToA1,
+  formatReference,
+  isSupportedFormula,
+  isValidName,
+  offsetFormula,
+  rewriteReferences
+} from './formula-parser.js'
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const PACKAGE_RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships'
+
+// Custom number formats are numbered from 164, lower ids are built in
+const FIRST_CUSTOM_FORMAT = 164
+
+// Built-in number formats, which files refer to by id only
+const BUILTIN_FORMATS = {
+  1: '0',
+  2: '0.00',
+  3: '#,##0',
+  4: '#,##0.00',
+  9: '0%',
+  10: '0.00%',
+  11: '0.00E+00',
+  12: '# ?/?',
+  13: '# ??/??',
+  14: 'mm-dd-yy',
+  15: 'd-mmm-yy',
+  16: 'd-mmm',
+  17: 'mmm-yy',
+  18: 'h:mm AM/PM',
+  19: 'h:mm:ss AM/PM',
+  20: 'h:mm',
+  21: 'h:mm:ss',
+  22: 'm/d/yy h:mm',
+  37: '#,##0 ;(#,##0)',
+  38: '#,##0 ;[Red](#,##0)',
+  39: '#,##0.00;(#,##0.00)',
+  40: '#,##0.00;[Red](#,##0.00)',
+  45: 'mm:ss',
+  46: '[h]:mm:ss',
+  47: 'mmss.0',
+  48: '##0.0E+0',
+  49: '@'
+}
+
+// Functions added after Excel 2007 are stored with a prefix
+const PREFIXED_FUNCTIONS = /(?<![\w.])(CONCAT)\(/gi
+
+/**
+ * Escape text for XML content and attribute values
+ *
+ * @param text - Text to escape
+ */
+function escapeXml (text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and line breaks are not allowed in XML
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+}
+
+/**
+ * Apply a replacement to a formula outside of string literals and quoted
+ * sheet names
+ *
+ * @param formula - Formula text
+ * @param replace - Called with each unquoted part, returns its new text
+ */
+function replaceUnquoted (formula, replace) {
+  return formula
+    .split(/("(?:[^"]|"")*"|'(?:[^']|'')*')/)
+    .map((part, index) => index % 2 === 0 ? replace(part) : part)
+    .join('')
+}
+
+/**
+ * Convert a formula to the text a file stores: without the leading `=`, and
+ * with the prefix of functions added after Excel 2007
+ *
+ * @param formula - Formula text starting with `=`
+ */
+function fileFormula (formula) {
+  return replaceUnquoted(formula.slice(1), (part) => part.replace(PREFIXED_FUNCTIONS, '_xlfn.$1('))
+}
+
+/**
+ * Convert formula text from a file to a formula, without function prefixes
+ *
+ * @param text - Formula text without the leading `=`
+ */
+function readFormulaText (text) {
+  return replaceUnquoted(`=${text}`, (part) => part.replace(/_xl(fn|ws)\./gi, ''))
+}
+
+/**
+ * Convert a stored cell value to the value written to a file
+ * Numeric text is written as a number
+ *
+ * @param value - Cell value
+ */
+function normalizeValue (value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value)
+  }
+  return value === '' ? null : value
+}
+
+/**
+ * Write the XML of a cell
+ *
+ * @param cell - `{ ref, value, formula, error }`
+ * @param style - Index of the cell's style, 0 for the default
+ */
+function cellXml (cell, style) {
+  const attributes = `r="${cell.ref}"${style > 0 ? ` s="${style}"` : ''}`
+  const value = normalizeValue(cell.value)
+
+  let formula = cell.formula
+  // Text starting with = is a formula imported as text
+  if (formula == null && typeof value === 'string' && value.startsWith('=')) {
+    return `<c ${attributes}><f>${escapeXml(value.slice(1))}</f></c>`
+  }
+  formula = formula != null ? `<f>${escapeXml(fileFormula(formula))}</f>` : ''
+
+  if (value == null) {
+    return `<c ${attributes}>${formula}</c>`
+  }
+  if (cell.error) {
+    return `<c ${attributes} t="e">${formula}<v>${escapeXml(value)}</v></c>`
+  }
+  if (typeof value === 'boolean') {
+    return `<c ${attributes} t="b">${formula}<v>${value ? 1 : 0}</v></c>`
+  }
+  if (typeof value === 'number') {
+    return `<c ${attributes}>${formula}<v>${value}</v></c>`
+  }
+  if (formula !== '') {
+    return `<c ${attributes} t="str">${formula}<v>${escapeXml(value)}</v></c>`
+  }
+  return `<c ${attributes} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+}
+
+/**
+ * Write the XML of a worksheet
+ *
+ * @param cells - Cells of the sheet
+ * @param styles - Map from number format code to style index
+ */
+function sheetXml (cells, styles) {
+  const rows = new Map()
+  for (const cell of cells) {
+    const position = a1ToCoord(cell.ref)
+    if (!position) { continue }
+    if (!rows.has(position.row)) {
+      rows.set(position.row, [])
+    }
+    rows.get(position.row).push({ ...cell, col: position.col })
+  }
+
+  const rowsXml = [...rows.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([row, rowCells]) => {
+      const cellsXml = rowCells
+        .sort((a, b) => a.col - b.col)
+        .map((cell) => cellXml(cell, styles.get(cell.format) ?? 0))
+        .join('')
+      return `<row r="${row + 1}">${cellsXml}</row>`
+    })
+    .join('')
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="${MAIN_NS}"><sheetData>${rowsXml}</sheetData></worksheet>`
+}
+
+/**
+ * Write the styles part, with one cell style per number format
+ *
+ * @param formats - Number format codes, style i + 1 uses formats[i]
+ */
+function stylesXml (formats) {
+  const numFmts = formats
+    .map((code, index) => `<numFmt numFmtId="${FIRST_CUSTOM_FORMAT + index}" formatCode="${escapeXml(code)}"/>`)
+    .join('')
+  const xfs = formats
+    .map((code, index) => `<xf numFmtId="${FIRST_CUSTOM_FORMAT + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`)
+    .join('')
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<styleSheet xmlns="${MAIN_NS}">` +
+    (formats.length > 0 ? `<numFmts count="${formats.length}">${numFmts}</numFmts>` : '') +
+    '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    `<cellXfs count="${formats.length + 1}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>${xfs}</cellXfs>` +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>'
+}
+
+/**
+ * Write the defined names of a workbook. A name refers to the same cells
+ * from every formula, so its references are written absolute, the way
+ * Excel reads them.
+ *
+ * @param names - `[{ name, definition }]`
+ */
+function definedNamesXml (names) {
+  if (names.length === 0) { return '' }
+
+  const absolute = (reference) => reference && { ...reference, absoluteColumn: true, absoluteRow: true }
+  const entries = names.map(({ name, definition }) => {
+    const formula = rewriteReferences(definition, (reference) => formatReference({
+      ...absolute(reference),
+      sheet: reference.qualified ? reference.sheet : null,
+      end: absolute(reference.end)
+    }))
+    return `<definedName name="${escapeXml(name)}">${escapeXml(fileFormula(formula))}</definedName>`
+  })
+  return `<definedNames>${entries.join('')}</definedNames>`
+}
+
+/**
+ * Write a workbook as an XLSX file
+ *
+ * @param workbook - `{ sheets: [{ name, cells }], names }`, names being
+ * optional
+ * @returns Contents of the XLSX file
+ */
+export function writeXlsx (workbook) {
+  const { sheets, names = [] } = workbook
+  const formats = [...new Set(sheets.flatMap((sheet) => sheet.cells.map((cell) => cell.format)))]
+    .filter((format) => format != null && format !== '' && format !== 'General')
+  const styles = new Map(formats.map((format, index) => [format, index + 1]))
+
+  const sheetEntries = sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`)
+  const sheetRelationships = sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIPS_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`)
+  const sheetOverrides = sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      `${sheetOverrides.join('')}</Types>`,
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">` +
+      `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      `<workbook xmlns="${MAIN_NS}" xmlns:r="${RELATIONSHIPS_NS}">` +
+      `<sheets>${sheetEntries.join('')}</sheets>` +
+      definedNamesXml(names) +
+      // Let Excel recalculate, cached results of text formulas are missing
+      '<calcPr fullCalcOnLoad="1"/>' +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}">${sheetRelationships.join('')}` +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIPS_NS}/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml': stylesXml(formats)
+  }
+
+  sheets.forEach((sheet, index) => {
+    files[`xl/worksheets/sheet${index + 1}.xml`] = sheetXml(sheet.cells, styles)
+  })
+
+  return zipSync(Object.fromEntries(Object.entries(files).map(([path, xml]) => [path, strToU8(xml)])))
+}
+
+/**
+ * Parse an XML part of the archive
+ *
+ * @param files - Unzipped archive
+ * @param path - Path of the part
+ * @returns XML document, or null if the part doesn't exist
+ * @throws {Error} If the part is not well-formed XML
+ */
+function readXml (files, path) {
+  if (files[path] == null) { return null }
+
+  const doc = new DOMParser().parseFromString(strFromU8(files[path]), 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Invalid XML in ${path}`)
+  }
+  return doc
+}
+
+/**
+ * Child elements with a local name, whatever their namespace prefix
+ *
+ * @param parent - Document or element
+ * @param name - Local name
+ */
+function elements (parent, name) {
+  return [...parent.getElementsByTagNameNS('*', name)]
+}
+
+/**
+ * Resolve the target of a relationship to a path in the archive
+ *
+ * @param base - Path of the part the relationship belongs to
+ * @param target - Relative or absolute target
+ */
+function resolvePath (base, target) {
+  const parts = target.startsWith('/') ? [] : base.split('/').slice(0, -1)
+  for (const part of target.split('/')) {
+    if (part === '..') {
+      parts.pop()
+    } else if (part !== '' && part !== '.') {
+      parts.push(part)
+    }
+  }
+  return parts.join('/')
+}
+
+/**
+ * Read the relationships of a part
+ *
+ * @param files - Unzipped archive
+ * @param path - Path of the part
+ * @returns Array of `{ id, type, path }`
+ */
+function readRelationships (files, path) {
+  const slash = path.lastIndexOf('/')
+  const doc = readXml(files, `${path.slice(0, slash + 1)}_rels/${path.slice(slash + 1)}.rels`)
+
+  if (doc == null) { return [] }
+
+  return elements(doc, 'Relationship').map((relationship) => ({
+    id: relationship.getAttribute('Id'),
+    type: relationship.getAttribute('Type') ?? '',
+    path: resolvePath(path, relationship.getAttribute('Target') ?? '')
+  }))
+}
+
+/**
+ * Text of a string item, without phonetic hints
+ *
+ * @param item - `si` or `is` element
+ */
+function stringItemText (item) {
+  return elements(item, 't')
+    .filter((t) => t.parentNode.localName !== 'rPh')
+    .map((t) => t.textContent)
+    .join('')
+}
+
+/**
+ * Read the number format code of every cell style
+ *
+ * @param doc - Styles part, or null
+ * @returns Array of format codes, null for General
+ */
+function readCellFormats (doc) {
+  if (doc == null) { return [] }
+
+  const custom = new Map(elements(doc, 'numFmt').map((numFmt) => [
+    Number(numFmt.getAttribute('numFmtId')),
+    numFmt.getAttribute('formatCode')
+  ]))
+  const cellXfs = elements(doc, 'cellXfs')[0]
+
+  return (cellXfs != null ? elements(cellXfs, 'xf') : []).map((xf) => {
+    const id = Number(xf.getAttribute('numFmtId') ?? 0)
+    const code = custom.get(id) ?? BUILTIN_FORMATS[id] ?? null
+    return code === 'General' ? null : code
+  })
+}
+
+/**
+ * Read the value of a cell element
+ *
+ * @param c - Cell element
+ * @param sharedStrings - Shared string table
+ * @returns `{ value, error }`
+ */
+function readCellValue (c, sharedStrings) {
+  const v = elements(c, 'v')[0]?.textContent ?? null
+
+  switch (c.getAttribute('t')) {
+    case 's':
+      return { value: sharedStrings[Number(v)] ?? '', error: false }
+    case 'inlineStr': {
+      const is = elements(c, 'is')[0]
+      return { value: is != null ? stringItemText(is) : '', error: false }
+    }
+    case 'str':
+    case 'd':
+      return { value: v ?? '', error: false }
+    case 'b':
+      return { value: v === '1', error: false }
+    case 'e':
+      return { value: v, error: true }
+    default:
+      return { value: v != null && v !== '' ? Number(v) : null, error: false }
+  }
+}
+
+/**
+ * Read the cells of a worksheet
+ *
+ * @param doc - Worksheet part
+ * @param sharedStrings - Shared string table
+ * @param formats - Number format code of every cell style
+ * @returns Array of cells
+ */
+function readSheetCells (doc, sharedStrings, formats) {
+  const cells = []
+  // Master formulas of shared formulas by their index
+  const shared = new Map()
+  let row = -1
+
+  for (const rowElement of elements(doc, 'row')) {
+    // Row and cell references are optional, they default to the next one
+    row = rowElement.hasAttribute('r') ? Number(rowElement.getAttribute('r')) - 1 : row + 1
+    let col = -1
+
+    for (const c of elements(rowElement, 'c')) {
+      const position = a1ToCoord(c.getAttribute('r')) ?? { row, col: col + 1 }
+      col = position.col
+
+      const ref = coordToA1(position.row, position.col)
+      const { value, error } = readCellValue(c, sharedStrings)
+      const format = formats[Number(c.getAttribute('s') ?? 0)] ?? null
+
+      const f = elements(c, 'f')[0]
+      let formula = f?.textContent || null
+      if (f?.getAttribute('t') === 'shared') {
+        const index = f.getAttribute('si')
+        if (formula != null) {
+          shared.set(index, { formula, position })
+        } else if (shared.has(index)) {
+          const master = shared.get(index)
+          formula = offsetFormula(`=${master.formula}`, position.row - master.position.row, position.col - master.position.col).slice(1)
+        }
+      }
+
+      if (formula == null && value == null) {
+        continue
+      }
+      cells.push({ ref, value, error, format, formula: formula != null ? `=${formula}` : null })
+    }
+  }
+
+  return cells
+}
+
+/**
+ * Read the names defined for the whole workbook. Names only known to one of
+ * its sheets, hidden names and Excel's own like `_xlnm.Print_Area` are left
+ * out, as are names this spreadsheet can't define or evaluate.
+ *
+ * @param workbook - Workbook part
+ * @returns Array of `{ name, definition }`
+ */
+function readDefinedNames (workbook) {
+  const names = elements(workbook, 'definedName')
+    .filter((definedName) => !definedName.hasAttribute('localSheetId') && !['1', 'true'].includes(definedName.getAttribute('hidden')))
+    .map((definedName) => ({ name: definedName.getAttribute('name') ?? '', definition: readFormulaText(definedName.textContent) }))
+    .filter(({ name }) => isValidName(name) && !name.toUpperCase().startsWith('_XLNM.'))
+
+  const keys = new Set(names.map(({ name }) => name.toUpperCase()))
+  return names.filter(({ definition }) => isSupportedFormula(definition, keys))
+}
+
+/**
+ * Convert a formula from a file to one this spreadsheet evaluates
+ * Formulas with unknown functions or names are kept as text
+ *
+ * @param cell - Cell read from a file
+ * @param names - Upper case names defined in the workbook
+ * @returns The cell with a supported formula, or the formula as its text value
+ */
+function importFormula (cell, names) {
+  if (cell.formula == null) { return cell }
+
+  const formula = readFormulaText(cell.formula.slice(1))
+  if (isSupportedFormula(formula, names)) {
+    return { ...cell, formula }
+  }
+  return { ...cell, value: cell.formula, error: false, formula: null }
+}
+
+/**
+ * Read a workbook from an XLSX file
+ *
+ * @param data - Contents of the XLSX file
+ * @returns `{ sheets: [{ name, cells }], names: [{ name, definition }] }`
+ * @throws {Error} If the file is not an XLSX workbook
+ */
+export function readXlsx (data) {
+  let files
+  try {
+    files = unzipSync(data)
+  } catch {
+    throw new Error('Not an XLSX file')
+  }
+
+  const workbookPath = readRelationships(files, '')
+    .find((relationship) => relationship.type.endsWith('/officeDocument'))?.path ?? 'xl/workbook.xml'
+  const workbook = readXml(files, workbookPath)
+  if (workbook == null) {
+    throw new Error('Not an XLSX file')
+  }
+
+  const relationships = readRelationships(files, workbookPath)
+  const partOfType = (type) => relationships.find((relationship) => relationship.type.endsWith(`/${type}`))?.path
+
+  const sharedStringsDoc = readXml(files, partOfType('sharedStrings'))
+  const sharedStrings = sharedStringsDoc != null ? elements(sharedStringsDoc, 'si').map(stringItemText) : []
+  const formats = readCellFormats(readXml(files, partOfType('styles')))
+  const names = readDefinedNames(workbook)
+  const nameKeys = new Set(names.map(({ name }) => name.toUpperCase()))
+
+  const sheets = elements(workbook, 'sheet').map((sheet) => {
+    const id = sheet.getAttributeNS(RELATIONSHIPS_NS, 'id') ??
+      [...sheet.attributes].find((attribute) => attribute.localName === 'id')?.value
+    const path = relationships.find((relationship) => relationship.id === id)?.path
+    const doc = readXml(files, path)
+
+    return {
+      name: sheet.getAttribute('name'),
+      cells: doc != null ? readSheetCells(doc, sharedStrings, formats).map((cell) => importFormula(cell, nameKeys)) : []
+    }
+  })
+
+  return { sheets, names }
+}
@@ -97,3 +97,26 @@ export async function waitForWebRTCConnection (page, timeout = 60000) {
 
   console.log('WebRTC connection established!')
 }
+
+/**
+ * Helper to fire a clipboard event at a cell, as Ctrl+C, Ctrl+X or Ctrl+V
+ * would, without needing clipboard permissions
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page instance
+ * @param {string} coord - Cell the event is fired at, e.g. 'A1'
+ * @param {'copy' | 'cut' | 'paste'} type - Clipboard event type
+ * @param {string} [text] - Text on the clipboard when pasting
+ * @returns {Promise<string>} Text on the clipboard after the event
+ */
+export async function fireClipboardEvent (page, coord, type, text = '') {
+  return page.evaluate(({ coord, type, text }) => {
+    const clipboardData = new DataTransfer()
+    clipboardData.setData('text/plain', text)
+    document.getElementById(`cell-${coord}`).dispatchEvent(new ClipboardEvent(type, {
+      clipboardData,
+      bubbles: true,
+      cancelable: true
+    }))
+    return clipboardData.getData('text/plain')
+  }, { coord, type, text })
+}
@@ -1,10 +1,85 @@
-import { fromString, toString } from 'uint8arrays'
+import { lpStream } from '@libp2p/utils'
+import * as decoding from 'lib0/decoding'
+import * as encoding from 'lib0/encoding'
+import { concat, equals, fromString, toString } from 'uint8arrays'
+import * as awarenessProtocol from 'y-protocols/awareness'
+import * as syncProtocol from 'y-protocols/sync'
 import * as Y from 'yjs'
-import { DEBUG, INTERVALS } from './constants.js'
+import {
+  ACCESS,
+  CHUNKING,
+  DEBUG,
+  INTERVALS,
+  MESSAGE_AWARENESS,
+  MESSAGE_CHUNK,
+  MESSAGE_SYNC,
+  RELAY_HOP_PROTOCOL,
+  SYNC_PROTOCOL,
+  TIMEOUTS,
+  WIRE_VERSIONS
+} from './constants.js'
+import { createAclMessage, isAclMessage, RoomAccess } from './room-acl.js'
+import { decryptPayload, encryptPayload, messageHeader } from './room-crypto.js'
+
+// First byte of a legacy JSON message (`{`)
+const LEGACY_JSON_PREFIX = 0x7b
+
+/**
+ * Checks whether a message is a chunk of a larger message.
+ *
+ * @param {Uint8Array} data - Received bytes
+ * @returns {boolean} True for chunk messages
+ */
+function isChunkMessage (data) {
+  // MESSAGE_CHUNK fits in a single varint byte
+  return data.byteLength > 2 && data[0] === WIRE_VERSIONS.BINARY && data[1] === MESSAGE_CHUNK
+}
+
+// Origin of changes applied from a sync stream. Other room peers may not have
+// them yet, so unlike changes received over pubsub they are published again.
+const SYNC_STREAM_ORIGIN = Symbol('sync stream')
 
 /**
  * Yjs connection provider using libp2p for peer-to-peer connectivity.
  * This replaces y-webrtc and uses libp2p's pubsub for synchronization.
+ *
+ * Binary messages are laid out as `[version byte][varint message type][payload]`
+ * where the message type and payload follow y-protocols, so a sync message is
+ * `[MESSAGE_SYNC][varint sync step][varint length][Yjs update or state vector]`.
+ * Peers from before the binary format publish JSON with base64 payloads; those
+ * messages are still understood, and while such a peer is around every update
+ * is published in both formats.
+ *
+ * Joining peers fetch the document over a dedicated stream protocol
+ * (SYNC_PROTOCOL.ID) from a few directly connected peers: the dialer sends the
+ * topic and its state vector, the listener answers with the missing state and
+ * its own state vector, and the dialer finishes with what the listener is
+ * missing. Pubsub is then only used for live updates, with a pubsub sync
+ * request as a fallback when no peer speaks the stream protocol. Changes
+ * learned over a stream are published on the topic, so they also reach the
+ * room peers that did not take part in the exchange.
+ *
+ * Awareness (presence) updates are published on the topic as
+ * MESSAGE_AWARENESS messages. Remote states expire after the y-protocols
+ * timeout unless renewed, and are removed as soon as their peer disconnects.
+ *
+ * Messages larger than CHUNKING.MAX_MESSAGE_SIZE, binary or legacy JSON, are
+ * published as MESSAGE_CHUNK messages `[message id][index][count][bytes]` and
+ * reassembled by the receiver, which drops transfers that time out or exceed
+ * the memory cap.
+ *
+ * With a room key every message, including sync stream frames, is sent as
+ * `[WIRE_VERSIONS.ENCRYPTED][varint length][header][iv][AES-GCM ciphertext]`,
+ * where the header is the readable start of the message (version, message
+ * type and sync step) so relays can enforce read-only access. Messages that
+ * are not encrypted with the room key, or whose header doesn't match their
+ * contents, are dropped and their sender is listed in
+ * `undecryptablePeers` instead of being applied to the document.
+ *
+ * In a restricted room (see room-acl.js) a gossipsub topic validator rejects
+ * changes from peers that are not writers, the owner's signed ACL is
+ * re-announced in plaintext to joining peers, and changes received over sync
+ * streams are only applied when they come from a writer.
  */
 export class Libp2pProvider {
   /**
@@ -14,7 +89,13 @@ export class Libp2pProvider {
    * @param {Y.Doc} doc - The Yjs document to sync
    * @param {import('libp2p').Libp2p} libp2p - The libp2p instance
    * @param {object} [options] - Provider options
-   * @param {object} [options.awareness] - Yjs awareness instance for cursor/selection sharing
+   * @param {awarenessProtocol.Awareness} [options.awareness] - Yjs awareness instance for cursor/selection sharing
+   * @param {number} [options.wireVersion] - Wire format to publish with (see WIRE_VERSIONS)
+   * @param {Function} [options.onIncompleteTransfer] - Called with `{ from, messageId, received, total, reason }` when a chunked message is dropped
+   * @param {CryptoKey} [options.roomKey] - AES-GCM room key (see room-crypto.js), enables end-to-end encryption
+   * @param {(error: { from: string, reason: string }) => void} [options.onDecryptError] - Called with `{ from, reason }` when a peer's message can't be decrypted
+   * @param {import('@libp2p/interface').PrivateKey} [options.privateKey] - Key of the local peer, used by a room owner to sign the ACL
+   * @param {(access: RoomAccess) => void} [options.onAccessChange] - Called when a newer ACL was received
    * @throws {Error} If topic is empty or libp2p node is not initialized
    */
   constructor (topic, doc, libp2p, options = {}) {
@@ -31,30 +112,125 @@ export class Libp2pProvider {
     this.doc = doc
     this.libp2p = libp2p
     this.awareness = options.awareness
+    this.wireVersion = options.wireVersion ?? WIRE_VERSIONS.BINARY
+    this.onIncompleteTransfer = options.onIncompleteTransfer
+    this.roomKey = options.roomKey ?? null
+    this.onDecryptError = options.onDecryptError
+    this.privateKey = options.privateKey
+    this.onAccessChange = options.onAccessChange
     this.synced = false
     this.connected = false
 
     // Track connected peers
     this.connectedPeers = new Set()
 
+    // Peers that only speak the legacy JSON format
+    this.legacyPeers = new Set()
+
+    // Peers we exchanged state with over the sync protocol
+    this.syncedPeers = new Set()
+    this._syncQueue = Promise.resolve()
+
+    // Awareness client IDs announced by each peer
+    this.peerAwarenessClients = new Map()
+
+    // Peers whose messages could not be decrypted with the room key
+    this.undecryptablePeers = new Set()
+
+    // Write permissions of restricted rooms
+    this.access = new RoomAccess(topic, {
+      localPeer: libp2p.peerId.toString(),
+      onChange: (access) => {
+        this.onAccessChange?.(access)
+        // Exchanges refused under the previous ACL can succeed now, and
+        // writers have the updates that were ignored before the ACL arrived
+        this._syncWithConnectedPeers({ writers: true }).catch(() => {})
+      }
+    })
+    this._aclAnnounceTimer = null
+
+    // Chunked messages being reassembled, keyed by sender and message ID
+    this.pendingTransfers = new Map()
+    this.pendingBytes = 0
+
     // Bind event handlers
     this._onUpdate = this._handleDocUpdate.bind(this)
     this._onPubsubMessage = this._handlePubsubMessage.bind(this)
     this._onPeerDiscovered = this._handlePeerDiscovered.bind(this)
+    this._onPeerIdentify = this._handlePeerIdentify.bind(this)
+    this._onPeerUpdate = this._handlePeerUpdate.bind(this)
+    this._onSyncStream = this._handleSyncStream.bind(this)
+    this._onAwarenessUpdate = this._handleAwarenessUpdate.bind(this)
+    this._onSubscriptionChange = this._handleSubscriptionChange.bind(this)
 
     // Subscribe to document updates
     this.doc.on('update', this._onUpdate)
 
+    // Share local awareness changes (legacy peers predate awareness)
+    if (this.awareness && this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON) {
+      this.awareness.on('update', this._onAwarenessUpdate)
+    }
+
+    // Reject changes from non-writers before they are delivered or forwarded
+    if (this.access.restricted) {
+      this.libp2p.services.pubsub.topicValidators.set(topic, this.access.validator())
+    }
+
+    // Spot legacy peers and announce the ACL as peers join the topic
+    this.libp2p.services.pubsub.addEventListener('subscription-change', this._onSubscriptionChange)
+
     // Subscribe to pubsub topic
     this._subscribeToPubsub()
 
     // Set up peer discovery
     this._setupPeerDiscovery()
 
+    // Answer sync requests from peers over streams (legacy peers predate the protocol)
+    if (this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON) {
+      this._registerSyncProtocol()
+    }
+
     // Request initial state from peers
     this._requestInitialState()
   }
 
+  /**
+   * Role of the local peer in this room.
+   *
+   * @returns {'owner' | 'writer' | 'reader' | 'none'} Local role
+   */
+  get role () {
+    return this.access.roleOf(this.libp2p.peerId.toString())
+  }
+
+  /**
+   * Whether the local peer may change the document.
+   *
+   * @returns {boolean} True in open rooms and for writers of restricted rooms
+   */
+  canWrite () {
+    return this.access.canWrite(this.libp2p.peerId.toString())
+  }
+
+  /**
+   * Sign and publish a new ACL for this room. Only the room owner can do this.
+   *
+   * @param {object} acl - Access to grant
+   * @param {string[]} acl.writers - PeerIds allowed to edit
+   * @param {string[]} [acl.readers] - PeerIds allowed to view, everyone when empty
+   * @returns {Promise<void>}
+   * @throws {Error} If the room is open or the local peer is not its owner
+   */
+  async setAccess ({ writers, readers = [] }) {
+    if (this.role !== 'owner' || this.privateKey == null) {
+      throw new Error('Only the room owner can change access')
+    }
+
+    const message = await createAclMessage(this.privateKey, this.topic, { writers, readers })
+    await this.access.applyAclMessage(message)
+    await this._announceAcl()
+  }
+
   /**
    * Subscribe to the pubsub topic for this document.
    *
@@ -99,6 +275,8 @@ export class Libp2pProvider {
    */
   _setupPeerDiscovery () {
     this.libp2p.addEventListener('peer:discovery', this._onPeerDiscovered)
+    this.libp2p.addEventListener('peer:identify', this._onPeerIdentify)
+    this.libp2p.addEventListener('peer:update', this._onPeerUpdate)
 
     this.libp2p.addEventListener('peer:connect', (evt) => {
       const peerId = evt.detail.toString()
@@ -112,6 +290,10 @@ export class Libp2pProvider {
     this.libp2p.addEventListener('peer:disconnect', (evt) => {
       const peerId = evt.detail.toString()
       this.connectedPeers.delete(peerId)
+      this.legacyPeers.delete(peerId)
+      this.syncedPeers.delete(peerId)
+      this._removePeerAwareness(peerId)
+      this.undecryptablePeers.delete(peerId)
       if (DEBUG) {
         // eslint-disable-next-line no-console
         console.log(`Disconnected from peer: ${peerId}`)
@@ -147,15 +329,286 @@ export class Libp2pProvider {
     }
   }
 
+  /**
+   * Handle identify results - exchange state with peers that speak the
+   * sync protocol until enough peers have been synced with, and remember
+   * room peers that don't as legacy peers.
+   *
+   * @private
+   * @param {CustomEvent} evt - Peer identify event
+   */
+  _handlePeerIdentify (evt) {
+    const { peerId, protocols } = evt.detail
+
+    if (this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON && protocols.includes(SYNC_PROTOCOL.ID)) {
+      this._queuePeerSync(peerId)
+    }
+
+    this._detectLegacyPeer(peerId, protocols)
+  }
+
+  /**
+   * Handle peer store updates - the protocols of a peer may be learned
+   * after it joined the room.
+   *
+   * @private
+   * @param {CustomEvent} evt - Peer update event
+   */
+  _handlePeerUpdate (evt) {
+    const { peer } = evt.detail
+    this._detectLegacyPeer(peer.id, peer.protocols)
+  }
+
+  /**
+   * Remember a peer of the room as a legacy peer if it was identified and
+   * doesn't speak the sync protocol, which predates every binary peer.
+   * Relays subscribe to the topic without taking part and are left out.
+   * Legacy peers that aren't directly connected are still found by the
+   * untagged JSON messages they publish. A peer taken for a legacy peer
+   * before all its protocols were known is forgotten once they show the
+   * sync protocol.
+   *
+   * @private
+   * @param {import('@libp2p/interface').PeerId} peerId - Identified peer
+   * @param {string[]} protocols - Protocols the peer supports
+   */
+  _detectLegacyPeer (peerId, protocols) {
+    const from = peerId.toString()
+
+    if (this.wireVersion === WIRE_VERSIONS.LEGACY_JSON) {
+      return
+    }
+
+    if (protocols.includes(SYNC_PROTOCOL.ID)) {
+      if (this.legacyPeers.delete(from) && DEBUG) {
+        // eslint-disable-next-line no-console
+        console.log(`Peer ${from} uses the binary wire format`)
+      }
+      return
+    }
+
+    if (this.legacyPeers.has(from) || protocols.length === 0 || protocols.includes(RELAY_HOP_PROTOCOL)) {
+      return
+    }
+
+    if (!this.libp2p.services.pubsub.getSubscribers(this.topic).some((subscriber) => subscriber.equals(peerId))) {
+      return
+    }
+
+    this.legacyPeers.add(from)
+    if (DEBUG) {
+      // eslint-disable-next-line no-console
+      console.log(`Peer ${from} uses the legacy wire format`)
+    }
+  }
+
+  /**
+   * Register the stream handler for the sync protocol.
+   *
+   * @private
+   */
+  _registerSyncProtocol () {
+    this.libp2p.handle(SYNC_PROTOCOL.ID, this._onSyncStream, {
+      runOnLimitedConnection: true
+    }).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error('Failed to register sync protocol:', err)
+    })
+  }
+
+  /**
+   * Queue a state exchange with a peer.
+   * Exchanges run one at a time so every exchange starts from the state the
+   * previous one produced, and later peers only send what is still missing.
+   *
+   * @private
+   * @param {import('@libp2p/interface').PeerId} peerId - Peer to sync with
+   * @param {boolean} [again] - Exchange state even if the peer was synced with or enough peers were
+   */
+  _queuePeerSync (peerId, again = false) {
+    this._syncQueue = this._syncQueue.then(async () => {
+      if (!again && (this.syncedPeers.size >= SYNC_PROTOCOL.MAX_PEERS || this.syncedPeers.has(peerId.toString()))) {
+        return
+      }
+
+      await this._syncWithPeer(peerId)
+    })
+  }
+
+  /**
+   * Queue state exchanges with already connected peers that speak the sync protocol.
+   *
+   * @private
+   * @param {object} [options]
+   * @param {boolean} [options.writers] - Exchange state again with every writer, including those already synced with
+   * @returns {Promise<void>}
+   */
+  async _syncWithConnectedPeers ({ writers = false } = {}) {
+    if (this.wireVersion === WIRE_VERSIONS.LEGACY_JSON) {
+      return
+    }
+
+    for (const peerId of this.libp2p.getPeers()) {
+      try {
+        const peer = await this.libp2p.peerStore.get(peerId)
+        if (peer.protocols.includes(SYNC_PROTOCOL.ID)) {
+          this._queuePeerSync(peerId, writers && this.access.canWrite(peerId.toString()))
+        }
+      } catch {
+        // Peer not in the peer store yet, identify will pick it up
+      }
+    }
+
+    await this._syncQueue
+  }
+
+  /**
+   * Exchange state with a peer over the sync protocol (dialer side).
+   *
+   * @private
+   * @param {import('@libp2p/interface').PeerId} peerId - Peer to sync with
+   * @returns {Promise<void>}
+   */
+  async _syncWithPeer (peerId) {
+    const from = peerId.toString()
+    const signal = AbortSignal.timeout(TIMEOUTS.SYNC_STREAM)
+    let stream
+
+    try {
+      stream = await this.libp2p.dialProtocol(peerId, SYNC_PROTOCOL.ID, {
+        signal,
+        runOnLimitedConnection: true
+      })
+      const lp = lpStream(stream, { maxDataLength: SYNC_PROTOCOL.MAX_MESSAGE_SIZE })
+
+      await lp.writeV([fromString(this.topic, 'utf8'), await this._seal(this._encodeSyncStep1())], { signal })
+
+      // Sync step 2 with the state we are missing
+      this._readStreamMessage(await this._readSyncFrame(lp, from, signal), from)
+
+      // Their state vector, answered with the state they are missing
+      const reply = this._readStreamMessage(await this._readSyncFrame(lp, from, signal), from)
+      if (reply == null) {
+        throw new Error('Expected sync step 1 from peer')
+      }
+      await lp.write(await this._seal(reply), { signal })
+      await stream.close({ signal })
+
+      this.syncedPeers.add(from)
+
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.log(`Synced with ${from} over ${SYNC_PROTOCOL.ID}`)
+      }
+    } catch (err) {
+      stream?.abort(err)
+
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.warn(`Sync with ${from} failed:`, err)
+      }
+    }
+  }
+
+  /**
+   * Handle an incoming sync protocol stream (listener side).
+   *
+   * @private
+   * @param {import('@libp2p/interface').Stream} stream - Incoming stream
+   * @param {import('@libp2p/interface').Connection} connection - Connection the stream was opened on
+   * @returns {Promise<void>}
+   */
+  async _handleSyncStream (stream, connection) {
+    const from = connection.remotePeer.toString()
+    const signal = AbortSignal.timeout(TIMEOUTS.SYNC_STREAM)
+
+    try {
+      const lp = lpStream(stream, { maxDataLength: SYNC_PROTOCOL.MAX_MESSAGE_SIZE })
+
+      const topic = toString((await lp.read({ signal })).subarray(), 'utf8')
+      if (topic !== this.topic) {
+        throw new Error(`Not syncing topic ${topic}`)
+      }
+      if (!this.access.canRead(from)) {
+        throw new Error(`${from} may not read this room`)
+      }
+
+      // Their state vector, answered with the state they are missing and our state vector
+      const reply = this._readStreamMessage(await this._readSyncFrame(lp, from, signal), from)
+      if (reply == null) {
+        throw new Error('Expected sync step 1 from peer')
+      }
+      await lp.writeV([await this._seal(reply), await this._seal(this._encodeSyncStep1())], { signal })
+
+      // Sync step 2 with the state we are missing
+      this._readStreamMessage(await this._readSyncFrame(lp, from, signal), from)
+      await stream.close({ signal })
+    } catch (err) {
+      stream.abort(err)
+
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.warn(`Sync stream from ${from} failed:`, err)
+      }
+    }
+  }
+
+  /**
+   * Read and open the next frame of a sync stream.
+   *
+   * @private
+   * @param {import('@libp2p/utils').LengthPrefixedStream} lp - Length-prefixed sync stream
+   * @param {string} from - Remote peer ID
+   * @param {AbortSignal} signal - Abort signal for the exchange
+   * @returns {Promise<Uint8Array>} Binary message
+   */
+  async _readSyncFrame (lp, from, signal) {
+    const message = await this._openMessage((await lp.read({ signal })).subarray(), from)
+    if (message == null) {
+      throw new Error('Unable to decrypt sync message')
+    }
+    return message
+  }
+
+  /**
+   * Read and apply a message received over a sync stream.
+   * A sync message the peer may not send fails the exchange instead of being
+   * skipped, so the peer is not counted as synced and is synced with again
+   * when a newer ACL arrives.
+   *
+   * @private
+   * @param {Uint8Array} data - Binary message
+   * @param {string} from - Remote peer ID
+   * @returns {Uint8Array | null} Reply for the peer, if any
+   * @throws {Error} If the peer is not permitted to send the message
+   */
+  _readStreamMessage (data, from) {
+    if (!this._isPermitted(data, from)) {
+      throw new Error(`${from} may not send this sync message in this room`)
+    }
+
+    return this._readBinaryMessage(data, from, SYNC_STREAM_ORIGIN)
+  }
+
   /**
    * Request initial document state from connected peers.
-   * Waits for gossipsub mesh to form before sending sync request.
+   * Prefers the sync protocol and falls back to a pubsub sync request once
+   * the topic has subscribers but no peer answered over a stream.
    *
    * @private
    * @returns {Promise<void>}
    */
   async _requestInitialState () {
-    const attemptSync = () => {
+    const startedAt = Date.now()
+
+    const attemptSync = async () => {
+      await this._syncWithConnectedPeers()
+
+      if (this.syncedPeers.size > 0) {
+        this._broadcastLocalAwareness()
+        return
+      }
+
       const subscribers = this.libp2p.services.pubsub.getSubscribers(this.topic)
 
       if (DEBUG) {
@@ -163,93 +616,158 @@ export class Libp2pProvider {
         console.log(`Sync attempt: ${subscribers.length} subscriber(s) on topic ${this.topic}`)
       }
 
-      if (subscribers.length === 0) {
-        // No peers in gossipsub mesh yet, retry
+      const waitForStreams = this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON &&
+        Date.now() - startedAt < INTERVALS.PUBSUB_SYNC_FALLBACK
+
+      if (subscribers.length === 0 || waitForStreams) {
+        // No peer synced with yet, retry
         if (DEBUG) {
           // eslint-disable-next-line no-console
-          console.log('No subscribers yet, retrying sync request in 1s...')
+          console.log('No peers synced yet, retrying in 1s...')
         }
         setTimeout(attemptSync, 1000)
         return
       }
 
-      // Found subscribers! Now send sync request
+      // Subscribers without the sync protocol - fall back to pubsub
       if (DEBUG) {
         // eslint-disable-next-line no-console
-        console.log('Subscribers found! Sending sync request...')
+        console.log('No sync protocol peers, sending pubsub sync request...')
       }
 
-      const stateVector = Y.encodeStateVector(this.doc)
-      this._publishMessage({
-        type: 'sync-request',
-        stateVector: toString(stateVector, 'base64')
-      }).catch((err) => {
+      this._sendSyncRequest().catch((err) => {
         if (DEBUG) {
           // eslint-disable-next-line no-console
           console.error('Failed to send sync request:', err)
         }
       })
+      this._broadcastLocalAwareness()
     }
 
     // Start attempting after initial delay
     setTimeout(attemptSync, INTERVALS.INITIAL_SYNC_REQUEST)
   }
 
+  /**
+   * Send a sync request (sync step 1) carrying our state vector.
+   * Binary peers also send the legacy form so peers from before the binary
+   * format answer too.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _sendSyncRequest () {
+    const stateVector = Y.encodeStateVector(this.doc)
+
+    if (this.wireVersion === WIRE_VERSIONS.LEGACY_JSON) {
+      await this._publishLegacyMessage({
+        type: 'sync-request',
+        stateVector: toString(stateVector, 'base64')
+      })
+      return
+    }
+
+    await Promise.all([
+      this._publish(this._encodeSyncStep1(), 'sync-request'),
+      this._publishLegacyMessage({
+        type: 'sync-request',
+        stateVector: toString(stateVector, 'base64')
+      })
+    ])
+  }
+
   /**
    * Handle Yjs document updates.
    *
    * @private
    * @param {Uint8Array} update - The document update
-   * @param {any} origin - Origin of the update
+   * @param {any} origin - Origin of the update, the provider itself for updates received over pubsub
    */
   _handleDocUpdate (update, origin) {
     if (origin === this) {
       return
     }
 
-    this._publishMessage({
-      type: 'update',
-      update: toString(update, 'base64')
-    }).catch((err) => {
+    this._broadcastUpdate(update).catch((err) => {
       // eslint-disable-next-line no-console
       console.error('Failed to broadcast update:', err)
     })
   }
 
+  /**
+   * Broadcast a Yjs update in every wire format a listening peer needs.
+   *
+   * @private
+   * @param {Uint8Array} update - The document update
+   * @returns {Promise<void>}
+   */
+  async _broadcastUpdate (update) {
+    if (!this.canWrite()) {
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.warn('Not publishing update, this peer is not a writer of the room')
+      }
+      return
+    }
+
+    const publishes = []
+
+    if (this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON) {
+      const encoder = this._createEncoder(MESSAGE_SYNC)
+      syncProtocol.writeUpdate(encoder, update)
+      publishes.push(this._publish(encoding.toUint8Array(encoder), 'update'))
+    }
+
+    if (this.wireVersion === WIRE_VERSIONS.LEGACY_JSON || this.legacyPeers.size > 0) {
+      publishes.push(this._publishLegacyMessage({
+        type: 'update',
+        update: toString(update, 'base64')
+      }))
+    }
+
+    await Promise.all(publishes)
+  }
+
   /**
    * Handle incoming pubsub messages.
    *
    * @private
    * @param {CustomEvent} evt - Pubsub message event
+   * @returns {Promise<void>}
    */
-  _handlePubsubMessage (evt) {
+  async _handlePubsubMessage (evt) {
     if (evt.detail.topic !== this.topic || this.libp2p.peerId.equals(evt.detail.from)) {
       return
     }
 
+    const from = evt.detail.from.toString()
+
     try {
-      const message = JSON.parse(toString(evt.detail.data, 'utf8'))
+      // ACLs are signed but never encrypted, so relays can enforce them
+      if (isAclMessage(evt.detail.data)) {
+        await this._handleAclMessage(evt.detail.data, from)
+        return
+      }
 
-      if (DEBUG) {
-        // eslint-disable-next-line no-console
-        console.log(`Received ${message.type} from ${evt.detail.from.toString()}`)
-      }
-
-      switch (message.type) {
-        case 'update':
-          this._applyUpdate(message.update)
-          break
-        case 'sync-request':
-          this._handleSyncRequest(message.stateVector)
-          break
-        case 'sync-response':
-          this._handleSyncResponse(message.update)
-          break
-        default:
-          if (DEBUG) {
+      const data = await this._openMessage(evt.detail.data, from)
+      if (data == null) {
+        return
+      }
+
+      if (data[0] === LEGACY_JSON_PREFIX) {
+        this._handleLegacyMessage(JSON.parse(toString(data, 'utf8')), from)
+      } else if (this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON || isChunkMessage(data)) {
+        const reply = this._readBinaryMessage(data, from)
+        // Answers from non-writers would be rejected by the topic validator
+        if (reply != null && this.canWrite()) {
+          this._publish(reply, 'sync-response').catch((err) => {
             // eslint-disable-next-line no-console
-            console.warn(`Unknown message type: ${message.type}`)
-          }
+            console.error('Failed to send sync response:', err)
+          })
+        }
+      } else if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.warn(`Ignoring binary message from ${from} (legacy wire format)`)
       }
     } catch (err) {
       // eslint-disable-next-line no-console
@@ -258,45 +776,584 @@ export class Libp2pProvider {
   }
 
   /**
-   * Apply an update to the document.
+   * Adopt a received ACL and skip our own re-announcement if one was pending.
    *
    * @private
-   * @param {string} updateBase64 - Base64-encoded Yjs update
+   * @param {Uint8Array} data - Encoded ACL message
+   * @param {string} from - Sender peer ID
+   * @returns {Promise<void>}
    */
-  _applyUpdate (updateBase64) {
-    const update = fromString(updateBase64, 'base64')
-    Y.applyUpdate(this.doc, update, this)
-
-    if (!this.synced) {
-      this.synced = true
-      if (DEBUG) {
-        // eslint-disable-next-line no-console
-        console.log('Document synced with network')
-      }
+  async _handleAclMessage (data, from) {
+    try {
+      await this.access.applyAclMessage(data)
+      clearTimeout(this._aclAnnounceTimer)
+      this._aclAnnounceTimer = null
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn(`Ignoring ACL from ${from}:`, err.message)
     }
   }
 
   /**
-   * Handle sync request from a peer.
+   * Check whether a peer joining the room is a legacy peer, and announce the
+   * ACL to it. The owner answers right away; other peers holding the ACL wait
+   * a random delay and stay quiet if someone else announced it in the meantime.
    *
    * @private
-   * @param {string} stateVectorBase64 - Base64-encoded state vector
+   * @param {CustomEvent} evt - Subscription change event
    */
-  _handleSyncRequest (stateVectorBase64) {
-    const stateVector = fromString(stateVectorBase64, 'base64')
-    const update = Y.encodeStateAsUpdate(this.doc, stateVector)
+  _handleSubscriptionChange (evt) {
+    const joined = evt.detail.subscriptions.some((sub) => sub.topic === this.topic && sub.subscribe)
+    if (!joined) {
+      return
+    }
 
-    this._publishMessage({
-      type: 'sync-response',
-      update: toString(update, 'base64')
-    }).catch((err) => {
+    const { peerId } = evt.detail
+    this.libp2p.peerStore.get(peerId)
+      .then((peer) => this._detectLegacyPeer(peerId, peer.protocols))
+      .catch(() => {
+        // Peer not in the peer store yet, identify will check it
+      })
+
+    if (this.access.aclMessage == null || this._aclAnnounceTimer != null) {
+      return
+    }
+
+    const delay = this.role === 'owner' ? 0 : Math.random() * ACCESS.ANNOUNCE_DELAY
+    this._aclAnnounceTimer = setTimeout(() => {
+      this._aclAnnounceTimer = null
+      this._announceAcl().catch(() => {})
+    }, delay)
+  }
+
+  /**
+   * Publish the current signed ACL, outside of any encryption envelope.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _announceAcl () {
+    if (this.access.aclMessage == null) {
+      return
+    }
+
+    try {
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.log(`Publishing ACL (${this.access.acl.writers.length} writers) to ${this.topic}`)
+      }
+
+      await this.libp2p.services.pubsub.publish(this.topic, this.access.aclMessage)
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to publish ACL:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Remove the encryption envelope from a received message.
+   * In an encrypted room only messages sealed with the room key are accepted;
+   * without a room key encrypted messages can't be read.
+   *
+   * @private
+   * @param {Uint8Array} data - Received bytes
+   * @param {string} from - Sender peer ID
+   * @returns {Promise<Uint8Array | null>} Plaintext message, or null if it can't be read
+   */
+  async _openMessage (data, from) {
+    const encrypted = data[0] === WIRE_VERSIONS.ENCRYPTED
+
+    if (this.roomKey == null) {
+      if (encrypted) {
+        this._reportUndecryptable(from, 'encrypted room, no room key')
+        return null
+      }
+      return data
+    }
+
+    if (!encrypted) {
+      this._reportUndecryptable(from, 'message not encrypted')
+      return null
+    }
+
+    let header
+    let message
+    try {
+      const decoder = decoding.createDecoder(data)
+      decoding.readUint8(decoder)
+      header = decoding.readVarUint8Array(decoder)
+      message = await decryptPayload(this.roomKey, this.topic, data.subarray(decoder.pos), header)
+      this.undecryptablePeers.delete(from)
+    } catch {
+      this._reportUndecryptable(from, 'wrong room key')
+      return null
+    }
+
+    try {
+      // Peers holding the room key could label changes as presence to get them past relays
+      if (equals(messageHeader(message), header)) {
+        return message
+      }
+    } catch {}
+
+    // eslint-disable-next-line no-console
+    console.warn(`Dropping message from ${from}, its header does not match its contents`)
+    return null
+  }
+
+  /**
+   * Wrap a binary message in the encryption envelope when the room is encrypted.
+   *
+   * @private
+   * @param {Uint8Array} data - Binary message
+   * @returns {Promise<Uint8Array>} Message to send
+   */
+  async _seal (data) {
+    if (this.roomKey == null) {
+      return data
+    }
+
+    const header = messageHeader(data)
+    const encoder = encoding.createEncoder()
+    encoding.writeUint8(encoder, WIRE_VERSIONS.ENCRYPTED)
+    encoding.writeVarUint8Array(encoder, header)
+    encoding.writeUint8Array(encoder, await encryptPayload(this.roomKey, this.topic, data, header))
+    return encoding.toUint8Array(encoder)
+  }
+
+  /**
+   * Remember a peer whose messages can't be decrypted and report it once.
+   *
+   * @private
+   * @param {string} from - Sender peer ID
+   * @param {string} reason - Why the message can't be read
+   */
+  _reportUndecryptable (from, reason) {
+    if (this.undecryptablePeers.has(from)) {
+      return
+    }
+
+    this.undecryptablePeers.add(from)
+
+    // eslint-disable-next-line no-console
+    console.warn(`Unable to decrypt messages from ${from}: ${reason}`)
+
+    this.onDecryptError?.({ from, reason })
+  }
+
+  /**
+   * Read a binary message and apply it to the document.
+   *
+   * @private
+   * @param {Uint8Array} data - Raw message bytes
+   * @param {string} from - Sender peer ID
+   * @param {any} [origin] - Transaction origin of the applied changes
+   * @returns {Uint8Array | null} Reply for the sender (sync step 2 for a sync step 1), if any
+   */
+  _readBinaryMessage (data, from, origin = this) {
+    const decoder = decoding.createDecoder(data)
+    const version = decoding.readUint8(decoder)
+
+    if (version !== WIRE_VERSIONS.BINARY) {
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.warn(`Unsupported wire version ${version} from ${from}`)
+      }
+      return null
+    }
+
+    const messageType = decoding.readVarUint(decoder)
+
+    switch (messageType) {
+      case MESSAGE_SYNC: {
+        // Sync streams bypass the topic validator, check permissions here too
+        if (!this._isPermitted(data, from)) {
+          if (DEBUG) {
+            // eslint-disable-next-line no-console
+            console.warn(`Ignoring sync message from ${from}, not permitted in this room`)
+          }
+          return null
+        }
+
+        const reply = this._createEncoder(MESSAGE_SYNC)
+        const syncType = syncProtocol.readSyncMessage(decoder, reply, this.doc, origin)
+
+        if (DEBUG) {
+          // eslint-disable-next-line no-console
+          console.log(`Received sync step ${syncType} from ${from}`)
+        }
+
+        if (syncType === syncProtocol.messageYjsSyncStep1) {
+          return encoding.toUint8Array(reply)
+        }
+
+        this._markSynced()
+        return null
+      }
+      case MESSAGE_AWARENESS:
+        if (this.awareness) {
+          this._applyAwarenessUpdate(decoding.readVarUint8Array(decoder), from)
+        }
+        return null
+      case MESSAGE_CHUNK: {
+        const message = this._addChunk(decoder, from)
+        if (message == null) {
+          return null
+        }
+
+        // Large legacy JSON messages are chunked too
+        if (message[0] === LEGACY_JSON_PREFIX) {
+          this._handleLegacyMessage(JSON.parse(toString(message, 'utf8')), from)
+          return null
+        }
+
+        return this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON ? this._readBinaryMessage(message, from, origin) : null
+      }
+      default:
+        if (DEBUG) {
+          // eslint-disable-next-line no-console
+          console.warn(`Unknown message type: ${messageType}`)
+        }
+        return null
+    }
+  }
+
+  /**
+   * Check whether a peer may send a binary message: sync requests need read
+   * access, any other sync message needs write access.
+   *
+   * @private
+   * @param {Uint8Array} data - Binary message
+   * @param {string} from - Sender peer ID
+   * @returns {boolean} False for sync messages the sender is not permitted to send
+   */
+  _isPermitted (data, from) {
+    const decoder = decoding.createDecoder(data)
+    if (decoding.readUint8(decoder) !== WIRE_VERSIONS.BINARY || decoding.readVarUint(decoder) !== MESSAGE_SYNC) {
+      return true
+    }
+
+    return decoding.readVarUint(decoder) === syncProtocol.messageYjsSyncStep1
+      ? this.access.canRead(from)
+      : this.access.canWrite(from)
+  }
+
+  /**
+   * Store a received chunk and return the whole message once all chunks arrived.
+   *
+   * @private
+   * @param {decoding.Decoder} decoder - Decoder positioned after the message type
+   * @param {string} from - Sender peer ID
+   * @returns {Uint8Array | null} Reassembled message, if complete
+   */
+  _addChunk (decoder, from) {
+    const messageId = decoding.readVarString(decoder)
+    const index = decoding.readVarUint(decoder)
+    const total = decoding.readVarUint(decoder)
+    const data = decoding.readVarUint8Array(decoder)
+    const key = `${from}/${messageId}`
+
+    let transfer = this.pendingTransfers.get(key)
+    if (transfer == null) {
+      transfer = {
+        from,
+        messageId,
+        chunks: new Array(Math.min(total, CHUNKING.MAX_CHUNKS)),
+        total,
+        received: 0,
+        bytes: 0,
+        failed: false,
+        timer: setTimeout(() => this._failTransfer(key, 'timed out'), CHUNKING.REASSEMBLY_TIMEOUT)
+      }
+      this.pendingTransfers.set(key, transfer)
+
+      if (total > CHUNKING.MAX_CHUNKS) {
+        this._failTransfer(key, `too many chunks (${total})`)
+        return null
+      }
+    }
+
+    // Ignore chunks of dropped transfers, duplicates and chunks out of range
+    if (transfer.failed || index >= transfer.total || transfer.chunks[index] != null) {
+      return null
+    }
+
+    transfer.chunks[index] = data
+    transfer.received++
+    transfer.bytes += data.byteLength
+    this.pendingBytes += data.byteLength
+
+    if (transfer.bytes > CHUNKING.MAX_TRANSFER_SIZE) {
+      this._failTransfer(key, 'message too large')
+      return null
+    }
+    if (this.pendingBytes > CHUNKING.MAX_PENDING_BYTES) {
+      this._failTransfer(key, 'too many pending transfers')
+      return null
+    }
+    if (transfer.received < transfer.total) {
+      return null
+    }
+
+    clearTimeout(transfer.timer)
+    this.pendingTransfers.delete(key)
+    this.pendingBytes -= transfer.bytes
+
+    if (DEBUG) {
+      // eslint-disable-next-line no-console
+      console.log(`Reassembled ${transfer.total} chunks (${transfer.bytes} bytes) from ${from}`)
+    }
+
+    return concat(transfer.chunks, transfer.bytes)
+  }
+
+  /**
+   * Drop an incomplete chunked transfer and report it.
+   * The transfer is kept as a tombstone until the reassembly timeout so its
+   * remaining chunks are ignored instead of starting a new transfer.
+   *
+   * @private
+   * @param {string} key - Transfer key
+   * @param {string} reason - Why the transfer was dropped
+   */
+  _failTransfer (key, reason) {
+    const transfer = this.pendingTransfers.get(key)
+    if (transfer == null) {
+      return
+    }
+
+    clearTimeout(transfer.timer)
+
+    if (transfer.failed) {
+      // Tombstone expired
+      this.pendingTransfers.delete(key)
+      return
+    }
+
+    this.pendingBytes -= transfer.bytes
+    transfer.failed = true
+    transfer.chunks = []
+    transfer.bytes = 0
+    transfer.timer = setTimeout(() => this._failTransfer(key, reason), CHUNKING.REASSEMBLY_TIMEOUT)
+
+    // eslint-disable-next-line no-console
+    console.warn(`Incomplete transfer ${transfer.messageId} from ${transfer.from}: ${transfer.received}/${transfer.total} chunks (${reason})`)
+
+    this.onIncompleteTransfer?.({
+      from: transfer.from,
+      messageId: transfer.messageId,
+      received: transfer.received,
+      total: transfer.total,
+      reason
+    })
+  }
+
+  /**
+   * Handle local awareness changes by publishing them to the topic.
+   * Remote states that timed out are not published, every peer expires
+   * them on its own.
+   *
+   * @private
+   * @param {object} changes - Changed awareness clients
+   * @param {number[]} changes.added - Added client IDs
+   * @param {number[]} changes.updated - Updated client IDs
+   * @param {number[]} changes.removed - Removed client IDs
+   * @param {any} origin - Origin of the change
+   */
+  _handleAwarenessUpdate ({ added, updated, removed }, origin) {
+    if (origin === this || origin === 'timeout') {
+      return
+    }
+
+    this._publishAwareness(added.concat(updated, removed)).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error('Failed to broadcast awareness:', err)
+    })
+  }
+
+  /**
+   * Publish the local awareness state so peers learn about this client.
+   *
+   * @private
+   */
+  _broadcastLocalAwareness () {
+    if (!this.awareness || this.wireVersion === WIRE_VERSIONS.LEGACY_JSON) {
+      return
+    }
+
+    this._publishAwareness([this.awareness.clientID]).catch((err) => {
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.error('Failed to broadcast awareness:', err)
+      }
+    })
+  }
+
+  /**
+   * Publish awareness states of the given clients.
+   *
+   * @private
+   * @param {number[]} clients - Awareness client IDs
+   * @returns {Promise<void>}
+   */
+  async _publishAwareness (clients) {
+    const encoder = this._createEncoder(MESSAGE_AWARENESS)
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(this.awareness, clients))
+    await this._publish(encoding.toUint8Array(encoder), 'awareness')
+  }
+
+  /**
+   * Apply a remote awareness update and remember which clients the peer owns.
+   * When the update introduces clients we have not seen, our own state is
+   * published so the new peer learns about us without waiting for a renewal.
+   *
+   * @private
+   * @param {Uint8Array} update - Encoded awareness update
+   * @param {string} from - Sender peer ID
+   */
+  _applyAwarenessUpdate (update, from) {
+    const clients = this.peerAwarenessClients.get(from) ?? new Set()
+    this.peerAwarenessClients.set(from, clients)
+
+    // Awareness update layout: [count]([clientID][clock][state JSON])*
+    const decoder = decoding.createDecoder(update)
+    const count = decoding.readVarUint(decoder)
+    let hasNewClient = false
+
+    for (let i = 0; i < count; i++) {
+      const clientID = decoding.readVarUint(decoder)
+      decoding.readVarUint(decoder)
+      const state = decoding.readVarString(decoder)
+
+      if (state === 'null') {
+        clients.delete(clientID)
+      } else {
+        hasNewClient ||= !this.awareness.getStates().has(clientID)
+        clients.add(clientID)
+      }
+    }
+
+    awarenessProtocol.applyAwarenessUpdate(this.awareness, update, this)
+
+    if (hasNewClient) {
+      this._broadcastLocalAwareness()
+    }
+  }
+
+  /**
+   * Remove the awareness states announced by a disconnected peer.
+   *
+   * @private
+   * @param {string} peerId - Disconnected peer ID
+   */
+  _removePeerAwareness (peerId) {
+    const clients = this.peerAwarenessClients.get(peerId)
+    this.peerAwarenessClients.delete(peerId)
+
+    if (this.awareness && clients != null && clients.size > 0) {
+      awarenessProtocol.removeAwarenessStates(this.awareness, [...clients], this)
+    }
+  }
+
+  /**
+   * Handle a legacy JSON message.
+   * Messages tagged with `v` come from binary peers that also sent the
+   * binary form, so only untagged messages are processed.
+   *
+   * @private
+   * @param {object} message - Parsed message
+   * @param {string} from - Sender peer ID
+   */
+  _handleLegacyMessage (message, from) {
+    if (message.v != null && this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON) {
+      return
+    }
+
+    if (DEBUG) {
+      // eslint-disable-next-line no-console
+      console.log(`Received ${message.type} from ${from}`)
+    }
+
+    if (message.v == null && this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON && !this.legacyPeers.has(from)) {
+      this.legacyPeers.add(from)
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.log(`Peer ${from} uses the legacy wire format`)
+      }
+    }
+
+    // Only writers may change a restricted room
+    if (message.type !== 'sync-request' && !this.access.canWrite(from)) {
+      return
+    }
+
+    switch (message.type) {
+      case 'update':
+        this._applyUpdate(message.update)
+        break
+      case 'sync-request':
+        this._handleSyncRequest(message.stateVector)
+        break
+      case 'sync-response':
+        this._handleSyncResponse(message.update)
+        break
+      default:
+        if (DEBUG) {
+          // eslint-disable-next-line no-console
+          console.warn(`Unknown message type: ${message.type}`)
+        }
+    }
+  }
+
+  /**
+   * Apply an update to the document.
+   *
+   * @private
+   * @param {string} updateBase64 - Base64-encoded Yjs update
+   */
+  _applyUpdate (updateBase64) {
+    const update = fromString(updateBase64, 'base64')
+    Y.applyUpdate(this.doc, update, this)
+    this._markSynced()
+  }
+
+  /**
+   * Mark the document as synced after the first remote update.
+   *
+   * @private
+   */
+  _markSynced () {
+    if (!this.synced) {
+      this.synced = true
+      if (DEBUG) {
+        // eslint-disable-next-line no-console
+        console.log('Document synced with network')
+      }
+    }
+  }
+
+  /**
+   * Handle a legacy sync request from a peer.
+   *
+   * @private
+   * @param {string} stateVectorBase64 - Base64-encoded state vector
+   */
+  _handleSyncRequest (stateVectorBase64) {
+    const stateVector = fromString(stateVectorBase64, 'base64')
+    const update = Y.encodeStateAsUpdate(this.doc, stateVector)
+
+    this._publishLegacyMessage({
+      type: 'sync-response',
+      update: toString(update, 'base64')
+    }).catch((err) => {
       // eslint-disable-next-line no-console
       console.error('Failed to send sync response:', err)
     })
   }
 
   /**
-   * Handle sync response from a peer.
+   * Handle a legacy sync response from a peer.
    *
    * @private
    * @param {string} updateBase64 - Base64-encoded Yjs update
@@ -306,21 +1363,114 @@ export class Libp2pProvider {
   }
 
   /**
-   * Publish a message to the pubsub topic.
+   * Encode sync step 1 with the local state vector.
+   *
+   * @private
+   * @returns {Uint8Array}
+   */
+  _encodeSyncStep1 () {
+    const encoder = this._createEncoder(MESSAGE_SYNC)
+    syncProtocol.writeSyncStep1(encoder, this.doc)
+    return encoding.toUint8Array(encoder)
+  }
+
+  /**
+   * Create an encoder with the version byte and message type written.
+   *
+   * @private
+   * @param {number} messageType - Top-level message type (MESSAGE_SYNC, MESSAGE_AWARENESS)
+   * @returns {encoding.Encoder}
+   */
+  _createEncoder (messageType) {
+    const encoder = encoding.createEncoder()
+    encoding.writeUint8(encoder, WIRE_VERSIONS.BINARY)
+    encoding.writeVarUint(encoder, messageType)
+    return encoder
+  }
+
+  /**
+   * Publish a legacy JSON message to the pubsub topic.
+   * Binary peers tag the message with their wire version so other binary
+   * peers can tell it apart from a message sent by a legacy peer.
    *
    * @private
    * @param {object} message - Message object to publish
    * @param {string} message.type - Message type (update, sync-request, sync-response)
    * @returns {Promise<void>}
    */
-  async _publishMessage (message) {
+  async _publishLegacyMessage (message) {
+    // Legacy peers predate encryption, never leak plaintext to them
+    if (this.roomKey != null) {
+      return
+    }
+
+    if (this.wireVersion !== WIRE_VERSIONS.LEGACY_JSON) {
+      message = { ...message, v: this.wireVersion }
+    }
+
+    await this._publish(fromString(JSON.stringify(message), 'utf8'), message.type)
+  }
+
+  /**
+   * Publish an encoded message to the pubsub topic, splitting messages that
+   * are too large for a single pubsub message. Legacy JSON messages are split
+   * into the same binary chunks: peers from before chunking can't read them,
+   * but they couldn't have received the whole message either.
+   *
+   * @private
+   * @param {Uint8Array} data - Encoded message
+   * @param {string} label - Message description for logging
+   * @returns {Promise<void>}
+   */
+  async _publish (data, label) {
+    if (data.byteLength > CHUNKING.MAX_MESSAGE_SIZE) {
+      await this._publishChunks(data, label)
+      return
+    }
+
+    await this._publishToTopic(data, label)
+  }
+
+  /**
+   * Publish a message as a sequence of chunks sharing a message ID.
+   *
+   * @private
+   * @param {Uint8Array} data - Encoded message
+   * @param {string} label - Message description for logging
+   * @returns {Promise<void>}
+   */
+  async _publishChunks (data, label) {
+    const messageId = toString(crypto.getRandomValues(new Uint8Array(8)), 'base16')
+    const total = Math.ceil(data.byteLength / CHUNKING.MAX_MESSAGE_SIZE)
+
+    for (let index = 0; index < total; index++) {
+      const start = index * CHUNKING.MAX_MESSAGE_SIZE
+      const encoder = this._createEncoder(MESSAGE_CHUNK)
+      encoding.writeVarString(encoder, messageId)
+      encoding.writeVarUint(encoder, index)
+      encoding.writeVarUint(encoder, total)
+      encoding.writeVarUint8Array(encoder, data.subarray(start, start + CHUNKING.MAX_MESSAGE_SIZE))
+
+      await this._publishToTopic(encoding.toUint8Array(encoder), `${label} chunk ${index + 1}/${total}`)
+    }
+  }
+
+  /**
+   * Publish raw bytes to the pubsub topic.
+   *
+   * @private
+   * @param {Uint8Array} data - Encoded message
+   * @param {string} label - Message description for logging
+   * @returns {Promise<void>}
+   */
+  async _publishToTopic (data, label) {
     try {
-      const data = fromString(JSON.stringify(message), 'utf8')
+      data = await this._seal(data)
 
       if (DEBUG) {
         const subscribers = this.libp2p.services.pubsub.getSubscribers(this.topic)
         // eslint-disable-next-line no-console
-        console.log(`Publishing ${message.type} to ${this.topic} (${subscribers.length} subscribers)`)
+        console.log(`Publishing ${label} (${data.byteLength} bytes) to ${this.topic} (${subscribers.length} subscribers)`)
       }
 
       await this.libp2p.services.pubsub.publish(this.topic, data)
@@ -338,15 +1488,39 @@ export class Libp2pProvider {
    */
   async destroy () {
     try {
+      if (this.awareness) {
+        // Tell peers this client is gone before we stop listening
+        awarenessProtocol.removeAwarenessStates(this.awareness, [this.awareness.clientID], 'destroy')
+        this.awareness.off('update', this._onAwarenessUpdate)
+      }
+
       this.doc.off('update', this._onUpdate)
       this.libp2p.services.pubsub.removeEventListener('message', this._onPubsubMessage)
       this.libp2p.removeEventListener('peer:discovery', this._onPeerDiscovered)
+      this.libp2p.removeEventListener('peer:identify', this._onPeerIdentify)
+      this.libp2p.removeEventListener('peer:update', this._onPeerUpdate)
+      this.libp2p.services.pubsub.removeEventListener('subscription-change', this._onSubscriptionChange)
+      if (this.access.restricted) {
+        this.libp2p.services.pubsub.topicValidators.delete(this.topic)
+      }
+      clearTimeout(this._aclAnnounceTimer)
 
+      await this.libp2p.unhandle(SYNC_PROTOCOL.ID)
       await this.libp2p.services.pubsub.unsubscribe(this.topic)
 
       this.connected = false
       this.synced = false
       this.connectedPeers.clear()
+      this.legacyPeers.clear()
+      this.syncedPeers.clear()
+      this.peerAwarenessClients.clear()
+      this.undecryptablePeers.clear()
+
+      for (const transfer of this.pendingTransfers.values()) {
+        clearTimeout(transfer.timer)
+      }
+      this.pendingTransfers.clear()
+      this.pendingBytes = 0
     } catch (err) {
       // eslint-disable-next-line no-console
       console.error('Error during provider cleanup:', err)